@@ -0,0 +1,50 @@
+// One-off migration: sheets ingested before short-lived links stored
+// permanent signed URLs (storageUrl / parsedDataUrl, expiring 2099) on the
+// sheet doc. This removes them and records the raw upload's storagePath.
+//
+//   npm run migrate:signed-urls -- --dry-run   # report only
+//   npm run migrate:signed-urls
+//
+// Removing the fields doesn't invalidate URLs already handed out — they stay
+// valid until the service account key that signed them is rotated.
+
+require('dotenv').config();
+const { db, storage, admin } = require('../src/firebase');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const snapshot = await db.collectionGroup('sheets').get();
+
+  let migrated = 0;
+  let missingUploads = 0;
+  for (const doc of snapshot.docs) {
+    const sheet = doc.data();
+    if (sheet.storageUrl === undefined && sheet.parsedDataUrl === undefined) continue;
+
+    const projectId = doc.ref.parent.parent.id;
+    const [files] = await storage.getFiles({ prefix: `projects/${projectId}/sheets/${doc.id}/raw_` });
+    if (files.length === 0) missingUploads++;
+
+    console.log(`${dryRun ? '[dry run] ' : ''}projects/${projectId}/sheets/${doc.id} → ${files[0]?.name || '(no raw upload)'}`);
+    if (!dryRun) {
+      await doc.ref.update({
+        storageUrl: admin.firestore.FieldValue.delete(),
+        parsedDataUrl: admin.firestore.FieldValue.delete(),
+        storagePath: files[0]?.name || null,
+      });
+    }
+    migrated++;
+  }
+
+  console.log(`${dryRun ? 'Would migrate' : 'Migrated'} ${migrated} of ${snapshot.size} sheet(s); ${missingUploads} had no raw upload in Storage.`);
+  if (!dryRun && migrated > 0) {
+    console.log('Rotate the service account key to revoke the signed URLs that were already issued.');
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error('Migration failed:', err);
+    process.exit(1);
+  });
@@ -1,15 +1,22 @@
 const multer = require('multer');
+const os = require('os');
 const path = require('path');
+const { STATEMENT_EXTENSIONS } = require('../services/statementParser');
 
 const storage = multer.memoryStorage(); // Keep file in memory — we pass it straight to SheetJS
 
+// Background ingest jobs outlive the request, so their uploads go to disk
+// and the worker deletes them once the job finishes
+const JOB_UPLOAD_DIR = path.join(os.tmpdir(), 'spendguardian-uploads');
+const JOB_MAX_FILE_MB = parseInt(process.env.INGEST_MAX_FILE_MB, 10) || 200;
+
 const fileFilter = (req, file, cb) => {
-  const allowed = ['.xlsx', '.xls', '.csv'];
+  const allowed = ['.xlsx', '.xls', '.csv', ...STATEMENT_EXTENSIONS];
   const ext = path.extname(file.originalname).toLowerCase();
   if (allowed.includes(ext)) {
     cb(null, true);
   } else {
-    cb(new Error(`Unsupported file type: ${ext}. Please upload .xlsx, .xls, or .csv`), false);
+    cb(new Error(`Unsupported file type: ${ext}. Please upload .xlsx, .xls, .csv, .ofx, .qfx or .qif`), false);
   }
 };
 
@@ -19,4 +26,10 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 }, // 10MB max
 });
 
-module.exports = upload;
+const jobUpload = multer({
+  storage: multer.diskStorage({ destination: JOB_UPLOAD_DIR }), // multer creates the dir
+  fileFilter,
+  limits: { fileSize: JOB_MAX_FILE_MB * 1024 * 1024 },
+});
+
+module.exports = { upload, jobUpload };
@@ -1,16 +1,50 @@
 const express = require('express');
 const router = express.Router();
 const crypto = require('crypto');
+const fs = require('fs');
 
-const upload = require('../middleware/upload');
+const { upload, jobUpload } = require('../middleware/upload');
 const { verifyToken } = require('../middleware/auth');
-const { parseFile } = require('../services/sheetParser');
+const { parseFile, parseWorkbook, normalizeRows } = require('../services/sheetParser');
 const { suggestCharts } = require('../services/chartSuggester');
+const { aggregateRows } = require('../services/aggregator');
+const { validateBudget, evaluateBudgets } = require('../services/budgetEvaluator');
+const { validateRule, applyRules } = require('../services/categorizer');
+const { findDuplicates, resolveDuplicates, DUPLICATE_MODES } = require('../services/duplicateDetector');
+const { validateTemplate, matchTemplate, applyTemplate } = require('../services/importTemplates');
+const { diffSheets } = require('../services/sheetDiff');
+const { applyOperations } = require('../services/sheetPatcher');
+const { computeColumns, isCalculated } = require('../services/formula');
+const { matchColumns, appendReport, prepareAppend, combineRows } = require('../services/sheetAppender');
+const { queryRows, queryFromParams } = require('../services/rowQuery');
+const { exportSheet, exportProjectReport } = require('../services/exporter');
+const { combineSheets } = require('../services/projectDataset');
+const { validateLayout, findStaleWidgets, generateLayout } = require('../services/dashboardLayout');
+const { detectAnomalies, INSIGHT_TYPES, INSIGHT_STATUSES } = require('../services/anomalyDetector');
+const { findSubscriptions, SUBSCRIPTION_STATUSES } = require('../services/subscriptionDetector');
+const { forecastSpending } = require('../services/forecaster');
+const {
+  roleOf, hasRole, memberEntry, listMembers, validateRole, validateInvitation, invitationProblem,
+  INVITATION_TTL_DAYS,
+} = require('../services/projectMembers');
+const {
+  validateShareLink, createToken, hashToken, hashPassword, verifyPassword, linkProblem, passwordAttempt,
+  describeLink, publicSheet,
+} = require('../services/shareLinks');
+const {
+  validateRate, rateId, parseRateRows, foreignCurrencies, convertRows,
+} = require('../services/currencyConverter');
+const {
+  stageUpdate, trimWarnings, isStale, startHeartbeat, createJobQueue,
+} = require('../services/ingestJobs');
+const { parseFileInWorker, parseWorkbookInWorker } = require('../services/parseWorker');
 const { db, storage, admin } = require('../firebase');
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
-async function assertProjectOwner(projectId, uid) {
+// Viewers read, editors also change data, owners also manage the project
+// and its members (see PROJECT_ROLES)
+async function assertProjectAccess(projectId, uid, minRole = 'viewer') {
   const projectRef = db.collection('projects').doc(projectId);
   const projectDoc = await projectRef.get();
 
@@ -20,8 +54,15 @@ async function assertProjectOwner(projectId, uid) {
     throw err;
   }
 
-  if (projectDoc.data().ownerId !== uid) {
-    const err = new Error('Access denied: you do not own this project');
+  const role = roleOf(projectDoc.data(), uid);
+  if (!role) {
+    const err = new Error('Access denied: you are not a member of this project');
+    err.status = 403;
+    throw err;
+  }
+
+  if (!hasRole(role, minRole)) {
+    const err = new Error(`Access denied: this needs the ${minRole} role on the project (you are a ${role})`);
     err.status = 403;
     throw err;
   }
@@ -39,6 +80,901 @@ async function assertUserExists(uid) {
   return userDoc.data();
 }
 
+// Sheets belong to the project, so access comes from the project role —
+// call assertProjectAccess first. A sheet's ownerId is only who uploaded it.
+async function assertSheetInProject(projectId, sheetId) {
+  const sheetRef = db.collection('projects').doc(projectId).collection('sheets').doc(sheetId);
+  const sheetDoc = await sheetRef.get();
+
+  if (!sheetDoc.exists) {
+    const err = new Error('Sheet not found');
+    err.status = 404;
+    throw err;
+  }
+
+  return { sheetRef, sheetData: sheetDoc.data() };
+}
+
+// Rows are stored as JSON next to the upload: data.json at ingest, then one
+// object per saved revision — the sheet doc's dataPath names the current one
+function sheetDataPath(projectId, sheet) {
+  return sheet.dataPath || `projects/${projectId}/sheets/${sheet.id}/data.json`;
+}
+
+// Read the stored row JSON for `sheet` (its doc data) straight from the bucket
+async function readSheetRows(projectId, sheet) {
+  try {
+    const [contents] = await storage.file(sheetDataPath(projectId, sheet)).download();
+    return JSON.parse(contents.toString('utf8'));
+  } catch (err) {
+    if (err.code !== 404) throw err;
+    // A save replaced (and removed) these rows since the doc was read. The
+    // current ones belong to a newer revision, so a write based on them
+    // still fails its revision check.
+    const doc = await db.collection('projects').doc(projectId).collection('sheets').doc(sheet.id).get();
+    if (!doc.exists || sheetDataPath(projectId, doc.data()) === sheetDataPath(projectId, sheet)) throw err;
+    const [contents] = await storage.file(sheetDataPath(projectId, doc.data())).download();
+    return JSON.parse(contents.toString('utf8'));
+  }
+}
+
+// Rows of a sheet that's being created — saves go through saveSheetRevision
+async function writeSheetRows(projectId, sheetId, rows) {
+  const jsonFile = storage.file(sheetDataPath(projectId, { id: sheetId }));
+  await jsonFile.save(JSON.stringify(rows), { metadata: { contentType: 'application/json' } });
+}
+
+async function readUserRules(uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('categoryRules').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+async function readUserTemplates(uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('importTemplates').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+async function readUserRates(uid) {
+  const snapshot = await db.collection('users').doc(uid).collection('exchangeRates').get();
+  return snapshot.docs.map(doc => doc.data());
+}
+
+// Convert a sheet's Currency cells to the project currency using the
+// project owner's exchange-rate table. Single-currency sheets skip the read.
+async function convertToProjectCurrency(project, columns, rows, dateFormat) {
+  if (foreignCurrencies(rows, columns, project.currency).length === 0) return { rows, columns, converted: 0 };
+  const rates = await readUserRates(project.ownerId);
+  return convertRows(rows, columns, { currency: project.currency, rates, dateFormat });
+}
+
+// Every sheet in a project along with its stored rows
+async function readProjectSheets(projectId) {
+  const sheetsSnapshot = await db.collection('projects').doc(projectId).collection('sheets').get();
+  return Promise.all(sheetsSnapshot.docs.map(async (doc) => ({
+    sheet: doc.data(),
+    rows: await readSheetRows(projectId, doc.data()),
+  })));
+}
+
+// Sheets as readProjectSheets returns them, with Currency cells converted to
+// the project currency so amounts can be summed across sheets. A missing
+// rate is a 400, as with aggregates.
+async function convertSheetsToProjectCurrency(project, sheets, dateFormat) {
+  const foreign = sheets.some(({ sheet, rows }) => foreignCurrencies(rows, sheet.columns || [], project.currency).length > 0);
+  if (!foreign) return sheets;
+  const rates = await readUserRates(project.ownerId);
+  return sheets.map(({ sheet, rows }) => {
+    const converted = convertRows(rows, sheet.columns || [], { currency: project.currency, rates, dateFormat });
+    return { sheet: { ...sheet, columns: converted.columns }, rows: converted.rows };
+  });
+}
+
+// sheetIds from a query string ("a,b") or a JSON body (["a","b"]); null = all
+function sheetIdList(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ids = Array.isArray(value) ? value : String(value).split(',');
+  const clean = ids.map((id) => String(id).trim()).filter(Boolean);
+  return clean.length > 0 ? clean : null;
+}
+
+/**
+ * The project's sheets (or just `sheetIds`, in that order) combined into one
+ * dataset — see combineSheets. Without sheetIds, sheets go oldest first.
+ */
+async function readProjectDataset(projectId, project, sheetIds = null) {
+  const snapshot = await db.collection('projects').doc(projectId).collection('sheets').get();
+  const byId = new Map(snapshot.docs.map((doc) => [doc.id, doc.data()]));
+
+  let selected;
+  if (sheetIds) {
+    const unknown = sheetIds.filter((id) => !byId.has(id));
+    if (unknown.length > 0) {
+      const err = new Error(`Sheet(s) not found in this project: ${unknown.join(', ')}`);
+      err.status = 404;
+      throw err;
+    }
+    selected = [...new Set(sheetIds)].map((id) => byId.get(id));
+  } else {
+    selected = [...byId.values()].sort((a, b) => (a.uploadedAt < b.uploadedAt ? -1 : 1));
+  }
+  if (selected.length === 0) {
+    const err = new Error('The project has no sheets yet');
+    err.status = 400;
+    throw err;
+  }
+
+  const sheets = await Promise.all(selected.map(async (sheet) => ({
+    sheet,
+    rows: await readSheetRows(projectId, sheet),
+  })));
+  return combineSheets(sheets, { currency: project.currency });
+}
+
+// Firestore doesn't cascade deletes — clear a subcollection before its parent
+async function deleteSubcollection(collectionRef) {
+  const snapshot = await collectionRef.get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+}
+
+// Invitations live in a top-level collection so invitees can find theirs
+async function deleteInvitations(projectId) {
+  const snapshot = await db.collection('invitations').where('projectId', '==', projectId).get();
+  await Promise.all(snapshot.docs.map((doc) => doc.ref.delete()));
+}
+
+// Share links are top-level too — public requests look them up by token hash
+async function deleteShareLinks(projectId) {
+  const snapshot = await db.collection('shareLinks').where('projectId', '==', projectId).get();
+  for (const doc of snapshot.docs) {
+    await deleteSubcollection(doc.ref.collection('accessLog'));
+    await doc.ref.delete();
+  }
+}
+
+// Append one entry to a share link's access log
+async function logShareAccess(linkRef, req, action, sheetId, outcome) {
+  await linkRef.collection('accessLog').add({
+    at: new Date().toISOString(),
+    action,
+    sheetId: sheetId || null,
+    outcome,
+    ip: req.ip || null,
+    userAgent: String(req.get('user-agent') || '').slice(0, 200),
+  });
+}
+
+/**
+ * Resolve the share token in req.params.token for an unauthenticated
+ * request: it must exist, be unexpired and unrevoked, match the password
+ * (X-Share-Password header) when it has one, and cover `sheetId`. Every
+ * attempt, good or bad, lands in the link's access log.
+ * Returns { link, project, dateFormat } — dateFormat is the owner's.
+ */
+async function openShareLink(req, action, sheetId = null) {
+  const snapshot = await db.collection('shareLinks')
+    .where('tokenHash', '==', hashToken(req.params.token))
+    .get();
+  if (snapshot.empty) {
+    const err = new Error('Share link not found');
+    err.status = 404;
+    throw err;
+  }
+
+  const linkRef = snapshot.docs[0].ref;
+  const link = snapshot.docs[0].data();
+  const fail = async (status, outcome, message) => {
+    await logShareAccess(linkRef, req, action, sheetId, outcome);
+    const err = new Error(message);
+    err.status = status;
+    err.passwordRequired = outcome === 'passwordRequired' || outcome === 'badPassword';
+    throw err;
+  };
+
+  const problem = linkProblem(link);
+  if (problem) await fail(problem.status, problem.outcome, problem.message);
+
+  if (link.passwordHash) {
+    const password = req.get('x-share-password');
+    if (!password) await fail(401, 'passwordRequired', 'This share link needs a password');
+    const ok = await verifyPassword(password, link.passwordHash);
+    const updates = passwordAttempt(link, ok);
+    if (Object.keys(updates).length > 0) await linkRef.update(updates);
+    if (!ok) await fail(401, 'badPassword', 'Wrong password');
+  }
+
+  if (sheetId && link.sheetId && link.sheetId !== sheetId) await fail(404, 'outOfScope', 'Sheet not found');
+
+  const projectDoc = await db.collection('projects').doc(link.projectId).get();
+  if (!projectDoc.exists) await fail(410, 'projectDeleted', 'The shared project no longer exists');
+
+  await linkRef.update({
+    lastUsedAt: new Date().toISOString(),
+    useCount: admin.firestore.FieldValue.increment(1),
+  });
+  await logShareAccess(linkRef, req, action, sheetId, 'ok');
+
+  const project = projectDoc.data();
+  const ownerDoc = await db.collection('users').doc(project.ownerId).get();
+  const dateFormat = ownerDoc.exists ? ownerDoc.data().dateFormat : 'DD/MM/YYYY';
+  return { link, project, dateFormat };
+}
+
+// Filters narrow the rows, amounts are converted to the project currency,
+// then rows are grouped — the aggregate route and shared dashboards both use it
+async function aggregateSheet(project, sheetData, rows, spec, dateFormat) {
+  const { filters, xColumn, yColumn, aggregation, dateBucket, seriesColumn, bins, limit } = spec;
+  let selected = rows;
+  if (filters !== undefined && filters !== null) {
+    selected = queryRows(rows, sheetData.columns, { filters }, { dateFormat }).rows;
+  }
+  const converted = await convertToProjectCurrency(project, sheetData.columns, selected, dateFormat);
+  return aggregateRows(converted.rows, converted.columns, {
+    xColumn,
+    yColumn,
+    aggregation,
+    dateBucket,
+    seriesColumn,
+    bins,
+    limit,
+    dateFormat,
+  });
+}
+
+/**
+ * Upsert detected insights under projects/{id}/insights. Ids are
+ * deterministic, so an insight found again keeps its status (acknowledged /
+ * dismissed) and only its figures are refreshed. Returns the number of new ones.
+ */
+async function storeInsights(projectId, insights) {
+  const insightsRef = db.collection('projects').doc(projectId).collection('insights');
+  const now = new Date().toISOString();
+
+  const created = await Promise.all(insights.map(async (insight) => {
+    const ref = insightsRef.doc(insight.id);
+    const doc = await ref.get();
+    if (doc.exists) {
+      await ref.update({ ...insight, lastDetectedAt: now });
+      return false;
+    }
+    await ref.set({ ...insight, status: 'open', createdAt: now, lastDetectedAt: now, statusChangedAt: null });
+    return true;
+  }));
+
+  return created.filter(Boolean).length;
+}
+
+// Content-Disposition for a generated download — ASCII fallback plus RFC 5987 UTF-8 name
+function sendDownload(res, { buffer, contentType, extension }, baseName) {
+  res.set('Content-Type', contentType);
+  res.set('Content-Disposition', attachmentHeader(`${baseName}.${extension}`));
+  res.send(buffer);
+}
+
+// ASCII fallback for old clients plus the real (UTF-8) name
+function attachmentHeader(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+// Signed links to original uploads are short-lived and never stored
+const ORIGINAL_URL_TTL_MINUTES = parseInt(process.env.ORIGINAL_URL_TTL_MINUTES, 10) || 15;
+
+// Where a sheet's original upload lives. Older sheets didn't record it.
+async function rawUploadFile(projectId, sheetData) {
+  if (sheetData.storagePath) return storage.file(sheetData.storagePath);
+  const [files] = await storage.getFiles({ prefix: `projects/${projectId}/sheets/${sheetData.id}/raw_` });
+  return files[0] || null;
+}
+
+function revisionConflict(current, yours) {
+  const err = new Error(`Sheet was changed by another save (revision ${current}, yours ${yours}). Reload and try again.`);
+  err.status = 409;
+  err.currentRevision = current;
+  return err;
+}
+
+/**
+ * Save a sheet's rows and metadata as its next revision (optimistic
+ * concurrency). The rows go to a new object first; then one transaction
+ * checks the revision, bumps it, applies `updates` and points the doc's
+ * dataPath at the new rows — so a revision and its rows always change
+ * together, and a reader can't pair a new revision with old rows.
+ *
+ * baseRevision is the revision the new rows were worked out from: the one
+ * the client loaded, or the one the server read the rows at. If another
+ * save landed since, nothing changes and a 409 carries `currentRevision`.
+ * The same transaction takes the save's version number, so two saves can't
+ * both claim it. Returns `{ revision, versionNumber }`.
+ */
+async function saveSheetRevision(projectId, sheetRef, baseRevision, rows, updates) {
+  const dataPath = `projects/${projectId}/sheets/${sheetRef.id}/data_${crypto.randomUUID()}.json`;
+  await storage.file(dataPath).save(JSON.stringify(rows), { metadata: { contentType: 'application/json' } });
+
+  let replacedPath;
+  let saved;
+  try {
+    saved = await db.runTransaction(async (t) => {
+      const doc = await t.get(sheetRef);
+      const current = doc.data().revision || 0;
+      if (baseRevision !== current) throw revisionConflict(current, baseRevision);
+      replacedPath = sheetDataPath(projectId, doc.data());
+      // Version 1 is the ingested data, written alongside the first save
+      const versionNumber = Math.max(doc.data().latestVersion || 0, 1) + 1;
+      t.update(sheetRef, { ...updates, dataPath, revision: current + 1, latestVersion: versionNumber });
+      return { revision: current + 1, versionNumber };
+    });
+  } catch (err) {
+    await storage.file(dataPath).delete({ ignoreNotFound: true });
+    throw err;
+  }
+
+  // Versions keep their own snapshots — the replaced rows aren't needed
+  try {
+    await storage.file(replacedPath).delete({ ignoreNotFound: true });
+  } catch (cleanupErr) {
+    console.error('Removing replaced sheet rows failed:', cleanupErr.message);
+  }
+  return saved;
+}
+
+// ─── Sheet versions ───────────────────────────────────────────────────────────
+// Every save stores a snapshot at projects/{p}/sheets/{s}/versions/{v}.json
+// plus a metadata doc in the sheet's versions subcollection.
+
+const DEFAULT_VERSION_RETENTION = parseInt(process.env.SHEET_VERSION_RETENTION, 10) || 20;
+
+async function writeVersion(projectId, sheetRef, version, state) {
+  const storagePath = `projects/${projectId}/sheets/${sheetRef.id}/versions/${version.id}.json`;
+  await storage.file(storagePath).save(
+    JSON.stringify({ rows: state.rows, columns: state.columns }),
+    { metadata: { contentType: 'application/json' } },
+  );
+  const versionData = { ...version, storagePath, rowCount: state.rows.length, columnCount: state.columns.length };
+  await sheetRef.collection('versions').doc(version.id).set(versionData);
+  return versionData;
+}
+
+async function readVersion(sheetRef, versionId) {
+  const versionDoc = await sheetRef.collection('versions').doc(versionId).get();
+  if (!versionDoc.exists) {
+    const err = new Error('Version not found');
+    err.status = 404;
+    throw err;
+  }
+  const version = versionDoc.data();
+  const [contents] = await storage.file(version.storagePath).download();
+  return { version, ...JSON.parse(contents.toString('utf8')) };
+}
+
+/**
+ * Version 1 is the ingested data, so a bad first edit can always be undone.
+ * New sheets write it at ingest.
+ */
+async function writeIngestVersion(projectId, sheetRef, sheetData, state) {
+  await writeVersion(projectId, sheetRef, {
+    id: 'ingest',
+    number: 1,
+    reason: 'ingest',
+    authorUid: sheetData.ownerId,
+    authorEmail: sheetData.ownerEmail || '',
+    createdAt: sheetData.uploadedAt,
+    diff: null,
+  }, state);
+}
+
+// Sheets ingested before that get it just before their first save commits,
+// from the rows the save replaces. The fixed id keeps racing first saves
+// from writing two.
+async function ensureIngestVersion(projectId, sheetRef, sheetData, state) {
+  if (!sheetData.latestVersion) await writeIngestVersion(projectId, sheetRef, sheetData, state);
+}
+
+/**
+ * Snapshot a save as version `number`, as allocated by saveSheetRevision.
+ * Versions beyond the sheet's retention limit are pruned, oldest first.
+ */
+async function recordSheetVersion(projectId, sheetRef, sheetData, { number, before, after, user, reason }) {
+  const version = await writeVersion(projectId, sheetRef, {
+    id: crypto.randomUUID(),
+    number,
+    reason,
+    authorUid: user.uid,
+    authorEmail: user.email || '',
+    createdAt: new Date().toISOString(),
+    diff: diffSheets(before, after).summary,
+  }, after);
+
+  const retention = sheetData.versionRetention || DEFAULT_VERSION_RETENTION;
+  const snapshot = await sheetRef.collection('versions').get();
+  const stale = snapshot.docs
+    .map(doc => doc.data())
+    .sort((a, b) => b.number - a.number)
+    .slice(retention);
+  await Promise.all(stale.map(async (v) => {
+    await storage.file(v.storagePath).delete({ ignoreNotFound: true });
+    await sheetRef.collection('versions').doc(v.id).delete();
+  }));
+
+  return version;
+}
+
+// JSON-valued multipart fields arrive as strings; JSON bodies as objects
+function jsonField(value, name) {
+  if (value === undefined || value === null || value === '') return {};
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    const err = new Error(`${name} must be valid JSON`);
+    err.status = 400;
+    throw err;
+  }
+}
+
+/**
+ * Validate an ingest form (POST /ingest or /ingest/jobs) and check access,
+ * before any parsing starts. Returns what ingestFile needs.
+ */
+async function readIngestRequest(req) {
+  const {
+    projectId,
+    selectedSheet,
+    columnOverrides,
+    applyRules: applyRulesParam,
+    duplicateMode = 'keep',
+    templateId,
+    columnCurrencies,
+    sheets,
+    mergeTabs,
+    appendTo,
+    columnMapping,
+    addNewColumns,
+    baseRevision,
+  } = req.body;
+
+  const fail = (status, message) => {
+    const err = new Error(message);
+    err.status = status;
+    return err;
+  };
+  if (!projectId) throw fail(400, 'projectId is required');
+  if (!DUPLICATE_MODES.includes(duplicateMode)) {
+    throw fail(400, `duplicateMode must be one of: ${DUPLICATE_MODES.join(', ')}`);
+  }
+
+  // sheets: "all" or a JSON list of tab names — absent means one tab, as before
+  let sheetList = null;
+  if (sheets !== undefined && sheets !== null && sheets !== '') {
+    sheetList = sheets === 'all' ? 'all' : jsonField(sheets, 'sheets');
+    if (sheetList !== 'all' && (!Array.isArray(sheetList) || sheetList.length === 0
+      || sheetList.some((name) => typeof name !== 'string'))) {
+      throw fail(400, 'sheets must be "all" or a non-empty list of sheet names');
+    }
+  }
+  const merge = String(mergeTabs ?? 'false') === 'true';
+  if (merge && !sheetList) throw fail(400, 'mergeTabs needs sheets ("all" or a list of sheet names)');
+  if (appendTo && sheetList) throw fail(400, 'appendTo takes one sheet of the file — use selectedSheet, not sheets');
+
+  // Multipart sends numbers as text
+  const revision = baseRevision === undefined || baseRevision === null || baseRevision === ''
+    ? null
+    : Number(baseRevision);
+  if (revision !== null && !Number.isInteger(revision)) throw fail(400, 'baseRevision must be an integer');
+
+  const userData = await assertUserExists(req.user.uid);
+  const project = await assertProjectAccess(projectId, req.user.uid, 'editor');
+  if (appendTo) await assertSheetInProject(projectId, appendTo);
+
+  let template = null;
+  if (templateId) {
+    const templateDoc = await db.collection('users').doc(req.user.uid)
+      .collection('importTemplates').doc(templateId).get();
+    if (!templateDoc.exists) throw fail(404, 'Import template not found');
+    template = templateDoc.data();
+  }
+
+  return {
+    user: { uid: req.user.uid, email: req.user.email || '' },
+    projectId,
+    project,
+    userData,
+    template,
+    options: {
+      selectedSheet: selectedSheet || null,
+      columnOverrides: jsonField(columnOverrides, 'columnOverrides'),
+      columnCurrencies: jsonField(columnCurrencies, 'columnCurrencies'),
+      // Rules are on by default — multipart bodies send applyRules=false to skip them
+      applyRules: String(applyRulesParam ?? 'true') !== 'false',
+      duplicateMode,
+      sheets: sheetList,
+      mergeTabs: merge,
+      appendTo: appendTo || null,
+      columnMapping: jsonField(columnMapping, 'columnMapping'),
+      addNewColumns: String(addNewColumns ?? 'true') !== 'false',
+      baseRevision: revision,
+    },
+  };
+}
+
+// Parse an upload per the ingest options → { parsedSheets, skippedTabs }
+async function parseUpload({ userData, template, options }, file) {
+  // Overrides go into the parser so values are normalized to the final type.
+  // Explicit columnOverrides win over the template's types.
+  const parseOptions = {
+    dateFormat: userData.dateFormat,
+    columnTypes: { ...(template?.columnTypes || {}), ...options.columnOverrides },
+    headerRowIndex: template?.headerRowIndex,
+    columnCurrencies: options.columnCurrencies,
+    mergeTabs: options.mergeTabs,
+  };
+  if (options.sheets) {
+    const workbook = file.path
+      ? await parseWorkbookInWorker(file.path, file.originalname, options.sheets, parseOptions)
+      : parseWorkbook(file.buffer, file.originalname, options.sheets, parseOptions);
+    return { parsedSheets: workbook.sheets, skippedTabs: workbook.skipped };
+  }
+  const selectedSheet = options.selectedSheet || template?.sheetName || null;
+  const parsed = file.path
+    ? await parseFileInWorker(file.path, file.originalname, selectedSheet, parseOptions)
+    : parseFile(file.buffer, file.originalname, selectedSheet, parseOptions);
+  return { parsedSheets: [parsed], skippedTabs: [] };
+}
+
+/**
+ * Parse an upload and store it as new sheet(s). Shared by POST /ingest and
+ * background ingest jobs. `file` is multer's file: in memory (buffer) or on
+ * disk (path — parsed in a worker thread). `onStage(stage, fields, progress)`
+ * is awaited as each step of the pipeline starts (see INGEST_STAGES).
+ *
+ * With options.sheets ('all' or tab names) every tab becomes its own sheet —
+ * or, with mergeTabs, tabs sharing a header become one — and the result
+ * lists them under `sheets`. Otherwise one tab is read, as before. With
+ * options.appendTo the rows go onto that existing sheet instead (appendFile).
+ */
+async function ingestFile(request, file, onStage = async () => {}) {
+  const { user, projectId, project, userData, template, options } = request;
+  if (options.appendTo) return appendFile(request, file, onStage);
+
+  await onStage('parsing');
+  const { parsedSheets, skippedTabs } = await parseUpload(request, file);
+
+  const warnings = parsedSheets.flatMap((p) => (options.sheets
+    ? p.warnings.map((w) => (w.sheet ? w : { ...w, sheet: p.selectedSheet }))
+    : p.warnings));
+  await onStage('transforming', {
+    rowsParsed: parsedSheets.reduce((sum, p) => sum + p.rows.length, 0),
+    sheetsTotal: parsedSheets.length,
+    ...trimWarnings(warnings),
+  });
+
+  const rules = options.applyRules ? await readUserRules(user.uid) : [];
+  // Tabs stored earlier in this upload count as existing for duplicate checks
+  const existingSheets = await readProjectSheets(projectId);
+  const newSheets = [];
+  const results = [];
+  let firstStoragePath = null;
+
+  for (const [index, parsed] of parsedSheets.entries()) {
+    const progress = { sheet: index, sheets: parsedSheets.length };
+    if (index > 0) await onStage('transforming', {}, progress);
+
+    let { columns, rows } = parsed;
+    if (template) {
+      ({ columns, rows } = applyTemplate(columns, rows, template));
+    }
+
+    // Categorization rules fill in a derived Category column
+    let categorized = null;
+    if (rules.length > 0) {
+      const result = applyRules(rows, columns, rules);
+      rows = result.rows;
+      columns = result.columns;
+      categorized = {
+        matched: result.matched,
+        total: rows.length,
+        ruleHits: result.ruleHits,
+        skippedRules: result.skippedRules,
+      };
+    }
+
+    await onStage('checkingDuplicates', {}, progress);
+
+    // Rows already stored in the project — skipped, flagged or kept per duplicateMode
+    const { duplicates } = findDuplicates(rows, columns, [...existingSheets, ...newSheets], {
+      dateFormat: userData.dateFormat,
+    });
+    rows = resolveDuplicates(rows, duplicates, options.duplicateMode);
+
+    await onStage('storing', {}, progress);
+
+    // Every sheet keeps its own copy of the upload, so deleting one tab's
+    // sheet leaves the others' originals in place
+    const sheetId = crypto.randomUUID();
+    const storagePath = `projects/${projectId}/sheets/${sheetId}/raw_${file.originalname}`;
+    const metadata = { contentType: file.mimetype };
+    if (firstStoragePath) {
+      await storage.file(firstStoragePath).copy(storage.file(storagePath));
+    } else if (file.path) {
+      await storage.upload(file.path, { destination: storagePath, metadata });
+    } else {
+      await storage.file(storagePath).save(file.buffer, { metadata });
+    }
+    firstStoragePath ||= storagePath;
+    await writeSheetRows(projectId, sheetId, rows);
+
+    await onStage('saving', {}, progress);
+
+    const sheetRef = db.collection('projects').doc(projectId).collection('sheets').doc(sheetId);
+    const sheetData = {
+      id: sheetId,
+      projectId,
+      ownerId: user.uid,
+      ownerEmail: user.email,
+      fileName: file.originalname,
+      selectedSheet: parsed.selectedSheet,
+      ...(options.sheets ? { sourceTabs: parsed.sourceTabs } : {}),
+      templateId: template?.id || null,
+      uploadedAt: new Date().toISOString(),
+      rowCount: rows.length,
+      columns,
+      revision: 0,
+      latestVersion: 1,
+      // No URLs stored — reads go through the Admin SDK, and the original
+      // upload is handed out as a short-lived link by GET /sheet/:id/original
+      storagePath,
+    };
+
+    await writeIngestVersion(projectId, sheetRef, sheetData, { rows, columns });
+    await sheetRef.set(sheetData);
+    newSheets.push({ sheet: sheetData, rows });
+
+    results.push({
+      sheetId,
+      selectedSheet: parsed.selectedSheet,
+      sourceTabs: parsed.sourceTabs,
+      rowCount: rows.length,
+      columns,
+      preview: rows.slice(0, 10),
+      warnings: parsed.warnings,
+      categorized,
+      duplicates: {
+        mode: options.duplicateMode,
+        count: duplicates.length,
+        skipped: options.duplicateMode === 'skip' ? duplicates.length : 0,
+      },
+    });
+  }
+
+  await db.collection('projects').doc(projectId).set({
+    sheetCount: admin.firestore.FieldValue.increment(newSheets.length),
+    updatedAt: new Date().toISOString(),
+  }, { merge: true });
+
+  await db.collection('users').doc(user.uid).update({
+    lastActiveProject: projectId,
+    updatedAt: new Date().toISOString(),
+  });
+
+  await onStage('scanning');
+
+  // New data is when new anomalies appear — a failed scan mustn't fail the upload
+  let newInsights = null;
+  try {
+    const sheets = await convertSheetsToProjectCurrency(project, [...existingSheets, ...newSheets], userData.dateFormat);
+    const insights = detectAnomalies(sheets, { dateFormat: userData.dateFormat });
+    newInsights = await storeInsights(projectId, insights);
+  } catch (scanErr) {
+    console.error('Insight scan after ingest failed:', scanErr.message);
+  }
+
+  if (!options.sheets) {
+    const { selectedSheet, sourceTabs, ...result } = results[0];
+    return { ...result, newInsights };
+  }
+  return {
+    sheetIds: results.map((r) => r.sheetId),
+    sheets: results,
+    skippedTabs,
+    newInsights,
+  };
+}
+
+/**
+ * Append an upload's rows to an existing sheet (options.appendTo). Columns
+ * are matched by name or options.columnMapping (see prepareAppend), rules
+ * and duplicate checks run on the new rows only, and the upload is kept
+ * next to the sheet's original as an extra entry in `sources`. The append
+ * is a revision + version like any other save.
+ */
+async function appendFile(request, file, onStage) {
+  const { user, projectId, project, userData, template, options } = request;
+  const { sheetRef, sheetData } = await assertSheetInProject(projectId, options.appendTo);
+  // The append is based on the sheet as read here — its columns now, its
+  // rows below. Any save in between fails the revision check with a 409.
+  const readRevision = sheetData.revision || 0;
+  if (options.baseRevision !== null && options.baseRevision !== readRevision) {
+    throw revisionConflict(readRevision, options.baseRevision);
+  }
+
+  await onStage('parsing');
+  const { parsedSheets: [parsed] } = await parseUpload(request, file);
+
+  await onStage('transforming', { rowsParsed: parsed.rows.length, ...trimWarnings(parsed.warnings) });
+
+  let incoming = { columns: parsed.columns, rows: parsed.rows };
+  if (template) incoming = applyTemplate(incoming.columns, incoming.rows, template);
+
+  const prepared = prepareAppend(sheetData, incoming, {
+    mapping: options.columnMapping,
+    addNewColumns: options.addNewColumns,
+    dateFormat: userData.dateFormat,
+  });
+  let { columns, rows: newRows } = prepared;
+
+  let categorized = null;
+  if (options.applyRules) {
+    const rules = await readUserRules(user.uid);
+    if (rules.length > 0) {
+      const result = applyRules(newRows, columns, rules);
+      newRows = result.rows;
+      columns = result.columns;
+      categorized = {
+        matched: result.matched,
+        total: newRows.length,
+        ruleHits: result.ruleHits,
+        skippedRules: result.skippedRules,
+      };
+    }
+  }
+
+  // The sheet's calculated columns fill in for the new rows too
+  const calculated = computeColumns(newRows, columns, { dateFormat: userData.dateFormat });
+  newRows = calculated.rows;
+  columns = calculated.columns;
+
+  await onStage('checkingDuplicates');
+
+  // The sheet's own rows are among the existing ones, so re-uploading an
+  // overlapping export is caught here
+  const existingSheets = await readProjectSheets(projectId);
+  const { duplicates } = findDuplicates(newRows, columns, existingSheets, {
+    dateFormat: userData.dateFormat,
+  });
+  newRows = resolveDuplicates(newRows, duplicates, options.duplicateMode);
+
+  await onStage('storing', { rowCount: newRows.length });
+
+  const previousRows = existingSheets.find((s) => s.sheet.id === sheetData.id).rows;
+  const rows = combineRows(previousRows, newRows, columns);
+  const sourceId = crypto.randomUUID();
+  const source = {
+    id: sourceId,
+    fileName: file.originalname,
+    selectedSheet: parsed.selectedSheet,
+    storagePath: `projects/${projectId}/sheets/${sheetData.id}/source_${sourceId}_${file.originalname}`,
+    rowCount: newRows.length,
+    addedBy: user.uid,
+    addedByEmail: user.email,
+    addedAt: new Date().toISOString(),
+  };
+
+  await ensureIngestVersion(projectId, sheetRef, sheetData, { rows: previousRows, columns: sheetData.columns });
+
+  // Revision first, so a stale base is rejected before the upload is stored
+  const { revision, versionNumber } = await saveSheetRevision(projectId, sheetRef, readRevision, rows, {
+    rowCount: rows.length,
+    columns,
+    sources: admin.firestore.FieldValue.arrayUnion(source),
+    updatedAt: new Date().toISOString(),
+  });
+
+  const metadata = { contentType: file.mimetype };
+  if (file.path) {
+    await storage.upload(file.path, { destination: source.storagePath, metadata });
+  } else {
+    await storage.file(source.storagePath).save(file.buffer, { metadata });
+  }
+
+  await onStage('saving');
+
+  const version = await recordSheetVersion(projectId, sheetRef, sheetData, {
+    number: versionNumber,
+    before: { rows: previousRows, columns: sheetData.columns },
+    after: { rows, columns },
+    user,
+    reason: 'append',
+  });
+
+  await db.collection('projects').doc(projectId).set({ updatedAt: new Date().toISOString() }, { merge: true });
+  await db.collection('users').doc(user.uid).update({
+    lastActiveProject: projectId,
+    updatedAt: new Date().toISOString(),
+  });
+
+  await onStage('scanning');
+
+  let newInsights = null;
+  try {
+    const updated = existingSheets.map((s) => (s.sheet.id === sheetData.id
+      ? { sheet: { ...sheetData, columns, rowCount: rows.length }, rows }
+      : s));
+    const sheets = await convertSheetsToProjectCurrency(project, updated, userData.dateFormat);
+    newInsights = await storeInsights(projectId, detectAnomalies(sheets, { dateFormat: userData.dateFormat }));
+  } catch (scanErr) {
+    console.error('Insight scan after append failed:', scanErr.message);
+  }
+
+  return {
+    sheetId: sheetData.id,
+    selectedSheet: parsed.selectedSheet,
+    appended: newRows.length,
+    rowCount: rows.length,
+    columns,
+    preview: newRows.slice(0, 10),
+    warnings: [...parsed.warnings, ...prepared.warnings, ...calculated.warnings],
+    columnReport: prepared.report,
+    categorized,
+    duplicates: {
+      mode: options.duplicateMode,
+      count: duplicates.length,
+      skipped: options.duplicateMode === 'skip' ? duplicates.length : 0,
+    },
+    sourceId,
+    revision,
+    version: { id: version.id, number: version.number, diff: version.diff },
+    newInsights,
+  };
+}
+
+// Background ingests run one (or INGEST_CONCURRENCY) at a time per server
+const ingestQueue = createJobQueue(parseInt(process.env.INGEST_CONCURRENCY, 10) || 1);
+
+// Worker body for one ingest job — records every stage on the job doc and
+// always removes the temp upload
+async function runIngestJob(jobRef, request, file) {
+  const update = (fields) => jobRef.update({ ...fields, updatedAt: new Date().toISOString() });
+
+  try {
+    await update({ status: 'running', startedAt: new Date().toISOString() });
+    const result = await ingestFile(request, file, (stage, fields = {}, progress = null) => update({
+      ...stageUpdate(stage, progress),
+      ...(progress ? { sheetsDone: progress.sheet } : {}),
+      ...fields,
+    }));
+
+    // Summaries only — rows and previews stay out of the job doc
+    const sheets = (result.sheets || [result]).map((r) => ({
+      sheetId: r.sheetId,
+      selectedSheet: r.selectedSheet ?? null,
+      sourceTabs: r.sourceTabs ?? null,
+      rowCount: r.rowCount,
+      appended: r.appended ?? null,
+      categorized: r.categorized && { matched: r.categorized.matched, total: r.categorized.total },
+      duplicates: r.duplicates,
+    }));
+    await update({
+      status: 'succeeded',
+      ...stageUpdate('done'),
+      sheetId: sheets[0].sheetId,
+      sheetIds: sheets.map((r) => r.sheetId),
+      sheetsDone: sheets.length,
+      rowCount: sheets.reduce((sum, r) => sum + r.rowCount, 0),
+      sheets,
+      skippedTabs: result.skippedTabs || [],
+      columnReport: result.columnReport || null,
+      newInsights: result.newInsights,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    console.error('Ingest job error:', err.message);
+    // The job doc is gone too if its project was deleted meanwhile
+    await update({ status: 'failed', error: err.message, finishedAt: new Date().toISOString() })
+      .catch((updateErr) => console.error('Could not record ingest job failure:', updateErr.message));
+  } finally {
+    await fs.promises.unlink(file.path).catch(() => {});
+  }
+}
+
 // ─── Health Check ─────────────────────────────────────────────────────────────
 
 router.get('/health', (req, res) => {
@@ -136,11 +1072,32 @@ router.delete('/users/me', verifyToken, async (req, res) => {
         const basePath = `projects/${projectId}/sheets/${sheetDoc.id}`;
         const [files] = await storage.getFiles({ prefix: basePath });
         await Promise.all(files.map((f) => f.delete()));
+        await deleteSubcollection(sheetDoc.ref.collection('versions'));
         await sheetDoc.ref.delete();
       }
+      await deleteSubcollection(projectDoc.ref.collection('budgets'));
+      await deleteSubcollection(projectDoc.ref.collection('insights'));
+      await deleteSubcollection(projectDoc.ref.collection('subscriptions'));
+      await deleteSubcollection(projectDoc.ref.collection('ingestJobs'));
+      await deleteInvitations(projectId);
+      await deleteShareLinks(projectId);
       await projectDoc.ref.delete();
     }
 
+    // Projects shared with the user lose them as a member, nothing else
+    const sharedSnapshot = await db.collection('projects')
+      .where('memberIds', 'array-contains', uid)
+      .get();
+    await Promise.all(sharedSnapshot.docs
+      .filter((doc) => doc.data().ownerId !== uid)
+      .map((doc) => doc.ref.update({
+        [`members.${uid}`]: admin.firestore.FieldValue.delete(),
+        memberIds: admin.firestore.FieldValue.arrayRemove(uid),
+      })));
+
+    await deleteSubcollection(db.collection('users').doc(uid).collection('categoryRules'));
+    await deleteSubcollection(db.collection('users').doc(uid).collection('importTemplates'));
+    await deleteSubcollection(db.collection('users').doc(uid).collection('exchangeRates'));
     await db.collection('users').doc(uid).delete();
     await admin.auth().deleteUser(uid);
 
@@ -186,6 +1143,8 @@ router.post('/projects', verifyToken, express.json(), async (req, res) => {
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
       dashboardLayout: [],
+      members: { [req.user.uid]: memberEntry(req.user, 'owner') },
+      memberIds: [req.user.uid],
     };
 
     await db.collection('projects').doc(projectId).set(projectData);
@@ -202,17 +1161,23 @@ router.post('/projects', verifyToken, express.json(), async (req, res) => {
   }
 });
 
+// ─── GET /api/projects ────────────────────────────────────────────────────────
+// Projects the user owns or is a member of, each with the user's `role`.
+
 router.get('/projects', verifyToken, async (req, res) => {
   try {
     await assertUserExists(req.user.uid);
 
-    const snapshot = await db.collection('projects')
-      .where('ownerId', '==', req.user.uid)
-      .get();
+    // Projects from before sharing have no memberIds — the ownerId query covers them
+    const [owned, shared] = await Promise.all([
+      db.collection('projects').where('ownerId', '==', req.user.uid).get(),
+      db.collection('projects').where('memberIds', 'array-contains', req.user.uid).get(),
+    ]);
+    const byId = new Map([...owned.docs, ...shared.docs].map(doc => [doc.id, doc.data()]));
 
     // Sort in JS — no composite index needed
-    const projects = snapshot.docs
-      .map(doc => doc.data())
+    const projects = [...byId.values()]
+      .map(project => ({ ...project, role: roleOf(project, req.user.uid) }))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
     res.json({ success: true, projects });
@@ -227,7 +1192,7 @@ router.delete('/projects/:id', verifyToken, async (req, res) => {
     const { id } = req.params;
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(id, req.user.uid);
+    await assertProjectAccess(id, req.user.uid, 'owner');
 
     const projectRef = db.collection('projects').doc(id);
     const sheetsSnapshot = await projectRef.collection('sheets').get();
@@ -236,9 +1201,16 @@ router.delete('/projects/:id', verifyToken, async (req, res) => {
       const basePath = `projects/${id}/sheets/${sheetDoc.id}`;
       const [files] = await storage.getFiles({ prefix: basePath });
       await Promise.all(files.map((f) => f.delete()));
+      await deleteSubcollection(sheetDoc.ref.collection('versions'));
       await sheetDoc.ref.delete();
     }
 
+    await deleteSubcollection(projectRef.collection('budgets'));
+    await deleteSubcollection(projectRef.collection('insights'));
+    await deleteSubcollection(projectRef.collection('subscriptions'));
+    await deleteSubcollection(projectRef.collection('ingestJobs'));
+    await deleteInvitations(id);
+    await deleteShareLinks(id);
     await projectRef.delete();
 
     const userDoc = await db.collection('users').doc(req.user.uid).get();
@@ -257,244 +1229,2254 @@ router.delete('/projects/:id', verifyToken, async (req, res) => {
 });
 
 // ═════════════════════════════════════════════════════════════════════════════
-// SHEET ENDPOINTS
+// MEMBER ENDPOINTS
 // ═════════════════════════════════════════════════════════════════════════════
 
-router.post('/parse', verifyToken, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+// ─── GET /api/projects/:projectId/members ─────────────────────────────────────
+// Everyone with access and their role. Owners also see pending invitations.
 
-    const { projectId, selectedSheet } = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+router.get('/projects/:projectId/members', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
-
-    const result = parseFile(req.file.buffer, req.file.originalname, selectedSheet || null);
-    const { rows, ...meta } = result;
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const role = roleOf(project, req.user.uid);
+
+    let invitations = [];
+    if (role === 'owner') {
+      const snapshot = await db.collection('invitations').where('projectId', '==', projectId).get();
+      // Filter + sort in JS — no composite index needed
+      invitations = snapshot.docs
+        .map((doc) => doc.data())
+        .filter((inv) => inv.status === 'pending')
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
 
-    res.json({
-      success: true,
-      fileName: req.file.originalname,
-      fileSize: req.file.size,
-      ...meta,
-    });
+    res.json({ success: true, role, members: listMembers(project), invitations });
   } catch (err) {
-    console.error('Parse error:', err.message);
-    res.status(err.status || 422).json({ error: err.message });
+    console.error('List members error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.post('/ingest', verifyToken, upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+// ─── POST /api/projects/:projectId/invitations ────────────────────────────────
+// Body: { email, role = 'viewer' } — role is viewer or editor. Inviting an
+// address that already has a pending invitation refreshes its role + expiry.
+// The invitee finds it under GET /api/invitations once signed in.
 
-    const { projectId, selectedSheet, columnOverrides } = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+router.post('/projects/:projectId/invitations', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'owner');
 
-    const parsed = parseFile(req.file.buffer, req.file.originalname, selectedSheet || null);
-
-    let columns = parsed.columns;
-    if (columnOverrides) {
-      const overrides = typeof columnOverrides === 'string'
-        ? JSON.parse(columnOverrides)
-        : columnOverrides;
-      columns = columns.map((col) => ({
-        ...col,
-        type: overrides[col.name] || col.type,
-      }));
+    const { email, role } = validateInvitation(req.body);
+    if (listMembers(project).some((m) => m.email === email)) {
+      return res.status(409).json({ error: `${email} is already a member of this project` });
     }
 
-    const sheetId = crypto.randomUUID();
-    const storagePath = `projects/${projectId}/sheets/${sheetId}/raw_${req.file.originalname}`;
-    const rawFile = storage.file(storagePath);
-    await rawFile.save(req.file.buffer, { metadata: { contentType: req.file.mimetype } });
-    const [storageUrl] = await rawFile.getSignedUrl({ action: 'read', expires: '2099-01-01' });
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + INVITATION_TTL_DAYS * 86400000).toISOString();
 
-    const jsonPath = `projects/${projectId}/sheets/${sheetId}/data.json`;
-    const jsonFile = storage.file(jsonPath);
-    await jsonFile.save(JSON.stringify(parsed.rows), { metadata: { contentType: 'application/json' } });
-    const [parsedDataUrl] = await jsonFile.getSignedUrl({ action: 'read', expires: '2099-01-01' });
+    const snapshot = await db.collection('invitations').where('projectId', '==', projectId).get();
+    const pending = snapshot.docs.map((doc) => doc.data()).find((inv) => inv.status === 'pending' && inv.email === email);
+    if (pending) {
+      const updates = { role, expiresAt, updatedAt: now.toISOString() };
+      await db.collection('invitations').doc(pending.id).update(updates);
+      return res.json({ success: true, invitation: { ...pending, ...updates } });
+    }
 
-    const sheetData = {
-      id: sheetId,
+    const invitationId = crypto.randomUUID();
+    const invitation = {
+      id: invitationId,
       projectId,
-      ownerId: req.user.uid,
-      ownerEmail: req.user.email || '',
-      fileName: req.file.originalname,
-      selectedSheet: parsed.selectedSheet,
-      uploadedAt: new Date().toISOString(),
-      rowCount: parsed.rowCount,
-      columns,
-      storageUrl,
-      parsedDataUrl,
+      projectName: project.name,
+      email,
+      role,
+      status: 'pending',
+      invitedBy: req.user.uid,
+      invitedByEmail: req.user.email || '',
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString(),
+      expiresAt,
     };
+    await db.collection('invitations').doc(invitationId).set(invitation);
 
-    await db.collection('projects').doc(projectId).collection('sheets').doc(sheetId).set(sheetData);
-
-    await db.collection('projects').doc(projectId).set({
-      sheetCount: admin.firestore.FieldValue.increment(1),
-      updatedAt: new Date().toISOString(),
-    }, { merge: true });
-
-    await db.collection('users').doc(req.user.uid).update({
-      lastActiveProject: projectId,
-      updatedAt: new Date().toISOString(),
-    });
-
-    res.json({ success: true, sheetId, rowCount: parsed.rowCount, columns, preview: parsed.preview });
+    res.status(201).json({ success: true, invitation });
   } catch (err) {
-    console.error('Ingest error:', err);
+    console.error('Create invitation error:', err.message);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.post('/suggest-charts', verifyToken, express.json(), async (req, res) => {
+router.delete('/projects/:projectId/invitations/:invitationId', verifyToken, async (req, res) => {
   try {
-    const { columns } = req.body;
-    if (!columns || !Array.isArray(columns)) {
-      return res.status(400).json({ error: 'columns array is required' });
+    const { projectId, invitationId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'owner');
+
+    const invitationRef = db.collection('invitations').doc(invitationId);
+    const invitationDoc = await invitationRef.get();
+    if (!invitationDoc.exists || invitationDoc.data().projectId !== projectId) {
+      return res.status(404).json({ error: 'Invitation not found' });
     }
-    const suggestions = suggestCharts(columns);
-    res.json({ success: true, ...suggestions });
+    if (invitationDoc.data().status !== 'pending') {
+      return res.status(409).json({ error: `Invitation is already ${invitationDoc.data().status}` });
+    }
+
+    await invitationRef.update({ status: 'revoked', updatedAt: new Date().toISOString() });
+
+    res.json({ success: true, message: 'Invitation revoked' });
   } catch (err) {
-    console.error('Suggest charts error:', err.message);
-    res.status(500).json({ error: err.message });
+    console.error('Revoke invitation error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.get('/projects/:projectId/sheets', verifyToken, async (req, res) => {
+// ─── PATCH /api/projects/:projectId/members/:memberId ─────────────────────────
+// Body: { role } — switch a member between viewer and editor.
+
+router.patch('/projects/:projectId/members/:memberId', verifyToken, express.json(), async (req, res) => {
   try {
-    const { projectId } = req.params;
+    const { projectId, memberId } = req.params;
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'owner');
 
-    const sheetsSnapshot = await db
-      .collection('projects').doc(projectId)
-      .collection('sheets')
-      .get();
+    const role = validateRole(req.body.role);
+    if (memberId === project.ownerId) return res.status(400).json({ error: 'The owner\'s role can\'t be changed' });
+    if (!project.members?.[memberId]) return res.status(404).json({ error: 'Member not found' });
 
-    // Sort in JS — no composite index needed
-    const sheets = sheetsSnapshot.docs
-      .map(doc => {
-        const { parsedDataUrl, storageUrl, ...safe } = doc.data();
-        return safe;
-      })
-      .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+    await db.collection('projects').doc(projectId).update({
+      [`members.${memberId}.role`]: role,
+      updatedAt: new Date().toISOString(),
+    });
 
-    res.json({ success: true, sheets });
+    res.json({ success: true, member: { uid: memberId, ...project.members[memberId], role } });
   } catch (err) {
-    console.error('List sheets error:', err.message);
+    console.error('Update member error:', err.message);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.get('/sheet/:id/data', verifyToken, async (req, res) => {
+// ─── DELETE /api/projects/:projectId/members/:memberId ────────────────────────
+// Owners remove members; any member can remove themselves to leave.
+
+router.delete('/projects/:projectId/members/:memberId', verifyToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { projectId } = req.query;
-    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+    const { projectId, memberId } = req.params;
+    const leaving = memberId === req.user.uid;
+
+    await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, leaving ? 'viewer' : 'owner');
+
+    if (memberId === project.ownerId) {
+      return res.status(400).json({ error: 'The owner can\'t leave their own project — delete it instead' });
+    }
+    if (!project.members?.[memberId]) return res.status(404).json({ error: 'Member not found' });
+
+    await db.collection('projects').doc(projectId).update({
+      [`members.${memberId}`]: admin.firestore.FieldValue.delete(),
+      memberIds: admin.firestore.FieldValue.arrayRemove(memberId),
+      updatedAt: new Date().toISOString(),
+    });
+
+    res.json({ success: true, message: leaving ? 'You left the project' : 'Member removed' });
+  } catch (err) {
+    console.error('Remove member error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/invitations ─────────────────────────────────────────────────────
+// Pending, unexpired invitations addressed to the signed-in user's email.
+
+router.get('/invitations', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const email = (req.user.email || '').toLowerCase();
+    if (!email) return res.json({ success: true, invitations: [] });
+
+    const snapshot = await db.collection('invitations').where('email', '==', email).get();
+    const now = new Date();
+    // Filter + sort in JS — no composite index needed
+    const invitations = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((inv) => inv.status === 'pending' && new Date(inv.expiresAt) >= now)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ success: true, invitations });
+  } catch (err) {
+    console.error('List invitations error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/invitations/:invitationId/accept ───────────────────────────────
+// Adds the user to the project with the invited role. The invitation and
+// the membership are written in one transaction.
 
+router.post('/invitations/:invitationId/accept', verifyToken, async (req, res) => {
+  try {
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
 
-    const sheetDoc = await db.collection('projects').doc(projectId).collection('sheets').doc(id).get();
-    if (!sheetDoc.exists) return res.status(404).json({ error: 'Sheet not found' });
+    const invitationRef = db.collection('invitations').doc(req.params.invitationId);
+    const result = await db.runTransaction(async (t) => {
+      const invitationDoc = await t.get(invitationRef);
+      if (!invitationDoc.exists) {
+        const err = new Error('Invitation not found');
+        err.status = 404;
+        throw err;
+      }
+      const invitation = invitationDoc.data();
+      const problem = invitationProblem(invitation, req.user);
+      if (problem) {
+        const err = new Error(problem.message);
+        err.status = problem.status;
+        throw err;
+      }
 
-    const sheetData = sheetDoc.data();
-    if (sheetData.ownerId !== req.user.uid) return res.status(403).json({ error: 'Access denied' });
+      const projectRef = db.collection('projects').doc(invitation.projectId);
+      const projectDoc = await t.get(projectRef);
+      if (!projectDoc.exists) {
+        const err = new Error('The project no longer exists');
+        err.status = 410;
+        throw err;
+      }
 
-    const https = require('https');
-    const jsonData = await new Promise((resolve, reject) => {
-      https.get(sheetData.parsedDataUrl, (response) => {
-        let data = '';
-        response.on('data', (chunk) => (data += chunk));
-        response.on('end', () => resolve(JSON.parse(data)));
-        response.on('error', reject);
-      }).on('error', reject);
+      const now = new Date().toISOString();
+      // Already in (e.g. owner accepting their own invite) — keep the better role
+      const current = roleOf(projectDoc.data(), req.user.uid);
+      const role = current && hasRole(current, invitation.role) ? current : invitation.role;
+      if (role !== current) {
+        t.update(projectRef, {
+          [`members.${req.user.uid}`]: memberEntry(req.user, role),
+          memberIds: admin.firestore.FieldValue.arrayUnion(req.user.uid),
+          updatedAt: now,
+        });
+      }
+      t.update(invitationRef, { status: 'accepted', acceptedBy: req.user.uid, acceptedAt: now, updatedAt: now });
+      return { projectId: invitation.projectId, role };
     });
 
-    res.json({ success: true, sheetId: id, rowCount: sheetData.rowCount, columns: sheetData.columns, rows: jsonData });
+    res.json({ success: true, ...result });
   } catch (err) {
-    console.error('Get sheet data error:', err.message);
+    console.error('Accept invitation error:', err.message);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-// ─── PUT /api/sheet/:id/data ──────────────────────────────────────────────────
-// Save edited rows + updated column definitions back to Firebase Storage.
-// Also re-runs column type inference on the new columns list.
+router.post('/invitations/:invitationId/decline', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
 
-router.put('/sheet/:id/data', verifyToken, express.json(), async (req, res) => {
+    const invitationRef = db.collection('invitations').doc(req.params.invitationId);
+    const invitationDoc = await invitationRef.get();
+    if (!invitationDoc.exists) return res.status(404).json({ error: 'Invitation not found' });
+
+    const problem = invitationProblem(invitationDoc.data(), req.user);
+    if (problem) return res.status(problem.status).json({ error: problem.message });
+
+    await invitationRef.update({ status: 'declined', updatedAt: new Date().toISOString() });
+
+    res.json({ success: true, message: 'Invitation declined' });
+  } catch (err) {
+    console.error('Decline invitation error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// DASHBOARD ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/dashboard ───────────────────────────────────
+// Saved widget layout. `stale` lists widgets whose sheet or columns have
+// since been deleted/renamed, so the UI can flag them instead of erroring.
+
+router.get('/projects/:projectId/dashboard', verifyToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const { projectId, rows, columns } = req.body;
+    const { projectId } = req.params;
 
-    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
-    if (!Array.isArray(rows)) return res.status(400).json({ error: 'rows must be an array' });
-    if (!Array.isArray(columns)) return res.status(400).json({ error: 'columns must be an array' });
+    await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const widgets = project.dashboardLayout || [];
+    const sheetsSnapshot = await db.collection('projects').doc(projectId).collection('sheets').get();
+    const stale = findStaleWidgets(widgets, sheetsSnapshot.docs.map(doc => doc.data()));
+
+    res.json({
+      success: true,
+      widgets,
+      stale,
+      updatedAt: project.dashboardUpdatedAt || null,
+    });
+  } catch (err) {
+    console.error('Get dashboard error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── PUT /api/projects/:projectId/dashboard ───────────────────────────────────
+// Replace the layout. Body: { widgets: [{ chartType, sheetId, xColumn,
+// yColumn, aggregation, dateBucket, filters, title, position: { x, y, w, h } }] }
+// Every widget is checked against its sheet's columns.
+
+router.put('/projects/:projectId/dashboard', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const sheetsSnapshot = await db.collection('projects').doc(projectId).collection('sheets').get();
+    const widgets = validateLayout(req.body.widgets, sheetsSnapshot.docs.map(doc => doc.data()), {
+      generateId: () => crypto.randomUUID(),
+    });
 
-    const sheetRef = db.collection('projects').doc(projectId).collection('sheets').doc(id);
-    const sheetDoc = await sheetRef.get();
-    if (!sheetDoc.exists) return res.status(404).json({ error: 'Sheet not found' });
+    const now = new Date().toISOString();
+    await db.collection('projects').doc(projectId).update({
+      dashboardLayout: widgets,
+      dashboardUpdatedAt: now,
+      updatedAt: now,
+    });
 
-    const sheetData = sheetDoc.data();
-    if (sheetData.ownerId !== req.user.uid) return res.status(403).json({ error: 'Access denied' });
+    res.json({ success: true, widgets, updatedAt: now });
+  } catch (err) {
+    console.error('Save dashboard error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    // Overwrite the parsed JSON in Firebase Storage
-    const jsonFile = storage.file(`projects/${projectId}/sheets/${id}/data.json`);
-    await jsonFile.save(JSON.stringify(rows), { metadata: { contentType: 'application/json' } });
+// ─── POST /api/projects/:projectId/dashboard/generate ─────────────────────────
+// Build a default layout from the ranked chart suggestions of every sheet.
+// Body: { maxWidgets = 6, save = true } — save: false returns it as a preview.
 
-    // Update sheet metadata — new rowCount + columns
-    await sheetRef.update({
-      rowCount: rows.length,
-      columns,
-      updatedAt: new Date().toISOString(),
+router.post('/projects/:projectId/dashboard/generate', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { maxWidgets, save = true } = req.body;
+
+    const userData = await assertUserExists(req.user.uid);
+    // A preview changes nothing, so viewers may ask for one
+    await assertProjectAccess(projectId, req.user.uid, save ? 'editor' : 'viewer');
+
+    const sheets = await readProjectSheets(projectId);
+    if (sheets.length === 0) {
+      return res.status(400).json({ error: 'Upload a sheet before generating a dashboard' });
+    }
+
+    const layout = generateLayout(sheets, { maxWidgets, dateFormat: userData.dateFormat });
+    const widgets = validateLayout(layout, sheets.map(({ sheet }) => sheet), {
+      generateId: () => crypto.randomUUID(),
     });
 
-    res.json({ success: true, rowCount: rows.length, columns });
+    const now = new Date().toISOString();
+    if (save) {
+      await db.collection('projects').doc(projectId).update({
+        dashboardLayout: widgets,
+        dashboardUpdatedAt: now,
+        updatedAt: now,
+      });
+    }
+
+    res.json({ success: true, widgets, saved: Boolean(save), updatedAt: save ? now : null });
   } catch (err) {
-    console.error('Save sheet data error:', err.message);
+    console.error('Generate dashboard error:', err.message);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
-router.delete('/sheet/:id', verifyToken, express.json(), async (req, res) => {
+// ═════════════════════════════════════════════════════════════════════════════
+// SHEET ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+router.post('/parse', verifyToken, upload.single('file'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { projectId } = req.body;
-    if (!projectId) return res.status(400).json({ error: 'projectId is required in body' });
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const { projectId, selectedSheet, appendTo, columnMapping } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const appendTarget = appendTo ? (await assertSheetInProject(projectId, appendTo)).sheetData : null;
+
+    const result = parseFile(req.file.buffer, req.file.originalname, selectedSheet || null, {
+      dateFormat: userData.dateFormat,
+    });
+    const { rows, ...meta } = result;
+
+    // Recognise a recurring file format so the client can offer its template
+    const templates = await readUserTemplates(req.user.uid);
+    const templateMatch = matchTemplate(meta.columns.map(c => c.name), templates);
+
+    // Flag rows that are already stored in this project (overlapping statements)
+    const existingSheets = await readProjectSheets(projectId);
+    const { duplicates } = findDuplicates(rows, meta.columns, existingSheets, {
+      dateFormat: userData.dateFormat,
+    });
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      ...meta,
+      template: templateMatch
+        ? { id: templateMatch.template.id, name: templateMatch.template.name, score: templateMatch.score }
+        : null,
+      // How the columns would line up when appending to `appendTo`
+      append: appendTarget
+        ? appendReport(matchColumns(meta.columns, appendTarget.columns, jsonField(columnMapping, 'columnMapping')))
+        : null,
+      duplicates: {
+        count: duplicates.length,
+        rows: duplicates.slice(0, 100).map(({ rowIndex, matches }) => ({
+          rowIndex,
+          row: rows[rowIndex],
+          matches,
+        })),
+      },
+    });
+  } catch (err) {
+    console.error('Parse error:', err.message);
+    res.status(err.status || 422).json({ error: err.message });
+  }
+});
+
+router.post('/ingest', verifyToken, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const request = await readIngestRequest(req);
+    const result = await ingestFile(request, req.file);
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    console.error('Ingest error:', err);
+    res.status(err.status || 500).json({ error: err.message, currentRevision: err.currentRevision });
+  }
+});
+
+// ─── POST /api/ingest/jobs ────────────────────────────────────────────────────
+// Same form as /ingest, but answers 202 with a job id as soon as the upload
+// is on disk. Parsing and storing happen in the background — poll
+// GET /ingest/jobs/:jobId. Takes files up to INGEST_MAX_FILE_MB.
+router.post('/ingest/jobs', verifyToken, jobUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const request = await readIngestRequest(req);
+    const jobRef = db.collection('projects').doc(request.projectId).collection('ingestJobs').doc();
+    const now = new Date().toISOString();
+    const job = {
+      id: jobRef.id,
+      projectId: request.projectId,
+      ownerId: req.user.uid,
+      ownerEmail: req.user.email || '',
+      fileName: req.file.originalname,
+      fileSize: req.file.size,
+      templateId: request.template?.id || null,
+      duplicateMode: request.options.duplicateMode,
+      requestedSheets: request.options.sheets,
+      mergeTabs: request.options.mergeTabs,
+      appendTo: request.options.appendTo,
+      status: 'queued',
+      ...stageUpdate('queued'),
+      rowsParsed: null,
+      rowCount: null,
+      warnings: [],
+      warningCount: 0,
+      sheetsTotal: null,
+      sheetsDone: 0,
+      sheetId: null,
+      sheetIds: [],
+      skippedTabs: [],
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      heartbeatAt: now,
+      startedAt: null,
+      finishedAt: null,
+    };
+    await jobRef.set(job);
+
+    const ahead = ingestQueue.pending;
+    // From the queue on, so a job waiting behind a long one isn't taken for lost
+    const stopHeartbeat = startHeartbeat(() => jobRef.update({ heartbeatAt: new Date().toISOString() }));
+    ingestQueue.push(() => runIngestJob(jobRef, request, req.file).finally(stopHeartbeat));
+
+    res.status(202).json({ success: true, jobId: job.id, jobsAhead: ahead, job });
+  } catch (err) {
+    // Nothing will pick the upload up — drop it now
+    if (req.file) fs.promises.unlink(req.file.path).catch(() => {});
+    console.error('Create ingest job error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/ingest/jobs?projectId= ──────────────────────────────────────────
+// The project's 20 most recent ingest jobs, newest first
+router.get('/ingest/jobs', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
 
     await assertUserExists(req.user.uid);
-    await assertProjectOwner(projectId, req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid);
 
-    const sheetRef = db.collection('projects').doc(projectId).collection('sheets').doc(id);
-    const sheetDoc = await sheetRef.get();
-    if (!sheetDoc.exists) return res.status(404).json({ error: 'Sheet not found' });
-    if (sheetDoc.data().ownerId !== req.user.uid) return res.status(403).json({ error: 'Access denied' });
+    const snapshot = await db.collection('projects').doc(projectId).collection('ingestJobs').get();
+    // Sort in JS — no composite index needed
+    const jobs = snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .slice(0, 20);
 
-    const basePath = `projects/${projectId}/sheets/${id}`;
-    const [files] = await storage.getFiles({ prefix: basePath });
-    await Promise.all(files.map((f) => f.delete()));
-    await sheetRef.delete();
+    res.json({ success: true, jobs });
+  } catch (err) {
+    console.error('List ingest jobs error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
 
-    await db.collection('projects').doc(projectId).set({
-      sheetCount: admin.firestore.FieldValue.increment(-1),
-      updatedAt: new Date().toISOString(),
-    }, { merge: true });
+// ─── GET /api/ingest/jobs/:jobId?projectId= ───────────────────────────────────
+// Stage, percent, row counts and warnings while running; sheetId once done.
+// Jobs lost with a restarted server (no heartbeat) are reported as failed.
+router.get('/ingest/jobs/:jobId', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
 
-    res.json({ success: true, message: 'Sheet deleted successfully' });
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid);
+
+    const jobRef = db.collection('projects').doc(projectId).collection('ingestJobs').doc(req.params.jobId);
+    const jobDoc = await jobRef.get();
+    if (!jobDoc.exists) return res.status(404).json({ error: 'Ingest job not found' });
+
+    let job = jobDoc.data();
+    if (isStale(job)) {
+      // Re-checked in a transaction, so a heartbeat or a finish that lands
+      // meanwhile isn't overwritten
+      job = await db.runTransaction(async (t) => {
+        const current = (await t.get(jobRef)).data();
+        if (!isStale(current)) return current;
+        const now = new Date().toISOString();
+        const failed = {
+          status: 'failed',
+          error: 'The job was interrupted before it finished — upload the file again',
+          updatedAt: now,
+          finishedAt: now,
+        };
+        t.update(jobRef, failed);
+        return { ...current, ...failed };
+      });
+    }
+
+    res.json({ success: true, job });
   } catch (err) {
-    console.error('Delete sheet error:', err.message);
+    console.error('Get ingest job error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/suggest-charts ─────────────────────────────────────────────────
+// Body: { columns } scores on column types alone; { projectId, sheetId }
+// scores against the stored rows (cardinality, blanks, date span, variance).
+
+router.post('/suggest-charts', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId, sheetId } = req.body;
+
+    if (projectId && sheetId) {
+      const userData = await assertUserExists(req.user.uid);
+      await assertProjectAccess(projectId, req.user.uid, 'viewer');
+      const { sheetData } = await assertSheetInProject(projectId, sheetId);
+
+      const rows = await readSheetRows(projectId, sheetData);
+      const suggestions = suggestCharts(sheetData.columns, rows, { dateFormat: userData.dateFormat });
+      return res.json({ success: true, sheetId, ...suggestions });
+    }
+
+    const { columns } = req.body;
+    if (!columns || !Array.isArray(columns)) {
+      return res.status(400).json({ error: 'columns array (or projectId + sheetId) is required' });
+    }
+    const suggestions = suggestCharts(columns);
+    res.json({ success: true, ...suggestions });
+  } catch (err) {
+    console.error('Suggest charts error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/projects/:projectId/sheets', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const sheetsSnapshot = await db
+      .collection('projects').doc(projectId)
+      .collection('sheets')
+      .get();
+
+    // Sort in JS — no composite index needed
+    const sheets = sheetsSnapshot.docs
+      .map(doc => {
+        // Sheets from before the signed-URL migration may still carry them
+        const { parsedDataUrl, storageUrl, ...safe } = doc.data();
+        return safe;
+      })
+      .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
+
+    res.json({ success: true, sheets });
+  } catch (err) {
+    console.error('List sheets error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/sheet/:id/data ──────────────────────────────────────────────────
+// Full row data. Any of ?filters, sort, columns, limit, offset, cursor switch
+// to a server-side query (see rowQuery) with total + filtered counts.
+
+router.get('/sheet/:id/data', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const query = queryFromParams(req.query);
+
+    const { sheetData } = await assertSheetInProject(projectId, id);
+    const jsonData = await readSheetRows(projectId, sheetData);
+
+    if (query) {
+      const result = queryRows(jsonData, sheetData.columns, query, { dateFormat: userData.dateFormat });
+      return res.json({
+        success: true,
+        sheetId: id,
+        revision: sheetData.revision || 0,
+        rowCount: sheetData.rowCount,
+        ...result,
+      });
+    }
+
+    res.json({
+      success: true,
+      sheetId: id,
+      revision: sheetData.revision || 0,
+      rowCount: sheetData.rowCount,
+      columns: sheetData.columns,
+      rows: jsonData,
+    });
+  } catch (err) {
+    console.error('Get sheet data error:', err.message);
     res.status(err.status || 500).json({ error: err.message });
   }
 });
 
+// ─── POST /api/sheet/:id/query ────────────────────────────────────────────────
+// Same query as the GET params, as a JSON body — easier for long filter lists.
+// Body: { projectId, filters, sort, columns, limit, offset | cursor }
+
+router.post('/sheet/:id/query', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, ...query } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetData } = await assertSheetInProject(projectId, id);
+
+    const rows = await readSheetRows(projectId, sheetData);
+    const result = queryRows(rows, sheetData.columns, query, { dateFormat: userData.dateFormat });
+
+    res.json({
+      success: true,
+      sheetId: id,
+      revision: sheetData.revision || 0,
+      rowCount: sheetData.rowCount,
+      ...result,
+    });
+  } catch (err) {
+    console.error('Query sheet error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/sheet/:id/aggregate ────────────────────────────────────────────
+// Group + reduce a sheet server-side so dashboards don't download every row.
+// Body: { projectId, xColumn, yColumn, aggregation, dateBucket, filters?,
+//         seriesColumn?, bins?, limit? }
+// filters use the /query format and narrow the rows before grouping;
+// seriesColumn/bins/limit back stacked bars, histograms and top-N tables.
+// Currency amounts are converted to the project currency before grouping.
+
+router.post('/sheet/:id/aggregate', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      projectId, xColumn, yColumn, aggregation, dateBucket, filters, seriesColumn, bins, limit,
+    } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetData } = await assertSheetInProject(projectId, id);
+
+    const rows = await readSheetRows(projectId, sheetData);
+    const result = await aggregateSheet(project, sheetData, rows, {
+      filters, xColumn, yColumn, aggregation, dateBucket, seriesColumn, bins, limit,
+    }, userData.dateFormat);
+
+    res.json({ success: true, sheetId: id, currency: project.currency, ...result });
+  } catch (err) {
+    console.error('Aggregate sheet error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ─── POST /api/sheet/:id/categorize ───────────────────────────────────────────
+// Re-run the user's categorization rules over an existing sheet.
+// Body: { projectId, overwrite = false, targetColumn = 'Category' }
+
+router.post('/sheet/:id/categorize', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, overwrite = false, targetColumn = 'Category' } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    const rules = await readUserRules(req.user.uid);
+    if (rules.length === 0) {
+      return res.status(400).json({ error: 'No categorization rules defined. Create one with POST /api/rules.' });
+    }
+
+    const rows = await readSheetRows(projectId, sheetData);
+    const result = applyRules(rows, sheetData.columns, rules, { targetColumn, overwrite: Boolean(overwrite) });
+    // Formulas may read the categories that just changed
+    const calculated = computeColumns(result.rows, result.columns, { dateFormat: userData.dateFormat });
+
+    await ensureIngestVersion(projectId, sheetRef, sheetData, { rows, columns: sheetData.columns });
+    const { revision, versionNumber } = await saveSheetRevision(projectId, sheetRef, sheetData.revision || 0, calculated.rows, {
+      columns: calculated.columns,
+      updatedAt: new Date().toISOString(),
+    });
+
+    await recordSheetVersion(projectId, sheetRef, sheetData, {
+      number: versionNumber,
+      before: { rows, columns: sheetData.columns },
+      after: { rows: calculated.rows, columns: calculated.columns },
+      user: req.user,
+      reason: 'categorize',
+    });
+
+    res.json({
+      success: true,
+      sheetId: id,
+      columns: calculated.columns,
+      matched: result.matched,
+      total: result.rows.length,
+      ruleHits: result.ruleHits,
+      skippedRules: result.skippedRules,
+      warnings: calculated.warnings,
+      revision,
+    });
+  } catch (err) {
+    console.error('Categorize sheet error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, currentRevision: err.currentRevision });
+  }
+});
+
+// ─── PUT /api/sheet/:id/data ──────────────────────────────────────────────────
+// Save edited rows + updated column definitions back to Firebase Storage.
+// Values are re-normalized to their column types, same as at ingest, and
+// calculated columns (a `formula` on the column) are recomputed.
+// Optional baseRevision rejects the save (409) if the sheet changed since.
+
+router.put('/sheet/:id/data', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, rows, columns, baseRevision } = req.body;
+
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+    if (!Array.isArray(rows)) return res.status(400).json({ error: 'rows must be an array' });
+    if (!Array.isArray(columns)) return res.status(400).json({ error: 'columns must be an array' });
+    if (baseRevision !== undefined && baseRevision !== null && !Number.isInteger(baseRevision)) {
+      return res.status(400).json({ error: 'baseRevision must be an integer' });
+    }
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    // Calculated cells are about to be recomputed — only the rest need reading
+    const normalized = normalizeRows(rows, columns.filter((c) => !isCalculated(c)), { dateFormat: userData.dateFormat });
+    const calculated = computeColumns(normalized.rows, columns, { dateFormat: userData.dateFormat });
+    const previousRows = await readSheetRows(projectId, sheetData);
+    await ensureIngestVersion(projectId, sheetRef, sheetData, { rows: previousRows, columns: sheetData.columns });
+
+    // New rows + rowCount + columns as one revision. Without a baseRevision
+    // the save is based on the rows just read, so the version diff is right
+    const { revision, versionNumber } = await saveSheetRevision(projectId, sheetRef, baseRevision ?? (sheetData.revision || 0), calculated.rows, {
+      rowCount: rows.length,
+      columns: calculated.columns,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const version = await recordSheetVersion(projectId, sheetRef, sheetData, {
+      number: versionNumber,
+      before: { rows: previousRows, columns: sheetData.columns },
+      after: { rows: calculated.rows, columns: calculated.columns },
+      user: req.user,
+      reason: 'save',
+    });
+
+    res.json({
+      success: true,
+      rowCount: rows.length,
+      columns: calculated.columns,
+      warnings: [...normalized.warnings, ...calculated.warnings],
+      revision,
+      version: { id: version.id, number: version.number, diff: version.diff },
+    });
+  } catch (err) {
+    console.error('Save sheet data error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, currentRevision: err.currentRevision });
+  }
+});
+
+// ─── PATCH /api/sheet/:id/data ────────────────────────────────────────────────
+// Apply row/column edit operations without re-sending the whole sheet.
+// Body: { projectId, baseRevision, operations: [...] } — see sheetPatcher.
+// baseRevision is required: a stale one gets 409 + currentRevision.
+
+router.patch('/sheet/:id/data', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, baseRevision, operations } = req.body;
+
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+    if (!Number.isInteger(baseRevision)) {
+      return res.status(400).json({ error: 'baseRevision is required (the revision returned when the sheet was loaded)' });
+    }
+
+    const userData = await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    // Fail fast before downloading rows — the transaction re-checks it
+    if ((sheetData.revision || 0) !== baseRevision) {
+      return res.status(409).json({
+        error: `Sheet was changed by another save (revision ${sheetData.revision || 0}, yours ${baseRevision}). Reload and try again.`,
+        currentRevision: sheetData.revision || 0,
+      });
+    }
+
+    const previousRows = await readSheetRows(projectId, sheetData);
+    const result = applyOperations(
+      { rows: previousRows, columns: sheetData.columns },
+      operations,
+      { dateFormat: userData.dateFormat },
+    );
+
+    await ensureIngestVersion(projectId, sheetRef, sheetData, { rows: previousRows, columns: sheetData.columns });
+    const { revision, versionNumber } = await saveSheetRevision(projectId, sheetRef, baseRevision, result.rows, {
+      rowCount: result.rows.length,
+      columns: result.columns,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const version = await recordSheetVersion(projectId, sheetRef, sheetData, {
+      number: versionNumber,
+      before: { rows: previousRows, columns: sheetData.columns },
+      after: { rows: result.rows, columns: result.columns },
+      user: req.user,
+      reason: 'patch',
+    });
+
+    res.json({
+      success: true,
+      sheetId: id,
+      revision,
+      rowCount: result.rows.length,
+      columns: result.columns,
+      warnings: result.warnings,
+      version: { id: version.id, number: version.number, diff: version.diff },
+    });
+  } catch (err) {
+    console.error('Patch sheet data error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, currentRevision: err.currentRevision });
+  }
+});
+
+// ─── Sheet versions ───────────────────────────────────────────────────────────
+
+router.get('/sheet/:id/versions', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    const snapshot = await sheetRef.collection('versions').get();
+
+    // Sort in JS — newest first
+    const versions = snapshot.docs
+      .map(doc => {
+        const { storagePath, ...safe } = doc.data();
+        return safe;
+      })
+      .sort((a, b) => b.number - a.number);
+
+    res.json({
+      success: true,
+      sheetId: id,
+      retention: sheetData.versionRetention || DEFAULT_VERSION_RETENTION,
+      versions,
+    });
+  } catch (err) {
+    console.error('List versions error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/sheet/:id/versions/diff?projectId&from&to ───────────────────────
+// Summary plus the first cell-level changes between two versions.
+
+router.get('/sheet/:id/versions/diff', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, from, to } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+    if (!from || !to) return res.status(400).json({ error: 'from and to version ids are required' });
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetRef } = await assertSheetInProject(projectId, id);
+
+    const [before, after] = await Promise.all([readVersion(sheetRef, from), readVersion(sheetRef, to)]);
+    const { summary, changes } = diffSheets(before, after, { maxChanges: 500 });
+
+    res.json({
+      success: true,
+      from: { id: before.version.id, number: before.version.number },
+      to: { id: after.version.id, number: after.version.number },
+      summary,
+      changes,
+      truncated: summary.cellsChanged > changes.length,
+    });
+  } catch (err) {
+    console.error('Diff versions error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── PATCH /api/sheet/:id/versions/settings ──────────────────────────────────
+// Body: { projectId, retention } — how many versions this sheet keeps.
+
+router.patch('/sheet/:id/versions/settings', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, retention } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+    if (!Number.isInteger(retention) || retention < 1 || retention > 100) {
+      return res.status(400).json({ error: 'retention must be an integer between 1 and 100' });
+    }
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef } = await assertSheetInProject(projectId, id);
+
+    // Takes effect (prunes) on the next save
+    await sheetRef.update({ versionRetention: retention, updatedAt: new Date().toISOString() });
+
+    res.json({ success: true, sheetId: id, retention });
+  } catch (err) {
+    console.error('Update version settings error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/sheet/:id/versions/:versionId', verifyToken, async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+    const { projectId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetRef } = await assertSheetInProject(projectId, id);
+
+    const { version, rows, columns } = await readVersion(sheetRef, versionId);
+    const { storagePath, ...safe } = version;
+
+    res.json({ success: true, sheetId: id, version: safe, columns, rows });
+  } catch (err) {
+    console.error('Get version error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/sheet/:id/versions/:versionId/restore ──────────────────────────
+// Make an older version current again. The restore is itself a new version,
+// so it can be undone too.
+
+router.post('/sheet/:id/versions/:versionId/restore', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id, versionId } = req.params;
+    const { projectId } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required' });
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    const target = await readVersion(sheetRef, versionId);
+    const currentRows = await readSheetRows(projectId, sheetData);
+
+    await ensureIngestVersion(projectId, sheetRef, sheetData, { rows: currentRows, columns: sheetData.columns });
+    const { revision, versionNumber } = await saveSheetRevision(projectId, sheetRef, sheetData.revision || 0, target.rows, {
+      rowCount: target.rows.length,
+      columns: target.columns,
+      updatedAt: new Date().toISOString(),
+    });
+
+    const version = await recordSheetVersion(projectId, sheetRef, sheetData, {
+      number: versionNumber,
+      before: { rows: currentRows, columns: sheetData.columns },
+      after: { rows: target.rows, columns: target.columns },
+      user: req.user,
+      reason: 'restore',
+    });
+
+    res.json({
+      success: true,
+      sheetId: id,
+      restoredFrom: { id: target.version.id, number: target.version.number },
+      revision,
+      version: { id: version.id, number: version.number, diff: version.diff },
+      rowCount: target.rows.length,
+      columns: target.columns,
+    });
+  } catch (err) {
+    console.error('Restore version error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, currentRevision: err.currentRevision });
+  }
+});
+
+// ─── GET /api/sheet/:id/export?projectId&format=csv|xlsx ──────────────────────
+// Download the sheet as it is now (edits included), not the original upload.
+// XLSX cells get number/date formats from the column types; amounts in other
+// currencies are converted to the project currency.
+
+router.get('/sheet/:id/export', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, format = 'xlsx' } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetData } = await assertSheetInProject(projectId, id);
+
+    const { rows, columns } = await convertToProjectCurrency(
+      project, sheetData.columns, await readSheetRows(projectId, sheetData), userData.dateFormat,
+    );
+    const file = exportSheet(rows, columns, format, { currency: project.currency });
+
+    sendDownload(res, file, sheetData.fileName.replace(/\.[^.]+$/, ''));
+  } catch (err) {
+    console.error('Export sheet error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ─── GET /api/sheet/:id/original?projectId[&sourceId] ─────────────────────────
+// The file as uploaded, through a signed URL that expires after
+// ORIGINAL_URL_TTL_MINUTES. Ask again for a fresh one — URLs aren't stored.
+// sourceId picks a file appended later (see the sheet's `sources`).
+
+router.get('/sheet/:id/original', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId, sourceId } = req.query;
+    if (!projectId) return res.status(400).json({ error: 'projectId query param is required' });
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const { sheetData } = await assertSheetInProject(projectId, id);
+
+    let file;
+    let fileName = sheetData.fileName;
+    if (sourceId) {
+      const source = (sheetData.sources || []).find((s) => s.id === sourceId);
+      if (!source) return res.status(404).json({ error: 'Source file not found on this sheet' });
+      file = storage.file(source.storagePath);
+      fileName = source.fileName;
+    } else {
+      file = await rawUploadFile(projectId, sheetData);
+    }
+    const [exists] = file ? await file.exists() : [false];
+    if (!exists) return res.status(404).json({ error: 'The original upload is no longer stored' });
+
+    const expiresAt = new Date(Date.now() + ORIGINAL_URL_TTL_MINUTES * 60000);
+    const [url] = await file.getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: expiresAt,
+      responseDisposition: attachmentHeader(fileName),
+    });
+
+    res.json({ success: true, url, fileName, expiresAt: expiresAt.toISOString() });
+  } catch (err) {
+    console.error('Original upload link error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/sheet/:id', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { projectId } = req.body;
+    if (!projectId) return res.status(400).json({ error: 'projectId is required in body' });
+
+    await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'editor');
+    const { sheetRef, sheetData } = await assertSheetInProject(projectId, id);
+
+    // Editors can remove what they uploaded; anyone else's sheet needs the owner
+    if (sheetData.ownerId !== req.user.uid && roleOf(project, req.user.uid) !== 'owner') {
+      return res.status(403).json({ error: 'Access denied: only the project owner can delete sheets uploaded by others' });
+    }
+
+    const basePath = `projects/${projectId}/sheets/${id}`;
+    const [files] = await storage.getFiles({ prefix: basePath });
+    await Promise.all(files.map((f) => f.delete()));
+    await deleteSubcollection(sheetRef.collection('versions'));
+    await sheetRef.delete();
+
+    await db.collection('projects').doc(projectId).set({
+      sheetCount: admin.firestore.FieldValue.increment(-1),
+      updatedAt: new Date().toISOString(),
+    }, { merge: true });
+
+    res.json({ success: true, message: 'Sheet deleted successfully' });
+  } catch (err) {
+    console.error('Delete sheet error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// CATEGORIZATION RULE ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+router.get('/rules', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    // Sort in JS — evaluation order first, then oldest first
+    const rules = (await readUserRules(req.user.uid))
+      .sort((a, b) => a.priority - b.priority || new Date(a.createdAt) - new Date(b.createdAt));
+
+    res.json({ success: true, rules });
+  } catch (err) {
+    console.error('List rules error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/rules', verifyToken, express.json(), async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const ruleId = crypto.randomUUID();
+    const ruleData = {
+      id: ruleId,
+      ownerId: req.user.uid,
+      ...validateRule(req.body),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await db.collection('users').doc(req.user.uid).collection('categoryRules').doc(ruleId).set(ruleData);
+
+    res.status(201).json({ success: true, rule: ruleData });
+  } catch (err) {
+    console.error('Create rule error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.patch('/rules/:ruleId', verifyToken, express.json(), async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const ruleRef = db.collection('users').doc(req.user.uid).collection('categoryRules').doc(req.params.ruleId);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) return res.status(404).json({ error: 'Rule not found' });
+
+    const updates = validateRule(req.body, { partial: true });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    await ruleRef.update(updates);
+
+    res.json({ success: true, rule: { ...ruleDoc.data(), ...updates } });
+  } catch (err) {
+    console.error('Update rule error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/rules/:ruleId', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const ruleRef = db.collection('users').doc(req.user.uid).collection('categoryRules').doc(req.params.ruleId);
+    const ruleDoc = await ruleRef.get();
+    if (!ruleDoc.exists) return res.status(404).json({ error: 'Rule not found' });
+
+    await ruleRef.delete();
+
+    res.json({ success: true, message: 'Rule deleted successfully' });
+  } catch (err) {
+    console.error('Delete rule error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// IMPORT TEMPLATE ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+router.get('/import-templates', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    // Sort in JS — no composite index needed
+    const templates = (await readUserTemplates(req.user.uid))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ success: true, templates });
+  } catch (err) {
+    console.error('List import templates error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/import-templates', verifyToken, express.json(), async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const templateId = crypto.randomUUID();
+    const templateData = {
+      id: templateId,
+      ownerId: req.user.uid,
+      ...validateTemplate(req.body),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await db.collection('users').doc(req.user.uid).collection('importTemplates').doc(templateId).set(templateData);
+
+    res.status(201).json({ success: true, template: templateData });
+  } catch (err) {
+    console.error('Create import template error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/import-templates/:templateId', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const templateDoc = await db.collection('users').doc(req.user.uid)
+      .collection('importTemplates').doc(req.params.templateId).get();
+    if (!templateDoc.exists) return res.status(404).json({ error: 'Import template not found' });
+
+    res.json({ success: true, template: templateDoc.data() });
+  } catch (err) {
+    console.error('Get import template error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.patch('/import-templates/:templateId', verifyToken, express.json(), async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const templateRef = db.collection('users').doc(req.user.uid)
+      .collection('importTemplates').doc(req.params.templateId);
+    const templateDoc = await templateRef.get();
+    if (!templateDoc.exists) return res.status(404).json({ error: 'Import template not found' });
+
+    const updates = validateTemplate(req.body, { partial: true });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    await templateRef.update(updates);
+
+    res.json({ success: true, template: { ...templateDoc.data(), ...updates } });
+  } catch (err) {
+    console.error('Update import template error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/import-templates/:templateId', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const templateRef = db.collection('users').doc(req.user.uid)
+      .collection('importTemplates').doc(req.params.templateId);
+    const templateDoc = await templateRef.get();
+    if (!templateDoc.exists) return res.status(404).json({ error: 'Import template not found' });
+
+    await templateRef.delete();
+
+    res.json({ success: true, message: 'Import template deleted successfully' });
+  } catch (err) {
+    console.error('Delete import template error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// EXCHANGE RATE ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/exchange-rates?from&to ──────────────────────────────────────────
+// The user's rate table, newest first. from/to narrow it to one pair.
+
+router.get('/exchange-rates', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const from = req.query.from?.toUpperCase();
+    const to = req.query.to?.toUpperCase();
+
+    // Filter + sort in JS — no composite index needed
+    const rates = (await readUserRates(req.user.uid))
+      .filter((r) => (!from || r.from === from) && (!to || r.to === to))
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+    res.json({ success: true, rates });
+  } catch (err) {
+    console.error('List exchange rates error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/exchange-rates ─────────────────────────────────────────────────
+// Body: { date, from, to, rate } — 1 `from` = rate `to`. A rate for the same
+// pair and day replaces the old one.
+
+router.post('/exchange-rates', verifyToken, express.json(), async (req, res) => {
+  try {
+    const userData = await assertUserExists(req.user.uid);
+
+    const rate = validateRate(req.body, { dateFormat: userData.dateFormat });
+    const rateData = {
+      id: rateId(rate),
+      ownerId: req.user.uid,
+      ...rate,
+      source: 'manual',
+      updatedAt: new Date().toISOString(),
+    };
+
+    await db.collection('users').doc(req.user.uid).collection('exchangeRates').doc(rateData.id).set(rateData);
+
+    res.status(201).json({ success: true, rate: rateData });
+  } catch (err) {
+    console.error('Save exchange rate error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/exchange-rates/import ──────────────────────────────────────────
+// Multipart: file (CSV/XLSX), base? — either Date/From/To/Rate columns, or a
+// Date column plus one column per currency code quoted against `base`.
+
+router.post('/exchange-rates/import', verifyToken, upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+    const userData = await assertUserExists(req.user.uid);
+
+    const parsed = parseFile(req.file.buffer, req.file.originalname, req.body.selectedSheet || null, {
+      dateFormat: userData.dateFormat,
+    });
+    const rates = parseRateRows(parsed.rows, parsed.columns, {
+      base: req.body.base,
+      dateFormat: userData.dateFormat,
+    });
+
+    const now = new Date().toISOString();
+    const ratesRef = db.collection('users').doc(req.user.uid).collection('exchangeRates');
+    await Promise.all(rates.map((rate) => ratesRef.doc(rateId(rate)).set({
+      id: rateId(rate),
+      ownerId: req.user.uid,
+      ...rate,
+      source: 'import',
+      fileName: req.file.originalname,
+      updatedAt: now,
+    })));
+
+    const pairs = [...new Set(rates.map((r) => `${r.from}→${r.to}`))];
+    res.status(201).json({ success: true, imported: rates.length, pairs });
+  } catch (err) {
+    console.error('Import exchange rates error:', err.message);
+    res.status(err.status || 422).json({ error: err.message });
+  }
+});
+
+router.delete('/exchange-rates/:rateId', verifyToken, async (req, res) => {
+  try {
+    await assertUserExists(req.user.uid);
+
+    const rateRef = db.collection('users').doc(req.user.uid).collection('exchangeRates').doc(req.params.rateId);
+    const rateDoc = await rateRef.get();
+    if (!rateDoc.exists) return res.status(404).json({ error: 'Exchange rate not found' });
+
+    await rateRef.delete();
+
+    res.json({ success: true, message: 'Exchange rate deleted successfully' });
+  } catch (err) {
+    console.error('Delete exchange rate error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// BUDGET ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+router.get('/projects/:projectId/budgets', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const snapshot = await db.collection('projects').doc(projectId).collection('budgets').get();
+
+    // Sort in JS — no composite index needed
+    const budgets = snapshot.docs
+      .map(doc => doc.data())
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    res.json({ success: true, budgets });
+  } catch (err) {
+    console.error('List budgets error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.post('/projects/:projectId/budgets', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const budgetId = crypto.randomUUID();
+    const budgetData = {
+      id: budgetId,
+      projectId,
+      ownerId: req.user.uid,
+      ...validateBudget(req.body),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await db.collection('projects').doc(projectId).collection('budgets').doc(budgetId).set(budgetData);
+
+    res.status(201).json({ success: true, budget: budgetData });
+  } catch (err) {
+    console.error('Create budget error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/projects/:projectId/budgets/status ─────────────────────────────
+// Spent / remaining / percent used for every budget in its current period.
+// Optional ?date=YYYY-MM-DD evaluates the periods containing that date.
+
+router.get('/projects/:projectId/budgets/status', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const referenceDate = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const budgetsSnapshot = await db.collection('projects').doc(projectId).collection('budgets').get();
+    const budgets = budgetsSnapshot.docs.map(doc => doc.data());
+    const sheets = budgets.length
+      ? await convertSheetsToProjectCurrency(project, await readProjectSheets(projectId), userData.dateFormat)
+      : [];
+
+    const results = evaluateBudgets(budgets, sheets, {
+      referenceDate,
+      dateFormat: userData.dateFormat,
+    });
+
+    res.json({ success: true, evaluatedAt: new Date().toISOString(), budgets: results });
+  } catch (err) {
+    console.error('Evaluate budgets error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+router.get('/projects/:projectId/budgets/:budgetId', verifyToken, async (req, res) => {
+  try {
+    const { projectId, budgetId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const budgetDoc = await db.collection('projects').doc(projectId).collection('budgets').doc(budgetId).get();
+    if (!budgetDoc.exists) return res.status(404).json({ error: 'Budget not found' });
+
+    res.json({ success: true, budget: budgetDoc.data() });
+  } catch (err) {
+    console.error('Get budget error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.patch('/projects/:projectId/budgets/:budgetId', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId, budgetId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const budgetRef = db.collection('projects').doc(projectId).collection('budgets').doc(budgetId);
+    const budgetDoc = await budgetRef.get();
+    if (!budgetDoc.exists) return res.status(404).json({ error: 'Budget not found' });
+
+    const updates = validateBudget(req.body, { partial: true });
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No valid fields to update' });
+    }
+
+    updates.updatedAt = new Date().toISOString();
+    await budgetRef.update(updates);
+
+    res.json({ success: true, budget: { ...budgetDoc.data(), ...updates } });
+  } catch (err) {
+    console.error('Update budget error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.delete('/projects/:projectId/budgets/:budgetId', verifyToken, async (req, res) => {
+  try {
+    const { projectId, budgetId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const budgetRef = db.collection('projects').doc(projectId).collection('budgets').doc(budgetId);
+    const budgetDoc = await budgetRef.get();
+    if (!budgetDoc.exists) return res.status(404).json({ error: 'Budget not found' });
+
+    await budgetRef.delete();
+
+    res.json({ success: true, message: 'Budget deleted successfully' });
+  } catch (err) {
+    console.error('Delete budget error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// FORECAST ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/forecast ────────────────────────────────────
+// Project monthly spend for the next N months with confidence bands and a
+// check against the project's budgets.
+// Query: months = 3, confidence = 0.8 | 0.95, byCategory = false, sheetId?,
+//        dateColumn?, amountColumn?, categoryColumn?, date? (forecast as of)
+
+router.get('/projects/:projectId/forecast', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const {
+      sheetId, dateColumn, amountColumn, categoryColumn,
+    } = req.query;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const referenceDate = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    let sheets;
+    if (sheetId) {
+      const { sheetData } = await assertSheetInProject(projectId, sheetId);
+      sheets = [{ sheet: sheetData, rows: await readSheetRows(projectId, sheetData) }];
+    } else {
+      sheets = await readProjectSheets(projectId);
+    }
+    sheets = await convertSheetsToProjectCurrency(project, sheets, userData.dateFormat);
+
+    const budgetsSnapshot = await db.collection('projects').doc(projectId).collection('budgets').get();
+
+    const result = forecastSpending(sheets, {
+      dateColumn,
+      amountColumn,
+      categoryColumn,
+      byCategory: req.query.byCategory === 'true',
+      months: req.query.months !== undefined ? Number(req.query.months) : undefined,
+      confidence: req.query.confidence !== undefined ? Number(req.query.confidence) : undefined,
+      budgets: budgetsSnapshot.docs.map(doc => doc.data()),
+      referenceDate,
+      dateFormat: userData.dateFormat,
+    });
+
+    res.json({ success: true, sheetId: sheetId || null, ...result });
+  } catch (err) {
+    console.error('Forecast error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// INSIGHT ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/insights ────────────────────────────────────
+// Stored anomalies, most recent first. ?status=open|acknowledged|dismissed|all
+// (default: everything not dismissed), optional ?type=.
+
+router.get('/projects/:projectId/insights', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { status, type } = req.query;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    if (status && status !== 'all' && !INSIGHT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be all or one of: ${INSIGHT_STATUSES.join(', ')}` });
+    }
+    if (type && !INSIGHT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${INSIGHT_TYPES.join(', ')}` });
+    }
+
+    const snapshot = await db.collection('projects').doc(projectId).collection('insights').get();
+
+    // Filter + sort in JS — no composite index needed
+    const insights = snapshot.docs
+      .map(doc => doc.data())
+      .filter(i => (status === 'all' ? true : status ? i.status === status : i.status !== 'dismissed'))
+      .filter(i => !type || i.type === type)
+      .sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+    res.json({ success: true, insights });
+  } catch (err) {
+    console.error('List insights error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/projects/:projectId/insights/scan ──────────────────────────────
+// Re-scan every sheet in the project. Body: { date? } — evaluate as of
+// YYYY-MM-DD instead of today (only the 90 days before it raise insights).
+
+router.post('/projects/:projectId/insights/scan', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const referenceDate = req.body.date ? new Date(req.body.date) : new Date();
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const sheets = await convertSheetsToProjectCurrency(project, await readProjectSheets(projectId), userData.dateFormat);
+    const insights = detectAnomalies(sheets, { referenceDate, dateFormat: userData.dateFormat });
+    const newCount = await storeInsights(projectId, insights);
+
+    res.json({ success: true, scannedAt: new Date().toISOString(), detected: insights.length, newCount, insights });
+  } catch (err) {
+    console.error('Scan insights error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ─── PATCH /api/projects/:projectId/insights/:insightId ───────────────────────
+// Body: { status: 'acknowledged' | 'dismissed' | 'open' }. Dismissed insights
+// stay dismissed when a later scan finds them again.
+
+router.patch('/projects/:projectId/insights/:insightId', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId, insightId } = req.params;
+    const { status } = req.body;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    if (!INSIGHT_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${INSIGHT_STATUSES.join(', ')}` });
+    }
+
+    const insightRef = db.collection('projects').doc(projectId).collection('insights').doc(insightId);
+    const insightDoc = await insightRef.get();
+    if (!insightDoc.exists) return res.status(404).json({ error: 'Insight not found' });
+
+    const updates = { status, statusChangedAt: new Date().toISOString(), statusChangedBy: req.user.uid };
+    await insightRef.update(updates);
+
+    res.json({ success: true, insight: { ...insightDoc.data(), ...updates } });
+  } catch (err) {
+    console.error('Update insight error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// SUBSCRIPTION ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/subscriptions ───────────────────────────────
+// Recurring payments detected across the project's sheets, each merged with
+// the user's decision (userStatus: detected | confirmed | ignored).
+// Ignored ones are left out unless ?includeIgnored=true. Optional ?date=.
+
+router.get('/projects/:projectId/subscriptions', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const includeIgnored = req.query.includeIgnored === 'true';
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const referenceDate = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    const sheets = await convertSheetsToProjectCurrency(project, await readProjectSheets(projectId), userData.dateFormat);
+    const detected = findSubscriptions(sheets, { referenceDate, dateFormat: userData.dateFormat });
+
+    const decisionsSnapshot = await db.collection('projects').doc(projectId).collection('subscriptions').get();
+    const decisions = new Map(decisionsSnapshot.docs.map(doc => [doc.id, doc.data()]));
+
+    const subscriptions = detected
+      .map(sub => ({
+        ...sub,
+        userStatus: decisions.get(sub.id)?.status || 'detected',
+        note: decisions.get(sub.id)?.note || null,
+      }))
+      .filter(sub => includeIgnored || sub.userStatus !== 'ignored');
+
+    const active = subscriptions.filter(sub => sub.status === 'active' && sub.userStatus !== 'ignored');
+    const monthlyTotal = active.reduce((sum, sub) => {
+      const perMonth = { weekly: 52 / 12, monthly: 1, yearly: 1 / 12 }[sub.cadence];
+      return sum + sub.typicalAmount * perMonth;
+    }, 0);
+
+    res.json({
+      success: true,
+      evaluatedAt: referenceDate.toISOString(),
+      monthlyTotal: Math.round(monthlyTotal * 100) / 100,
+      subscriptions,
+    });
+  } catch (err) {
+    console.error('List subscriptions error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ─── PUT /api/projects/:projectId/subscriptions/:subscriptionId ───────────────
+// Confirm or ignore a detected subscription. Body: { status: 'confirmed' |
+// 'ignored', note?, date? } — date (or ?date=) is the one the list was
+// evaluated at, so ids it listed are found. DELETE clears the decision again.
+
+router.put('/projects/:projectId/subscriptions/:subscriptionId', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId, subscriptionId } = req.params;
+    const { status, note } = req.body;
+    const date = req.body.date ?? req.query.date;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    if (!SUBSCRIPTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}` });
+    }
+    const referenceDate = date ? new Date(date) : new Date();
+    if (isNaN(referenceDate.getTime())) {
+      return res.status(400).json({ error: 'date must be a valid date (YYYY-MM-DD)' });
+    }
+
+    // Only ids the detector produces (as of that date) can be decided on
+    const sheets = await convertSheetsToProjectCurrency(project, await readProjectSheets(projectId), userData.dateFormat);
+    const subscription = findSubscriptions(sheets, { referenceDate, dateFormat: userData.dateFormat })
+      .find(sub => sub.id === subscriptionId);
+    if (!subscription) return res.status(404).json({ error: 'Subscription not found' });
+
+    const decision = {
+      id: subscriptionId,
+      status,
+      note: typeof note === 'string' && note.trim() ? note.trim().slice(0, 500) : null,
+      // Snapshot so the decision still makes sense if the rows change later
+      merchant: subscription.merchant,
+      cadence: subscription.cadence,
+      typicalAmount: subscription.typicalAmount,
+      decidedBy: req.user.uid,
+      decidedAt: new Date().toISOString(),
+    };
+    await db.collection('projects').doc(projectId).collection('subscriptions').doc(subscriptionId).set(decision);
+
+    res.json({ success: true, subscription: { ...subscription, userStatus: status, note: decision.note } });
+  } catch (err) {
+    console.error('Update subscription error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+router.delete('/projects/:projectId/subscriptions/:subscriptionId', verifyToken, async (req, res) => {
+  try {
+    const { projectId, subscriptionId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'editor');
+
+    const decisionRef = db.collection('projects').doc(projectId).collection('subscriptions').doc(subscriptionId);
+    const decisionDoc = await decisionRef.get();
+    if (!decisionDoc.exists) return res.status(404).json({ error: 'No decision recorded for this subscription' });
+
+    await decisionRef.delete();
+
+    res.json({ success: true, message: 'Subscription decision cleared' });
+  } catch (err) {
+    console.error('Clear subscription error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// PROJECT DATASET ENDPOINTS
+// The rows of several sheets as one combined view (see combineSheets). It
+// queries, aggregates and exports like a single sheet; rows carry _source
+// so edits can go back to the sheet they came from.
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/dataset?sheetIds=a,b ────────────────────────
+// All rows of the selected sheets (default: every sheet). The /sheet/:id/data
+// query params — filters, sort, columns, limit, offset, cursor — work here too.
+
+router.get('/projects/:projectId/dataset', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+    const query = queryFromParams(req.query);
+
+    const dataset = await readProjectDataset(projectId, project, sheetIdList(req.query.sheetIds));
+    const { rows, ...meta } = dataset;
+
+    if (query) {
+      const result = queryRows(rows, dataset.columns, query, { dateFormat: userData.dateFormat });
+      return res.json({ success: true, sources: meta.sources, conflicts: meta.conflicts, rowCount: rows.length, ...result });
+    }
+
+    res.json({ success: true, ...meta, rowCount: rows.length, rows });
+  } catch (err) {
+    console.error('Get project dataset error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/projects/:projectId/dataset/query ──────────────────────────────
+// Body: { sheetIds?, filters, sort, columns, limit, offset | cursor }
+
+router.post('/projects/:projectId/dataset/query', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { sheetIds, ...query } = req.body;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const dataset = await readProjectDataset(projectId, project, sheetIdList(sheetIds));
+    const result = queryRows(dataset.rows, dataset.columns, query, { dateFormat: userData.dateFormat });
+
+    res.json({
+      success: true,
+      sources: dataset.sources,
+      conflicts: dataset.conflicts,
+      rowCount: dataset.rows.length,
+      ...result,
+    });
+  } catch (err) {
+    console.error('Query project dataset error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── POST /api/projects/:projectId/dataset/aggregate ──────────────────────────
+// Body: { sheetIds?, xColumn, yColumn, aggregation, dateBucket, filters?,
+//         seriesColumn?, bins?, limit? } — as /sheet/:id/aggregate.
+// seriesColumn: 'Source Sheet' splits the series per sheet.
+
+router.post('/projects/:projectId/dataset/aggregate', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const {
+      sheetIds, xColumn, yColumn, aggregation, dateBucket, filters, seriesColumn, bins, limit,
+    } = req.body;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const dataset = await readProjectDataset(projectId, project, sheetIdList(sheetIds));
+    const result = await aggregateSheet(project, { columns: dataset.columns }, dataset.rows, {
+      filters, xColumn, yColumn, aggregation, dateBucket, seriesColumn, bins, limit,
+    }, userData.dateFormat);
+
+    res.json({
+      success: true,
+      sheetIds: dataset.sources.map((s) => s.sheetId),
+      currency: project.currency,
+      ...result,
+    });
+  } catch (err) {
+    console.error('Aggregate project dataset error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ─── GET /api/projects/:projectId/dataset/export?format=csv|xlsx ──────────────
+// The combined rows in the project currency. Takes sheetIds and, to export a
+// filtered view, the same filters/sort/columns params as GET /dataset.
+
+router.get('/projects/:projectId/dataset/export', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { format = 'xlsx', filters, sort, columns } = req.query;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const dataset = await readProjectDataset(projectId, project, sheetIdList(req.query.sheetIds));
+    // Export the whole filtered view, never one page of it
+    const query = queryFromParams({ filters, sort, columns });
+    const view = query
+      ? queryRows(dataset.rows, dataset.columns, query, { dateFormat: userData.dateFormat })
+      : dataset;
+
+    const converted = await convertToProjectCurrency(project, view.columns, view.rows, userData.dateFormat);
+    const file = exportSheet(converted.rows, converted.columns, format, { currency: project.currency });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    sendDownload(res, file, `${project.name} combined ${stamp}`);
+  } catch (err) {
+    console.error('Export project dataset error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// REPORT ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/projects/:projectId/report?format=xlsx|pdf ──────────────────────
+// Summary stat cards plus the aggregated table behind each suggested chart,
+// for every sheet in the project.
+
+router.get('/projects/:projectId/report', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    const { format = 'xlsx' } = req.query;
+
+    const userData = await assertUserExists(req.user.uid);
+    const project = await assertProjectAccess(projectId, req.user.uid, 'viewer');
+
+    const sheets = await Promise.all((await readProjectSheets(projectId)).map(async ({ sheet, rows }) => {
+      const converted = await convertToProjectCurrency(project, sheet.columns, rows, userData.dateFormat);
+      return { sheet: { ...sheet, columns: converted.columns }, rows: converted.rows };
+    }));
+    const file = await exportProjectReport(project, sheets, format, { dateFormat: userData.dateFormat });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    sendDownload(res, file, `${project.name} report ${stamp}`);
+  } catch (err) {
+    console.error('Export report error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, missingRates: err.missingRates });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// SHARE LINK ENDPOINTS
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── POST /api/projects/:projectId/share-links ────────────────────────────────
+// Body: { sheetId?, expiresInDays = 7, password?, label? }. Without sheetId
+// the link shows the whole project dashboard. The token comes back once,
+// in this response only — only its hash is stored.
+
+router.post('/projects/:projectId/share-links', verifyToken, express.json(), async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'owner');
+
+    const { sheetId, expiresInDays, password, label } = validateShareLink(req.body);
+    if (sheetId) await assertSheetInProject(projectId, sheetId);
+
+    const { token, tokenHash } = createToken();
+    const now = new Date();
+    const linkId = crypto.randomUUID();
+    const linkData = {
+      id: linkId,
+      projectId,
+      sheetId,
+      scope: sheetId ? 'sheet' : 'project',
+      label,
+      tokenHash,
+      passwordHash: password ? await hashPassword(password) : null,
+      createdBy: req.user.uid,
+      createdByEmail: req.user.email || '',
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + expiresInDays * 86400000).toISOString(),
+      revokedAt: null,
+      lastUsedAt: null,
+      useCount: 0,
+      failedAttempts: 0,
+      lockedUntil: null,
+    };
+    await db.collection('shareLinks').doc(linkId).set(linkData);
+
+    res.status(201).json({
+      success: true,
+      link: describeLink(linkData),
+      token,
+      path: `/api/public/share/${token}`,
+    });
+  } catch (err) {
+    console.error('Create share link error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+router.get('/projects/:projectId/share-links', verifyToken, async (req, res) => {
+  try {
+    const { projectId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'owner');
+
+    const snapshot = await db.collection('shareLinks').where('projectId', '==', projectId).get();
+
+    // Sort in JS — no composite index needed
+    const links = snapshot.docs
+      .map((doc) => describeLink(doc.data()))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    res.json({ success: true, links });
+  } catch (err) {
+    console.error('List share links error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Revoked links stay listed (with their log) but stop working at once
+router.delete('/projects/:projectId/share-links/:linkId', verifyToken, async (req, res) => {
+  try {
+    const { projectId, linkId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'owner');
+
+    const linkRef = db.collection('shareLinks').doc(linkId);
+    const linkDoc = await linkRef.get();
+    if (!linkDoc.exists || linkDoc.data().projectId !== projectId) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+    if (linkDoc.data().revokedAt) return res.status(409).json({ error: 'Share link is already revoked' });
+
+    await linkRef.update({ revokedAt: new Date().toISOString(), revokedBy: req.user.uid });
+
+    res.json({ success: true, message: 'Share link revoked' });
+  } catch (err) {
+    console.error('Revoke share link error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ─── GET /api/projects/:projectId/share-links/:linkId/access-log ──────────────
+// Every use of the link, newest first — including refused attempts.
+
+router.get('/projects/:projectId/share-links/:linkId/access-log', verifyToken, async (req, res) => {
+  try {
+    const { projectId, linkId } = req.params;
+
+    await assertUserExists(req.user.uid);
+    await assertProjectAccess(projectId, req.user.uid, 'owner');
+
+    const linkRef = db.collection('shareLinks').doc(linkId);
+    const linkDoc = await linkRef.get();
+    if (!linkDoc.exists || linkDoc.data().projectId !== projectId) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const snapshot = await linkRef.collection('accessLog').get();
+    // Sort in JS — no composite index needed
+    const entries = snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => (a.at < b.at ? 1 : a.at > b.at ? -1 : 0));
+
+    res.json({ success: true, link: describeLink(linkDoc.data()), entries });
+  } catch (err) {
+    console.error('Share link access log error:', err.message);
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// ═════════════════════════════════════════════════════════════════════════════
+// PUBLIC SHARE ENDPOINTS — no Firebase token; the share token is the key.
+// Password-protected links expect the password in an X-Share-Password header.
+// ═════════════════════════════════════════════════════════════════════════════
+
+// ─── GET /api/public/share/:token ─────────────────────────────────────────────
+// What the link covers: project name + currency, the sheets' metadata and
+// the dashboard widgets on them.
+
+router.get('/public/share/:token', async (req, res) => {
+  try {
+    const { link, project } = await openShareLink(req, 'view');
+
+    const sheetsSnapshot = await db.collection('projects').doc(link.projectId).collection('sheets').get();
+    const sheets = sheetsSnapshot.docs
+      .map((doc) => doc.data())
+      .filter((sheet) => !link.sheetId || sheet.id === link.sheetId);
+    const sheetIds = new Set(sheets.map((sheet) => sheet.id));
+
+    res.json({
+      success: true,
+      scope: link.scope,
+      label: link.label,
+      expiresAt: link.expiresAt,
+      project: { name: project.name, currency: project.currency },
+      sheets: sheets.map(publicSheet),
+      widgets: (project.dashboardLayout || []).filter((w) => sheetIds.has(w.sheetId)),
+    });
+  } catch (err) {
+    console.error('Open share link error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, passwordRequired: err.passwordRequired });
+  }
+});
+
+// ─── GET /api/public/share/:token/sheets/:sheetId/data ────────────────────────
+// Read-only rows; accepts the same ?filters, sort, columns, limit, offset,
+// cursor params as GET /api/sheet/:id/data.
+
+router.get('/public/share/:token/sheets/:sheetId/data', async (req, res) => {
+  try {
+    const { sheetId } = req.params;
+    const { link, dateFormat } = await openShareLink(req, 'data', sheetId);
+    const { sheetData } = await assertSheetInProject(link.projectId, sheetId);
+
+    const rows = await readSheetRows(link.projectId, sheetData);
+    const query = queryFromParams(req.query);
+    if (query) {
+      const result = queryRows(rows, sheetData.columns, query, { dateFormat });
+      return res.json({ success: true, sheetId, rowCount: sheetData.rowCount, ...result });
+    }
+
+    res.json({ success: true, sheetId, rowCount: sheetData.rowCount, columns: sheetData.columns, rows });
+  } catch (err) {
+    console.error('Shared sheet data error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, passwordRequired: err.passwordRequired });
+  }
+});
+
+// ─── GET /api/public/share/:token/dashboard ───────────────────────────────────
+// Each widget with its data already aggregated (in the project currency),
+// so the viewer needs one request. Scatter widgets get raw points. A widget
+// that can't be computed carries an `error` instead of failing the rest.
+
+router.get('/public/share/:token/dashboard', async (req, res) => {
+  try {
+    const { link, project, dateFormat } = await openShareLink(req, 'dashboard');
+
+    const sheetsSnapshot = await db.collection('projects').doc(link.projectId).collection('sheets').get();
+    const sheetsById = new Map(sheetsSnapshot.docs
+      .map((doc) => doc.data())
+      .filter((sheet) => !link.sheetId || sheet.id === link.sheetId)
+      .map((sheet) => [sheet.id, sheet]));
+
+    const widgets = (project.dashboardLayout || []).filter((w) => sheetsById.has(w.sheetId));
+    const rowsBySheet = new Map();
+    const data = [];
+    for (const widget of widgets) {
+      const sheet = sheetsById.get(widget.sheetId);
+      if (!rowsBySheet.has(sheet.id)) rowsBySheet.set(sheet.id, await readSheetRows(link.projectId, sheet));
+      const rows = rowsBySheet.get(sheet.id);
+      try {
+        if (widget.chartType === 'scatter') {
+          const { rows: points } = queryRows(rows, sheet.columns, {
+            filters: widget.filters || [],
+            columns: [widget.xColumn, widget.yColumn],
+            limit: 1000,
+          }, { dateFormat });
+          data.push({ ...widget, points });
+        } else {
+          data.push({ ...widget, data: await aggregateSheet(project, sheet, rows, widget, dateFormat) });
+        }
+      } catch (widgetErr) {
+        data.push({ ...widget, error: widgetErr.message });
+      }
+    }
+
+    res.json({
+      success: true,
+      project: { name: project.name, currency: project.currency },
+      sheets: [...sheetsById.values()].map(publicSheet),
+      widgets: data,
+    });
+  } catch (err) {
+    console.error('Shared dashboard error:', err.message);
+    res.status(err.status || 500).json({ error: err.message, passwordRequired: err.passwordRequired });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
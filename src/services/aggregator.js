@@ -0,0 +1,251 @@
+const { toNumber, toDate } = require('./valueParser');
+const { badRequest, round } = require('./utils');
+
+const AGGREGATIONS = ['sum', 'avg', 'count', 'min', 'max'];
+const DATE_BUCKETS = ['day', 'week', 'month', 'quarter', 'year'];
+const NUMERIC_TYPES = ['Number', 'Currency', 'Percentage'];
+const MAX_BINS = 50;
+// Stacks beyond this many are folded into "Other" — a 40-colour stack is unreadable
+const MAX_STACKS = 8;
+
+/**
+ * Group rows by the x column and reduce the y column of each group.
+ *
+ * spec: { xColumn, yColumn, aggregation = 'sum', dateBucket = 'month',
+ *         seriesColumn, bins, limit, dateFormat }
+ *   - xColumn of type Date is grouped into day/week/month/quarter/year buckets
+ *   - a numeric xColumn with `bins` is split into equal-width ranges (histograms)
+ *   - any other xColumn is grouped by its raw value
+ *   - seriesColumn splits every x group further — each point gets a
+ *     `breakdown` of { seriesValue: y } (stacked bars)
+ *   - limit keeps the first N groups after sorting (top-N tables)
+ *   - no xColumn at all returns a single summary (for stat cards)
+ *
+ * Returns { series: [{ x, y, count }], ... } in the same x/y terms the
+ * chart suggestions use.
+ */
+function aggregateRows(rows, columns, spec = {}) {
+  const { xColumn = null, yColumn = null } = spec;
+  const aggregation = spec.aggregation || 'sum';
+
+  if (!AGGREGATIONS.includes(aggregation)) {
+    throw badRequest(`Invalid aggregation "${aggregation}". Allowed: ${AGGREGATIONS.join(', ')}`);
+  }
+
+  const xCol = xColumn ? findColumn(columns, xColumn) : null;
+  const yCol = yColumn ? findColumn(columns, yColumn) : null;
+
+  if (!yCol && aggregation !== 'count') {
+    throw badRequest(`yColumn is required for the "${aggregation}" aggregation`);
+  }
+
+  const isDateAxis = xCol?.type === 'Date';
+  const dateBucket = isDateAxis ? (spec.dateBucket || 'month') : null;
+  if (isDateAxis && !DATE_BUCKETS.includes(dateBucket)) {
+    throw badRequest(`Invalid dateBucket "${dateBucket}". Allowed: ${DATE_BUCKETS.join(', ')}`);
+  }
+
+  // Stat card — no grouping, summarise the whole column
+  if (!xCol) {
+    const values = [];
+    for (const row of rows) {
+      const y = yCol ? toNumber(row[yCol.name]) : 1;
+      if (y !== null) values.push(y);
+    }
+    return {
+      yColumn: yCol?.name || null,
+      aggregation,
+      summary: summarise(values),
+      skipped: rows.length - values.length,
+    };
+  }
+
+  const bins = spec.bins ?? null;
+  if (bins !== null) {
+    if (!NUMERIC_TYPES.includes(xCol.type)) throw badRequest('bins needs a numeric xColumn');
+    if (!Number.isInteger(bins) || bins < 2 || bins > MAX_BINS) {
+      throw badRequest(`bins must be an integer between 2 and ${MAX_BINS}`);
+    }
+  }
+
+  const seriesCol = spec.seriesColumn ? findColumn(columns, spec.seriesColumn) : null;
+  if (seriesCol && seriesCol.name === xCol.name) throw badRequest('seriesColumn must differ from xColumn');
+
+  const limit = spec.limit ?? null;
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+    throw badRequest('limit must be a positive integer');
+  }
+
+  const binOf = bins !== null ? binner(rows, xCol.name, bins) : null;
+  const groups = new Map();
+  const stacks = new Map();
+  let skipped = 0;
+
+  for (const row of rows) {
+    let key;
+    if (isDateAxis) {
+      const date = toDate(row[xCol.name], spec.dateFormat);
+      if (!date) { skipped++; continue; }
+      key = bucketKey(date, dateBucket);
+    } else if (binOf) {
+      key = binOf(toNumber(row[xCol.name]));
+      if (key === null) { skipped++; continue; }
+    } else {
+      const raw = row[xCol.name];
+      key = raw === null || raw === undefined || String(raw).trim() === ''
+        ? '(blank)'
+        : String(raw).trim();
+    }
+
+    let y = 1;
+    if (yCol) {
+      y = toNumber(row[yCol.name]);
+      // count still counts rows with a blank y — the other reducers can't
+      if (y === null && aggregation !== 'count') { skipped++; continue; }
+    }
+
+    if (!groups.has(key)) groups.set(key, { values: [], stacks: new Map() });
+    const group = groups.get(key);
+    group.values.push(y);
+
+    if (seriesCol) {
+      const raw = row[seriesCol.name];
+      const stack = raw === null || raw === undefined || String(raw).trim() === '' ? '(blank)' : String(raw).trim();
+      if (!group.stacks.has(stack)) group.stacks.set(stack, []);
+      group.stacks.get(stack).push(y);
+      stacks.set(stack, (stacks.get(stack) || 0) + Math.abs(y || 0));
+    }
+  }
+
+  // Biggest stacks by absolute total keep their own colour, the rest become "Other"
+  const keptStacks = [...stacks.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, stacks.size > MAX_STACKS ? MAX_STACKS - 1 : MAX_STACKS)
+    .map(([name]) => name);
+  const seriesKeys = seriesCol
+    ? (stacks.size > keptStacks.length ? [...keptStacks, 'Other'] : keptStacks)
+    : null;
+
+  let series = [...groups.entries()].map(([x, group]) => {
+    const point = { x, y: reduce(group.values, aggregation), count: group.values.length };
+    if (binOf) Object.assign(point, binOf.range(x), { x: binOf.label(x) });
+    if (seriesCol) {
+      const folded = new Map();
+      for (const [stack, values] of group.stacks) {
+        const name = keptStacks.includes(stack) ? stack : 'Other';
+        if (!folded.has(name)) folded.set(name, []);
+        for (const v of values) folded.get(name).push(v);
+      }
+      point.breakdown = Object.fromEntries([...folded].map(([name, values]) => [name, reduce(values, aggregation)]));
+    }
+    return point;
+  });
+
+  // Time series and histograms read left to right; categories read biggest first
+  if (isDateAxis) series.sort((a, b) => (a.x < b.x ? -1 : a.x > b.x ? 1 : 0));
+  else if (binOf) series.sort((a, b) => a.from - b.from);
+  // Top-N ranks by size either way — spending stored as negatives is still "top"
+  else if (limit !== null) series.sort((a, b) => Math.abs(b.y) - Math.abs(a.y));
+  else series.sort((a, b) => b.y - a.y);
+
+  const groupCount = series.length;
+  if (limit !== null) series = series.slice(0, limit);
+
+  const result = {
+    xColumn: xCol.name,
+    yColumn: yCol?.name || null,
+    aggregation,
+    dateBucket,
+    series,
+    skipped,
+  };
+  if (seriesCol) Object.assign(result, { seriesColumn: seriesCol.name, seriesKeys });
+  if (binOf) result.bins = bins;
+  if (limit !== null) Object.assign(result, { limit, groupCount });
+  return result;
+}
+
+/**
+ * Equal-width bins over the column's numeric range. The returned function
+ * maps a value to its bin index (null for blanks); .range/.label describe a bin.
+ */
+function binner(rows, name, bins) {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const row of rows) {
+    const n = toNumber(row[name]);
+    if (n === null) continue;
+    if (n < min) min = n;
+    if (n > max) max = n;
+  }
+  // All-equal (or empty) columns still get one sensible bin
+  const width = max > min ? (max - min) / bins : 1;
+
+  const binOf = (n) => {
+    if (n === null) return null;
+    return Math.min(Math.floor((n - min) / width), bins - 1);
+  };
+  binOf.range = (index) => ({ from: round(min + index * width), to: round(min + (index + 1) * width) });
+  binOf.label = (index) => {
+    const { from, to } = binOf.range(index);
+    return `${from} – ${to}`;
+  };
+  return binOf;
+}
+
+function findColumn(columns, name) {
+  const col = columns.find((c) => c.name === name);
+  if (!col) throw badRequest(`Column "${name}" does not exist in this sheet`);
+  return col;
+}
+
+function reduce(values, aggregation) {
+  switch (aggregation) {
+    case 'count': return values.length;
+    case 'sum': return round(values.reduce((a, b) => a + b, 0));
+    case 'avg': return values.length ? round(values.reduce((a, b) => a + b, 0) / values.length) : 0;
+    // reduce rather than Math.min(...values) — spreading 50k rows overflows the stack
+    case 'min': return values.length ? values.reduce((a, b) => (b < a ? b : a)) : null;
+    case 'max': return values.length ? values.reduce((a, b) => (b > a ? b : a)) : null;
+    default: return null;
+  }
+}
+
+function summarise(values) {
+  return {
+    count: values.length,
+    sum: reduce(values, 'sum'),
+    avg: reduce(values, 'avg'),
+    min: reduce(values, 'min'),
+    max: reduce(values, 'max'),
+  };
+}
+
+/**
+ * Bucket label for a date — sorts correctly as a plain string.
+ * Weeks are keyed by their Monday.
+ */
+function bucketKey(date, bucket) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth() + 1;
+  const pad = (n) => String(n).padStart(2, '0');
+
+  switch (bucket) {
+    case 'day':
+      return `${y}-${pad(m)}-${pad(date.getUTCDate())}`;
+    case 'week': {
+      const monday = new Date(Date.UTC(y, m - 1, date.getUTCDate()));
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    }
+    case 'quarter':
+      return `${y}-Q${Math.ceil(m / 3)}`;
+    case 'year':
+      return String(y);
+    case 'month':
+    default:
+      return `${y}-${pad(m)}`;
+  }
+}
+
+module.exports = { aggregateRows, bucketKey, AGGREGATIONS, DATE_BUCKETS, NUMERIC_TYPES };
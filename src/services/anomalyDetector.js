@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { bucketKey } = require('./aggregator');
+const { extractTransactions } = require('./transactions');
+const { detectRecurring } = require('./subscriptionDetector');
+const { round } = require('./utils');
+
+const INSIGHT_TYPES = ['unusualTransaction', 'categorySpike', 'newRecurring'];
+const INSIGHT_STATUSES = ['open', 'acknowledged', 'dismissed'];
+
+const DAY = 86400000;
+const DEFAULTS = {
+  // Only recent activity raises alerts — history is the baseline
+  windowDays: 90,
+  // Robust z-score (median/MAD) above which a single transaction is unusual
+  outlierZ: 3.5,
+  minHistory: 8,
+  // A category month must be this many times its trailing average...
+  spikeRatio: 1.5,
+  // ...and at least this much bigger, so 5 → 12 coffees doesn't alert
+  minSpikeAmount: 50,
+  spikeBaselineMonths: 3,
+};
+
+/**
+ * Scan a project's spending for anomalies.
+ *
+ *   unusualTransaction — one charge far above what its category (or the
+ *     whole sheet, without categories) normally costs
+ *   categorySpike — a category's month well above its trailing average
+ *   newRecurring — a merchant first seen recently that is already being
+ *     charged on a weekly or monthly cadence
+ *
+ * Only activity in the last `windowDays` before referenceDate raises
+ * insights. Each insight has a deterministic id, so re-scanning finds the
+ * same insight again instead of a copy.
+ *
+ * sheets: [{ sheet, rows }]. Returns insights, most severe first.
+ */
+function detectAnomalies(sheets, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+  const referenceDate = opts.referenceDate || new Date();
+  const windowStart = new Date(referenceDate.getTime() - opts.windowDays * DAY);
+  const transactions = extractTransactions(sheets, opts)
+    .filter((t) => t.date <= referenceDate);
+
+  const insights = [
+    ...unusualTransactions(transactions, windowStart, opts),
+    ...categorySpikes(transactions, windowStart, referenceDate, opts),
+    ...newRecurringCharges(transactions, windowStart, referenceDate),
+  ];
+
+  const rank = { high: 0, medium: 1, low: 2 };
+  return insights.sort((a, b) => rank[a.severity] - rank[b.severity] || (a.date < b.date ? 1 : -1));
+}
+
+function unusualTransactions(transactions, windowStart, opts) {
+  const groups = groupBy(transactions, (t) => `${t.sheetId}|${t.category ?? ''}`);
+  const insights = [];
+
+  for (const group of groups.values()) {
+    if (group.length < opts.minHistory) continue;
+    const amounts = group.map((t) => t.amount);
+    const med = median(amounts);
+    // Scaled MAD ≈ standard deviation for normal data, but one huge
+    // charge can't inflate it and hide itself
+    const mad = median(amounts.map((a) => Math.abs(a - med))) * 1.4826;
+    if (mad === 0) continue;
+
+    for (const t of group) {
+      if (t.date < windowStart) continue;
+      const z = (t.amount - med) / mad;
+      if (z < opts.outlierZ || t.amount < med * 2) continue;
+
+      const scope = t.category ? `"${t.category}"` : t.fileName;
+      insights.push(insight('unusualTransaction', `${t.sheetId}|${t.rowIndex}|${t.amount}`, {
+        severity: z >= opts.outlierZ * 2 ? 'high' : 'medium',
+        title: `Unusual ${t.category ? `${t.category} ` : ''}charge: ${t.description || 'transaction'}`,
+        message: `${formatAmount(t.amount)} on ${day(t.date)} is ${round(t.amount / med)}× the usual ${formatAmount(med)} for ${scope}`,
+        sheetId: t.sheetId,
+        rowIndex: t.rowIndex,
+        category: t.category,
+        date: day(t.date),
+        amount: round(t.amount),
+        baseline: round(med),
+      }));
+    }
+  }
+
+  return insights;
+}
+
+function categorySpikes(transactions, windowStart, referenceDate, opts) {
+  // Month totals per category across all sheets
+  const totals = new Map();
+  for (const t of transactions) {
+    if (!t.category) continue;
+    const key = t.category.toLowerCase();
+    if (!totals.has(key)) totals.set(key, { name: t.category, months: new Map() });
+    const months = totals.get(key).months;
+    const month = bucketKey(t.date, 'month');
+    months.set(month, (months.get(month) || 0) + t.amount);
+  }
+
+  const firstMonth = bucketKey(windowStart, 'month');
+  const lastMonth = bucketKey(referenceDate, 'month');
+  const insights = [];
+
+  for (const { name, months } of totals.values()) {
+    for (const [month, total] of months) {
+      if (month < firstMonth || month > lastMonth) continue;
+
+      // Trailing months with no spending count as 0 once the category exists
+      const previous = [];
+      for (let i = 1; i <= opts.spikeBaselineMonths; i++) {
+        const prior = shiftMonth(month, -i);
+        if ([...months.keys()].some((m) => m <= prior)) previous.push(months.get(prior) || 0);
+      }
+      if (previous.length < 2) continue;
+
+      const baseline = previous.reduce((a, b) => a + b, 0) / previous.length;
+      if (total < baseline * opts.spikeRatio || total - baseline < opts.minSpikeAmount) continue;
+
+      const ratio = baseline > 0 ? total / baseline : null;
+      insights.push(insight('categorySpike', `${name.toLowerCase()}|${month}`, {
+        severity: ratio === null || ratio >= 2.5 ? 'high' : 'medium',
+        title: `${name} spending up in ${month}`,
+        message: `${formatAmount(total)} in ${month} vs an average of ${formatAmount(baseline)} over the previous ${previous.length} months`
+          + (month === lastMonth ? ' (month in progress)' : ''),
+        category: name,
+        period: month,
+        date: `${month}-01`,
+        amount: round(total),
+        baseline: round(baseline),
+      }));
+    }
+  }
+
+  return insights;
+}
+
+function newRecurringCharges(transactions, windowStart, referenceDate) {
+  // Two charges a period apart are enough to warn about — the
+  // subscriptions list waits for a third before listing it
+  return detectRecurring(transactions, { referenceDate, minOccurrences: 2 })
+    .filter((sub) => sub.cadence !== 'yearly' && sub.status === 'active' && new Date(sub.firstCharge) >= windowStart)
+    .map((sub) => insight('newRecurring', `${sub.merchantKey}|${sub.firstCharge}`, {
+      severity: sub.occurrences >= 3 ? 'medium' : 'low',
+      title: `New ${sub.cadence} charge: ${sub.merchant}`,
+      message: `${sub.occurrences} charges of about ${formatAmount(sub.typicalAmount)} since ${sub.firstCharge} — looks like a new ${sub.cadence} subscription`,
+      sheetId: sub.lastRow.sheetId,
+      rowIndex: sub.lastRow.rowIndex,
+      category: sub.category,
+      date: sub.lastCharge,
+      amount: sub.typicalAmount,
+      baseline: null,
+      cadence: sub.cadence,
+      occurrences: sub.occurrences,
+      subscriptionId: sub.id,
+    }));
+}
+
+function insight(type, key, fields) {
+  return {
+    id: crypto.createHash('sha1').update(`${type}|${key}`).digest('hex').slice(0, 20),
+    type,
+    sheetId: null,
+    rowIndex: null,
+    category: null,
+    ...fields,
+  };
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// '2024-01' + -2 → '2023-11'
+function shiftMonth(month, delta) {
+  const [y, m] = month.split('-').map(Number);
+  return bucketKey(new Date(Date.UTC(y, m - 1 + delta, 1)), 'month');
+}
+
+function day(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function formatAmount(num) {
+  return num.toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+module.exports = { detectAnomalies, INSIGHT_TYPES, INSIGHT_STATUSES };
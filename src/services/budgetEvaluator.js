@@ -0,0 +1,176 @@
+const { toNumber, toDate } = require('./valueParser');
+const { spendingIsNegative } = require('./transactions');
+const { badRequest, round } = require('./utils');
+
+const PERIODS = ['monthly', 'quarterly', 'yearly'];
+const DEFAULT_WARNING_THRESHOLD = 0.8;
+
+/**
+ * Validate + clean a budget payload from the API.
+ * partial: true for PATCH — only the supplied fields are checked/returned.
+ */
+function validateBudget(input = {}, { partial = false } = {}) {
+  const budget = {};
+
+  if (!partial || input.category !== undefined) {
+    if (typeof input.category !== 'string' || !input.category.trim()) {
+      throw badRequest('category is required');
+    }
+    budget.category = input.category.trim();
+  }
+
+  if (!partial || input.limit !== undefined) {
+    const limit = toNumber(input.limit);
+    if (limit === null || limit <= 0) throw badRequest('limit must be a positive number');
+    budget.limit = limit;
+  }
+
+  if (!partial || input.period !== undefined) {
+    const period = input.period || 'monthly';
+    if (!PERIODS.includes(period)) {
+      throw badRequest(`Invalid period "${period}". Allowed: ${PERIODS.join(', ')}`);
+    }
+    budget.period = period;
+  }
+
+  if (!partial || input.warningThreshold !== undefined) {
+    const threshold = input.warningThreshold === undefined
+      ? DEFAULT_WARNING_THRESHOLD
+      : toNumber(input.warningThreshold);
+    if (threshold === null || threshold <= 0 || threshold > 1) {
+      throw badRequest('warningThreshold must be a fraction between 0 and 1 (e.g. 0.8)');
+    }
+    budget.warningThreshold = threshold;
+  }
+
+  // Optional column hints — null means "work it out from the column types"
+  for (const key of ['name', 'categoryColumn', 'amountColumn']) {
+    if (!partial || input[key] !== undefined) {
+      const value = input[key];
+      budget[key] = typeof value === 'string' && value.trim() ? value.trim() : null;
+    }
+  }
+
+  return budget;
+}
+
+/**
+ * Start (inclusive) and end (exclusive) of the budget period containing date.
+ */
+function periodBounds(period, date) {
+  const y = date.getUTCFullYear();
+  const m = date.getUTCMonth();
+
+  switch (period) {
+    case 'yearly':
+      return { start: new Date(Date.UTC(y, 0, 1)), end: new Date(Date.UTC(y + 1, 0, 1)) };
+    case 'quarterly': {
+      const q = Math.floor(m / 3) * 3;
+      return { start: new Date(Date.UTC(y, q, 1)), end: new Date(Date.UTC(y, q + 3, 1)) };
+    }
+    case 'monthly':
+    default:
+      return { start: new Date(Date.UTC(y, m, 1)), end: new Date(Date.UTC(y, m + 1, 1)) };
+  }
+}
+
+/**
+ * Work out which columns of a sheet a budget applies to.
+ * Returns null when the sheet can't contribute (no category / amount / date).
+ */
+function resolveColumns(budget, columns) {
+  const categoryCols = budget.categoryColumn
+    ? columns.filter((c) => c.name === budget.categoryColumn)
+    : columns.filter((c) => c.type === 'Category');
+
+  const amountCol = budget.amountColumn
+    ? columns.find((c) => c.name === budget.amountColumn)
+    : columns.find((c) => c.type === 'Currency') || columns.find((c) => c.type === 'Number');
+
+  const dateCol = columns.find((c) => c.type === 'Date');
+
+  if (categoryCols.length === 0 || !amountCol || !dateCol) return null;
+  return { categoryCols, amountCol, dateCol };
+}
+
+/**
+ * Evaluate budgets against the rows of every sheet in a project.
+ *
+ * sheets: [{ sheet: <sheet doc>, rows: [...] }]
+ * Spending is summed for rows whose date falls in the budget's current
+ * period (the one containing referenceDate) and whose category matches.
+ * Signs follow extractTransactions: in a sheet mixing signs only the
+ * negative rows are spending (refunds and income don't offset it), and rows
+ * flagged as duplicates are skipped.
+ */
+function evaluateBudgets(budgets, sheets, { referenceDate = new Date(), dateFormat } = {}) {
+  return budgets.map((budget) => {
+    const { start, end } = periodBounds(budget.period, referenceDate);
+    const wanted = budget.category.trim().toLowerCase();
+
+    let total = 0;
+    let matchedRows = 0;
+    const sheetIds = [];
+    const skippedSheets = [];
+
+    for (const { sheet, rows } of sheets) {
+      const cols = resolveColumns(budget, sheet.columns || []);
+      if (!cols) {
+        skippedSheets.push(sheet.id);
+        continue;
+      }
+
+      const amounts = rows.map((row) => toNumber(row[cols.amountCol.name]));
+      const negativeSpending = spendingIsNegative(amounts);
+
+      let contributed = false;
+      rows.forEach((row, rowIndex) => {
+        if (row._duplicate) return;
+        const matches = cols.categoryCols.some(
+          (c) => row[c.name] !== null && row[c.name] !== undefined
+            && String(row[c.name]).trim().toLowerCase() === wanted,
+        );
+        if (!matches) return;
+
+        const date = toDate(row[cols.dateCol.name], dateFormat);
+        if (!date || date < start || date >= end) return;
+
+        const amount = amounts[rowIndex];
+        if (amount === null || amount === 0) return;
+        if (negativeSpending && amount > 0) return;
+
+        total += Math.abs(amount);
+        matchedRows++;
+        contributed = true;
+      });
+      if (contributed) sheetIds.push(sheet.id);
+    }
+
+    const spent = round(total);
+    const percentUsed = round((spent / budget.limit) * 100);
+    const threshold = budget.warningThreshold ?? DEFAULT_WARNING_THRESHOLD;
+
+    let status = 'ok';
+    if (spent > budget.limit) status = 'over';
+    else if (spent >= budget.limit * threshold) status = 'warning';
+
+    return {
+      budgetId: budget.id,
+      name: budget.name || budget.category,
+      category: budget.category,
+      period: budget.period,
+      periodStart: start.toISOString().slice(0, 10),
+      periodEnd: new Date(end.getTime() - 1).toISOString().slice(0, 10),
+      limit: budget.limit,
+      spent,
+      remaining: round(budget.limit - spent),
+      percentUsed,
+      status,
+      matchedRows,
+      sheetIds,
+      skippedSheets,
+    };
+  });
+}
+
+module.exports = { validateBudget, evaluateBudgets, periodBounds, PERIODS };
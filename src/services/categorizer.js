@@ -0,0 +1,263 @@
+const vm = require('vm');
+const { toNumber } = require('./valueParser');
+const { badRequest } = require('./utils');
+
+const MATCH_TYPES = ['keyword', 'regex', 'wildcard', 'amountRange', 'columnEquals'];
+const MAX_PATTERN_LENGTH = 200;
+// Time one regex rule may spend on one sheet's rows before it's given up on
+const REGEX_TIMEOUT_MS = 250;
+
+/**
+ * Validate + clean a categorization rule from the API.
+ *
+ * Rule shape:
+ *   { name, category, priority, enabled, match }
+ *   match.type = 'keyword'      → { keywords: [..], column? }   any keyword contained (case-insensitive)
+ *   match.type = 'regex'        → { pattern, column? }          case-insensitive regex test
+ *   match.type = 'wildcard'     → { pattern, column? }          whole value, * = any text, ? = one character
+ *   match.type = 'amountRange'  → { min?, max?, column? }       compares the absolute amount
+ *   match.type = 'columnEquals' → { column, value }             exact (case-insensitive) value
+ *
+ * Without a column, text matches look at every Text/Category column and
+ * amount matches use the first Currency (or Number) column.
+ *
+ * Rules run inside /ingest, where one regex with catastrophic backtracking
+ * could stall every request on the server — so patterns are kept short and
+ * each regex rule runs under a time limit (see regexHits). Wildcards cover
+ * most of the same ground ("*AMAZON*MKTP*") in linear time.
+ */
+function validateRule(input = {}, { partial = false } = {}) {
+  const rule = {};
+
+  if (!partial || input.category !== undefined) {
+    if (typeof input.category !== 'string' || !input.category.trim()) {
+      throw badRequest('category is required');
+    }
+    rule.category = input.category.trim();
+  }
+
+  if (!partial || input.name !== undefined) {
+    rule.name = typeof input.name === 'string' && input.name.trim() ? input.name.trim() : null;
+  }
+
+  if (!partial || input.priority !== undefined) {
+    const priority = input.priority === undefined ? 100 : toNumber(input.priority);
+    if (priority === null) throw badRequest('priority must be a number');
+    rule.priority = priority;
+  }
+
+  if (!partial || input.enabled !== undefined) {
+    rule.enabled = input.enabled === undefined ? true : Boolean(input.enabled);
+  }
+
+  if (!partial || input.match !== undefined) {
+    rule.match = validateMatch(input.match);
+  }
+
+  return rule;
+}
+
+function validateMatch(match) {
+  if (!match || typeof match !== 'object') throw badRequest('match is required');
+  if (!MATCH_TYPES.includes(match.type)) {
+    throw badRequest(`Invalid match.type "${match.type}". Allowed: ${MATCH_TYPES.join(', ')}`);
+  }
+
+  const column = typeof match.column === 'string' && match.column.trim() ? match.column.trim() : null;
+
+  switch (match.type) {
+    case 'keyword': {
+      const raw = Array.isArray(match.keywords) ? match.keywords : [match.keywords ?? match.value];
+      const keywords = raw
+        .filter((k) => typeof k === 'string' && k.trim())
+        .map((k) => k.trim());
+      if (keywords.length === 0) throw badRequest('match.keywords must contain at least one keyword');
+      return { type: 'keyword', column, keywords };
+    }
+    case 'regex': {
+      const pattern = match.pattern;
+      if (typeof pattern !== 'string' || !pattern) throw badRequest('match.pattern is required');
+      // Keep user patterns short — long ones are where catastrophic backtracking hides
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw badRequest(`match.pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+      try {
+        new RegExp(pattern, 'i');
+      } catch (e) {
+        throw badRequest(`Invalid regex: ${e.message}`);
+      }
+      return { type: 'regex', column, pattern };
+    }
+    case 'wildcard': {
+      const pattern = typeof match.pattern === 'string' ? match.pattern.trim() : '';
+      if (!pattern) throw badRequest('match.pattern is required');
+      if (pattern.length > MAX_PATTERN_LENGTH) {
+        throw badRequest(`match.pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+      }
+      return { type: 'wildcard', column, pattern };
+    }
+    case 'amountRange': {
+      const min = match.min === undefined || match.min === null ? null : toNumber(match.min);
+      const max = match.max === undefined || match.max === null ? null : toNumber(match.max);
+      if (min === null && max === null) throw badRequest('match.min or match.max is required');
+      if (min !== null && max !== null && min > max) throw badRequest('match.min must not exceed match.max');
+      return { type: 'amountRange', column, min, max };
+    }
+    case 'columnEquals':
+    default: {
+      if (!column) throw badRequest('match.column is required for columnEquals');
+      if (match.value === undefined || match.value === null || String(match.value).trim() === '') {
+        throw badRequest('match.value is required for columnEquals');
+      }
+      return { type: 'columnEquals', column, value: String(match.value).trim() };
+    }
+  }
+}
+
+// Turn a stored rule into a (row, rowIndex) => boolean test for one sheet's
+// columns and rows
+function compileRule(rule, columns, targetColumn, rows) {
+  const { match } = rule;
+  const textCols = match.column
+    ? [match.column]
+    : columns
+      .filter((c) => (c.type === 'Text' || c.type === 'Category') && c.name !== targetColumn)
+      .map((c) => c.name);
+  const text = (row, col) => (row[col] === null || row[col] === undefined ? '' : String(row[col]));
+
+  switch (match.type) {
+    case 'keyword': {
+      const keywords = match.keywords.map((k) => k.toLowerCase());
+      return (row) => textCols.some((col) => {
+        const value = text(row, col).toLowerCase();
+        return keywords.some((k) => value.includes(k));
+      });
+    }
+    case 'regex': {
+      const hits = regexHits(new RegExp(match.pattern, 'i'), rows.map((row) => textCols.map((col) => text(row, col))));
+      return (row, rowIndex) => hits[rowIndex];
+    }
+    case 'wildcard': {
+      const pattern = match.pattern.toLowerCase();
+      return (row) => textCols.some((col) => wildcardMatch(pattern, text(row, col).trim().toLowerCase()));
+    }
+    case 'amountRange': {
+      const amountCol = match.column
+        || (columns.find((c) => c.type === 'Currency') || columns.find((c) => c.type === 'Number'))?.name;
+      if (!amountCol) return () => false;
+      return (row) => {
+        const amount = toNumber(row[amountCol]);
+        if (amount === null) return false;
+        const abs = Math.abs(amount);
+        return (match.min === null || abs >= match.min) && (match.max === null || abs <= match.max);
+      };
+    }
+    case 'columnEquals': {
+      const wanted = match.value.toLowerCase();
+      return (row) => text(row, match.column).trim().toLowerCase() === wanted;
+    }
+    default:
+      return () => false;
+  }
+}
+
+/**
+ * Test a regex against every row's texts at once, in a separate context so
+ * the whole run can be stopped after REGEX_TIMEOUT_MS — a pattern that
+ * backtracks catastrophically costs one rule, not the server.
+ */
+function regexHits(re, texts) {
+  try {
+    return vm.runInNewContext('texts.map((values) => values.some((v) => re.test(v)))', { re, texts }, {
+      timeout: REGEX_TIMEOUT_MS,
+    });
+  } catch (err) {
+    if (err.code !== 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw err;
+    const timedOut = new Error(`its pattern took longer than ${REGEX_TIMEOUT_MS}ms on this sheet — simplify it`);
+    timedOut.regexTimeout = true;
+    throw timedOut;
+  }
+}
+
+/**
+ * Does `value` match the whole of `pattern` (* = any run of characters,
+ * ? = exactly one)? Backtracks only to the last *, so it stays
+ * O(pattern × value) whatever the input.
+ */
+function wildcardMatch(pattern, value) {
+  let p = 0;
+  let v = 0;
+  let star = -1;
+  let resume = 0;
+  while (v < value.length) {
+    if (p < pattern.length && (pattern[p] === '?' || pattern[p] === value[v])) {
+      p++;
+      v++;
+    } else if (p < pattern.length && pattern[p] === '*') {
+      star = p++;
+      resume = v;
+    } else if (star !== -1) {
+      p = star + 1;
+      v = ++resume;
+    } else {
+      return false;
+    }
+  }
+  while (p < pattern.length && pattern[p] === '*') p++;
+  return p === pattern.length;
+}
+
+/**
+ * Run rules over rows and write the winning category into targetColumn.
+ * Rules run in priority order (lowest first); the first match wins.
+ * Existing non-blank values are left alone unless overwrite is set.
+ *
+ * Returns { rows, columns, matched, ruleHits, skippedRules } — columns gains
+ * a derived Category column when the sheet didn't have one. skippedRules
+ * lists regex rules that ran out of time and were left out.
+ */
+function applyRules(rows, columns, rules, { targetColumn = 'Category', overwrite = false } = {}) {
+  const skippedRules = [];
+  const active = rules
+    .filter((r) => r.enabled !== false)
+    .sort((a, b) => (a.priority ?? 100) - (b.priority ?? 100))
+    .map((r) => {
+      try {
+        return { rule: r, test: compileRule(r, columns, targetColumn, rows) };
+      } catch (err) {
+        if (!err.regexTimeout) throw err;
+        skippedRules.push({ ruleId: r.id, name: r.name || null, reason: err.message });
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const ruleHits = {};
+  let matched = 0;
+
+  const categorized = rows.map((row, rowIndex) => {
+    const current = row[targetColumn];
+    if (!overwrite && current !== null && current !== undefined && String(current).trim() !== '') {
+      return row;
+    }
+    const hit = active.find(({ test }) => test(row, rowIndex));
+    if (!hit) return { ...row, [targetColumn]: current ?? null };
+
+    matched++;
+    ruleHits[hit.rule.id] = (ruleHits[hit.rule.id] || 0) + 1;
+    return { ...row, [targetColumn]: hit.rule.category };
+  });
+
+  // Category type so suggestCharts offers bar/pie charts on it
+  const values = categorized
+    .map((r) => r[targetColumn])
+    .filter((v) => v !== null && v !== undefined && String(v).trim() !== '');
+  const existing = columns.find((c) => c.name === targetColumn);
+  const nextColumns = existing
+    ? columns.map((c) => (c.name === targetColumn ? { ...c, type: 'Category' } : c))
+    : [...columns, { name: targetColumn, type: 'Category', sample: values.slice(0, 5), derived: true }];
+
+  return { rows: categorized, columns: nextColumns, matched, ruleHits, skippedRules };
+}
+
+module.exports = { validateRule, applyRules, MATCH_TYPES };
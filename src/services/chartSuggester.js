@@ -1,79 +1,392 @@
+const { toNumber, toDate } = require('./valueParser');
+const { round } = require('./utils');
+
+const NUMERIC_TYPES = ['Number', 'Currency', 'Percentage'];
+const TOP_N = 10;
+const HISTOGRAM_BINS = 10;
+
+// Cardinality limits per chart kind
+const PIE_MAX_SLICES = 8;
+const BAR_MAX_GROUPS = 30;
+const STACK_MAX_GROUPS = 8;
+
+// Distinct values past this are not tracked — "lots" is all the scoring needs
+const DISTINCT_CAP = 1000;
+
+const MONEY_NAME = /amount|total|spend|spent|cost|price|debit|credit|balance|value/i;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Per-column statistics from the stored rows:
+ *   { nonBlank, nullRatio, cardinality }
+ *   + numeric: { mean, stdDev, cv, negatives, positives }
+ *   + Date:    { from, to, spanDays }
+ */
+function profileColumns(columns, rows, { dateFormat } = {}) {
+  const total = rows.length;
+  const profiles = {};
+
+  for (const col of columns) {
+    const distinct = new Set();
+    let nonBlank = 0;
+    let count = 0;
+    let sum = 0;
+    let sumSq = 0;
+    let negatives = 0;
+    let positives = 0;
+    let from = null;
+    let to = null;
+
+    for (const row of rows) {
+      const value = row[col.name];
+      if (isBlank(value)) continue;
+      nonBlank++;
+      if (distinct.size < DISTINCT_CAP) distinct.add(String(value).trim().toLowerCase());
+
+      if (NUMERIC_TYPES.includes(col.type)) {
+        const n = toNumber(value);
+        if (n === null) continue;
+        count++;
+        sum += n;
+        sumSq += n * n;
+        if (n < 0) negatives++;
+        if (n > 0) positives++;
+      } else if (col.type === 'Date') {
+        const date = toDate(value, dateFormat);
+        if (!date) continue;
+        if (!from || date < from) from = date;
+        if (!to || date > to) to = date;
+      }
+    }
+
+    const profile = {
+      nonBlank,
+      nullRatio: total ? round((total - nonBlank) / total) : 1,
+      cardinality: distinct.size,
+    };
+
+    if (NUMERIC_TYPES.includes(col.type)) {
+      const mean = count ? sum / count : 0;
+      const variance = count ? Math.max(sumSq / count - mean * mean, 0) : 0;
+      const stdDev = Math.sqrt(variance);
+      Object.assign(profile, {
+        mean: round(mean),
+        stdDev: round(stdDev),
+        // Relative spread — 0 means every value is the same
+        cv: mean !== 0 ? round(stdDev / Math.abs(mean)) : (stdDev > 0 ? Infinity : 0),
+        negatives,
+        positives,
+      });
+    } else if (col.type === 'Date') {
+      Object.assign(profile, {
+        from: from ? from.toISOString().slice(0, 10) : null,
+        to: to ? to.toISOString().slice(0, 10) : null,
+        spanDays: from ? Math.round((to - from) / 86400000) : 0,
+      });
+    }
+
+    profiles[col.name] = profile;
+  }
+
+  return profiles;
+}
+
+// Pearson correlation between two numeric columns over rows where both parse
+function correlation(rows, a, b) {
+  let n = 0;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let syy = 0;
+  let sxy = 0;
+  for (const row of rows) {
+    const x = toNumber(row[a]);
+    const y = toNumber(row[b]);
+    if (x === null || y === null) continue;
+    n++;
+    sx += x;
+    sy += y;
+    sxx += x * x;
+    syy += y * y;
+    sxy += x * y;
+  }
+  const denom = Math.sqrt((n * sxx - sx * sx) * (n * syy - sy * sy));
+  return { n, r: denom > 0 ? (n * sxy - sx * sy) / denom : 0 };
+}
+
+// Bucket that gives a readable number of points for the date span
+function bucketForSpan(spanDays) {
+  if (spanDays <= 45) return 'day';
+  if (spanDays <= 180) return 'week';
+  if (spanDays <= 1100) return 'month';
+  return 'quarter';
+}
+
+function clamp(score) {
+  return round(Math.min(Math.max(score, 0), 1));
+}
+
+function makeId(...parts) {
+  return parts.join('_').replace(/\s+/g, '_');
+}
+
 /**
- * Given an array of column metadata objects ({ name, type }),
- * return an array of chart config recommendations.
+ * Suggest charts for a sheet, each with a relevance `score` (0–1) and a
+ * `reason`, best first.
+ *
+ * With `rows`, suggestions are judged on the data: cardinality decides
+ * between pie, bar and top-N table, flat or mostly-empty columns are
+ * down-ranked, single-day date columns get no trend line, and scatter plots
+ * are ranked by correlation. Charts that would be unreadable are dropped.
+ * Without rows only column types are used and scores are neutral.
+ *
+ * Returns { charts, statCards, columnStats } — columnStats is null without rows.
  */
-function suggestCharts(columns) {
+function suggestCharts(columns, rows = null, { dateFormat } = {}) {
+  const hasData = Array.isArray(rows);
+  const stats = hasData ? profileColumns(columns, rows, { dateFormat }) : null;
   const suggestions = [];
 
   const dateCols = columns.filter((c) => c.type === 'Date');
-  const numericCols = columns.filter((c) => ['Number', 'Currency', 'Percentage'].includes(c.type));
+  const numericCols = columns.filter((c) => NUMERIC_TYPES.includes(c.type));
   const categoryCols = columns.filter((c) => c.type === 'Category');
+  const textCols = columns.filter((c) => c.type === 'Text');
+
+  // Without rows the only cardinality hint is the 5-value sample
+  const cardinality = (col) => (hasData ? stats[col.name].cardinality : null);
+  const filled = (col) => (hasData ? 1 - stats[col.name].nullRatio : 1);
+  const isFlat = (col) => hasData && stats[col.name].cv === 0;
+  const isEmpty = (col) => hasData && stats[col.name].nonBlank === 0;
+
+  // Prefer money over plain numbers over percentages
+  const measureWeight = (col) => {
+    let weight = col.type === 'Currency' ? 1 : col.type === 'Number' ? 0.9 : 0.8;
+    if (MONEY_NAME.test(col.name)) weight = Math.min(weight + 0.05, 1);
+    return weight;
+  };
+  const typesOnly = 'Based on column types only';
+
+  const usableNumeric = numericCols.filter((c) => !isEmpty(c));
 
   // --- Line / Area charts: Date + Numeric ---
   for (const dateCol of dateCols) {
-    for (const numCol of numericCols) {
+    const span = hasData ? stats[dateCol.name].spanDays : null;
+    if (isEmpty(dateCol) || (hasData && span < 1)) continue; // one day isn't a trend
+    const dateBucket = hasData ? bucketForSpan(span) : 'month';
+
+    for (const numCol of usableNumeric) {
+      if (isFlat(numCol)) continue;
+      const base = 0.85 * measureWeight(numCol) * filled(numCol) * filled(dateCol);
+      const reason = hasData
+        ? `${span} days of ${numCol.name} — grouped by ${dateBucket}`
+        : typesOnly;
+
       suggestions.push({
-        id: `line_${dateCol.name}_${numCol.name}`.replace(/\s+/g, '_'),
+        id: makeId('line', dateCol.name, numCol.name),
         chartType: 'line',
         title: `${numCol.name} Over Time`,
         xColumn: dateCol.name,
         yColumn: numCol.name,
+        dateBucket,
         description: `Trend of ${numCol.name} by ${dateCol.name}`,
+        score: clamp(base),
+        reason,
       });
 
+      // Same data as the line — offered, but ranked below it
       suggestions.push({
-        id: `area_${dateCol.name}_${numCol.name}`.replace(/\s+/g, '_'),
+        id: makeId('area', dateCol.name, numCol.name),
         chartType: 'area',
         title: `${numCol.name} Area Trend`,
         xColumn: dateCol.name,
         yColumn: numCol.name,
+        dateBucket,
         description: `Area chart of ${numCol.name} over ${dateCol.name}`,
+        score: clamp(base * 0.6),
+        reason: `${reason}; alternative to the line chart`,
       });
     }
   }
 
-  // --- Bar charts: Category + Numeric ---
+  // --- Category + Numeric: pie, bar or top-N table depending on cardinality ---
   for (const catCol of categoryCols) {
-    for (const numCol of numericCols) {
-      suggestions.push({
-        id: `bar_${catCol.name}_${numCol.name}`.replace(/\s+/g, '_'),
-        chartType: 'bar',
-        title: `${numCol.name} by ${catCol.name}`,
-        xColumn: catCol.name,
-        yColumn: numCol.name,
-        description: `Compare ${numCol.name} across ${catCol.name} categories`,
-      });
+    if (isEmpty(catCol)) continue;
+    const groups = cardinality(catCol);
+    if (groups === 1) continue; // one slice / one bar says nothing
+
+    for (const numCol of usableNumeric) {
+      const fill = filled(catCol) * filled(numCol);
+      const weight = measureWeight(numCol);
+
+      if (groups === null || groups <= BAR_MAX_GROUPS) {
+        suggestions.push({
+          id: makeId('bar', catCol.name, numCol.name),
+          chartType: 'bar',
+          title: `${numCol.name} by ${catCol.name}`,
+          xColumn: catCol.name,
+          yColumn: numCol.name,
+          description: `Compare ${numCol.name} across ${catCol.name} categories`,
+          score: clamp(0.8 * weight * fill),
+          reason: groups === null ? typesOnly : `${groups} categories — few enough to compare side by side`,
+        });
+      }
+
+      const mixedSigns = hasData && stats[numCol.name].negatives > 0 && stats[numCol.name].positives > 0;
+      if ((groups === null || groups <= PIE_MAX_SLICES) && !mixedSigns) {
+        let score = 0.7 * weight * fill;
+        if (groups === null && (catCol.sample?.length ?? 0) >= 5) score *= 0.6;
+        if (groups !== null && groups > 5) score *= 0.75;
+        suggestions.push({
+          id: makeId('pie', catCol.name, numCol.name),
+          chartType: 'pie',
+          title: `${numCol.name} Distribution by ${catCol.name}`,
+          xColumn: catCol.name,
+          yColumn: numCol.name,
+          description: `Proportion of ${numCol.name} per ${catCol.name}`,
+          score: clamp(score),
+          reason: groups === null ? typesOnly : `${groups} slices — shares are easy to read`,
+        });
+      }
+
+      if (groups === null || groups > PIE_MAX_SLICES) {
+        suggestions.push(topTable(catCol, numCol, groups === null
+          ? { score: 0.4 * weight, reason: typesOnly }
+          : {
+            score: (groups > BAR_MAX_GROUPS ? 0.75 : 0.5) * weight * fill,
+            reason: `${groups} categories — too many for a chart, showing the top ${TOP_N}`,
+          }));
+      }
+    }
+
+    // --- Stacked bar: Date + Category + Numeric ---
+    if (groups === null || groups <= STACK_MAX_GROUPS) {
+      for (const dateCol of dateCols) {
+        const span = hasData ? stats[dateCol.name].spanDays : null;
+        if (isEmpty(dateCol) || (hasData && span < 1)) continue;
+        // One stack per date/category pair — use the most relevant measure
+        const numCol = [...usableNumeric].sort((a, b) => measureWeight(b) - measureWeight(a))[0];
+        if (!numCol) continue;
+        const dateBucket = hasData ? bucketForSpan(span) : 'month';
+        suggestions.push({
+          id: makeId('stackedBar', dateCol.name, catCol.name, numCol.name),
+          chartType: 'stackedBar',
+          title: `${numCol.name} by ${catCol.name} Over Time`,
+          xColumn: dateCol.name,
+          yColumn: numCol.name,
+          seriesColumn: catCol.name,
+          dateBucket,
+          description: `${numCol.name} per ${dateBucket}, split by ${catCol.name}`,
+          score: clamp(0.7 * measureWeight(numCol) * filled(catCol) * filled(numCol)),
+          reason: groups === null ? typesOnly : `${groups} categories stacked over ${span} days`,
+        });
+      }
     }
   }
 
-  // --- Pie / Donut charts: Category (low cardinality) + Numeric ---
-  // We flag this with a pieSuitable flag; the frontend knows sample.length <= 10
-  for (const catCol of categoryCols) {
-    for (const numCol of numericCols) {
+  // --- Top-N table: repeated Text values (merchants, payees) + Numeric ---
+  if (hasData) {
+    for (const textCol of textCols) {
+      const groups = cardinality(textCol);
+      const nonBlank = stats[textCol.name].nonBlank;
+      // A value per row (notes, ids) has nothing to rank
+      if (groups < 2 || groups > nonBlank * 0.8) continue;
+      for (const numCol of usableNumeric) {
+        suggestions.push(topTable(textCol, numCol, {
+          score: 0.55 * measureWeight(numCol) * filled(textCol) * filled(numCol),
+          reason: `${groups} distinct ${textCol.name} values repeat across ${nonBlank} rows`,
+        }));
+      }
+    }
+  }
+
+  // --- Histogram: distribution of one Numeric column ---
+  for (const numCol of usableNumeric) {
+    if (isFlat(numCol)) continue;
+    let score = 0.35;
+    let reason = typesOnly;
+    if (hasData) {
+      const { nonBlank, cardinality: distinct } = stats[numCol.name];
+      if (nonBlank < 20 || distinct < 10) continue;
+      score = (nonBlank >= 100 ? 0.6 : 0.45) * measureWeight(numCol);
+      reason = `${nonBlank} values with ${distinct >= DISTINCT_CAP ? `${DISTINCT_CAP}+` : distinct} distinct amounts`;
+    }
+    suggestions.push({
+      id: makeId('histogram', numCol.name),
+      chartType: 'histogram',
+      title: `${numCol.name} Distribution`,
+      xColumn: numCol.name,
+      yColumn: null,
+      aggregation: 'count',
+      bins: HISTOGRAM_BINS,
+      description: `How ${numCol.name} values are spread`,
+      score: clamp(score),
+      reason,
+    });
+  }
+
+  // --- Scatter: Numeric x Numeric ---
+  for (let i = 0; i < usableNumeric.length; i++) {
+    for (let j = i + 1; j < usableNumeric.length; j++) {
+      const [a, b] = [usableNumeric[i], usableNumeric[j]];
+      if (isFlat(a) || isFlat(b)) continue;
+      let score = 0.3;
+      let reason = typesOnly;
+      if (hasData) {
+        const { n, r } = correlation(rows, a.name, b.name);
+        if (n < 10) continue;
+        score = 0.25 + 0.5 * Math.abs(r);
+        reason = `${n} paired values, correlation ${round(r)}`;
+      }
       suggestions.push({
-        id: `pie_${catCol.name}_${numCol.name}`.replace(/\s+/g, '_'),
-        chartType: 'pie',
-        title: `${numCol.name} Distribution by ${catCol.name}`,
-        xColumn: catCol.name,
-        yColumn: numCol.name,
-        description: `Proportion of ${numCol.name} per ${catCol.name}`,
+        id: makeId('scatter', a.name, b.name),
+        chartType: 'scatter',
+        title: `${b.name} vs ${a.name}`,
+        xColumn: a.name,
+        yColumn: b.name,
+        description: `Relationship between ${a.name} and ${b.name}`,
+        score: clamp(score),
+        reason,
       });
     }
   }
 
+  suggestions.sort((a, b) => b.score - a.score);
+
   // --- Summary stat cards: one per numeric column ---
-  const statCards = numericCols.map((col) => ({
-    id: `stats_${col.name}`.replace(/\s+/g, '_'),
-    chartType: 'stats',
-    title: `${col.name} Summary`,
-    yColumn: col.name,
-    description: `Total, Average, Min, Max for ${col.name}`,
-  }));
+  const statCards = usableNumeric
+    .map((col) => ({
+      id: makeId('stats', col.name),
+      chartType: 'stats',
+      title: `${col.name} Summary`,
+      yColumn: col.name,
+      description: `Total, Average, Min, Max for ${col.name}`,
+      score: clamp(0.75 * measureWeight(col) * filled(col)),
+      reason: hasData ? `${stats[col.name].nonBlank} values` : typesOnly,
+    }))
+    .sort((a, b) => b.score - a.score);
 
   return {
     charts: suggestions,
     statCards,
+    columnStats: stats,
+  };
+}
+
+function topTable(labelCol, numCol, { score, reason }) {
+  return {
+    id: makeId('table', labelCol.name, numCol.name),
+    chartType: 'table',
+    title: `Top ${TOP_N} ${labelCol.name} by ${numCol.name}`,
+    xColumn: labelCol.name,
+    yColumn: numCol.name,
+    limit: TOP_N,
+    description: `${labelCol.name} values with the largest ${numCol.name} totals`,
+    score: clamp(score),
+    reason,
   };
 }
 
-module.exports = { suggestCharts };
+module.exports = { suggestCharts, profileColumns };
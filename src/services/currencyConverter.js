@@ -0,0 +1,229 @@
+const { toNumber, toDate } = require('./valueParser');
+const { badRequest } = require('./utils');
+
+// Cap on one file import — a daily table of a few currencies over years fits
+const MAX_IMPORT_RATES = 5000;
+
+function currencyCode(value, field) {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  if (!/^[A-Z]{3}$/.test(code)) throw badRequest(`${field} must be a 3-letter ISO currency code`);
+  return code;
+}
+
+/**
+ * Validate + clean one exchange rate from the API or an imported file.
+ * Rate shape: { date: 'YYYY-MM-DD', from: 'EUR', to: 'USD', rate } —
+ * 1 `from` is worth `rate` `to`.
+ */
+function validateRate(input = {}, { dateFormat } = {}) {
+  const from = currencyCode(input.from, 'from');
+  const to = currencyCode(input.to, 'to');
+  if (from === to) throw badRequest('from and to must be different currencies');
+
+  const rate = toNumber(input.rate);
+  if (rate === null || rate <= 0) throw badRequest('rate must be a positive number');
+
+  const date = toDate(input.date, dateFormat);
+  if (!date) throw badRequest('date is required (YYYY-MM-DD)');
+
+  return { date: date.toISOString().slice(0, 10), from, to, rate };
+}
+
+// One rate per pair per day — re-entering or re-importing a day replaces it
+function rateId({ date, from, to }) {
+  return `${date}_${from}_${to}`;
+}
+
+/**
+ * Read rates out of a parsed CSV/XLSX (see parseFile). Two layouts:
+ *   long — Date, From, To, Rate columns (Base/Quote also accepted)
+ *   wide — Date plus one column per currency code, each value being how
+ *          much of that currency 1 `base` buys (needs options.base)
+ */
+function parseRateRows(rows, columns, { base, dateFormat } = {}) {
+  const find = (pattern) => columns.find((c) => pattern.test(c.name.trim()))?.name;
+  const dateCol = find(/^(date|day|as of)$/i) || columns.find((c) => c.type === 'Date')?.name;
+  if (!dateCol) throw badRequest('The file needs a Date column');
+
+  const fromCol = find(/^(from|base|source)( currency)?$/i);
+  const toCol = find(/^(to|quote|target)( currency)?$/i);
+  const rateCol = find(/^(rate|exchange rate|fx rate)$/i);
+
+  const entries = [];
+  if (fromCol && toCol && rateCol) {
+    rows.forEach((row) => entries.push({ date: row[dateCol], from: row[fromCol], to: row[toCol], rate: row[rateCol] }));
+  } else {
+    const codeCols = columns.filter((c) => /^[A-Z]{3}$/.test(c.name.trim()));
+    if (codeCols.length === 0) {
+      throw badRequest('Expected Date, From, To and Rate columns, or a Date column plus one column per currency code');
+    }
+    const baseCode = currencyCode(base, 'base');
+    rows.forEach((row) => {
+      for (const col of codeCols) {
+        if (col.name.trim() === baseCode) continue;
+        entries.push({ date: row[dateCol], from: baseCode, to: col.name.trim(), rate: row[col.name] });
+      }
+    });
+  }
+
+  // Blank cells are gaps in the table, not errors
+  const filled = entries.filter((e) => e.rate !== null && e.rate !== undefined && String(e.rate).trim() !== '');
+  if (filled.length === 0) throw badRequest('No exchange rates found in the file');
+  if (filled.length > MAX_IMPORT_RATES) {
+    throw badRequest(`The file has ${filled.length} rates; import at most ${MAX_IMPORT_RATES} at a time`);
+  }
+
+  return filled.map((entry, i) => {
+    try {
+      return validateRate(entry, { dateFormat });
+    } catch (err) {
+      throw badRequest(`Rate ${i + 1} (${entry.from}→${entry.to} on ${entry.date}): ${err.message}`);
+    }
+  });
+}
+
+/**
+ * Look up conversion rates from a user's table. For a pair it tries the
+ * direct rate, then the inverse, then a cross rate through one other
+ * currency. On a given date the latest rate on or before it wins; dates
+ * older than the whole table use its earliest rate. Returns null when the
+ * table can't connect the two currencies.
+ */
+function createConverter(rates) {
+  const series = new Map();
+  for (const r of rates) {
+    const key = `${r.from}>${r.to}`;
+    if (!series.has(key)) series.set(key, []);
+    series.get(key).push({ date: r.date, rate: r.rate });
+  }
+  for (const list of series.values()) list.sort((a, b) => (a.date < b.date ? -1 : 1));
+
+  const neighbours = new Map();
+  for (const r of rates) {
+    for (const [a, b] of [[r.from, r.to], [r.to, r.from]]) {
+      if (!neighbours.has(a)) neighbours.set(a, new Set());
+      neighbours.get(a).add(b);
+    }
+  }
+
+  const onDate = (list, date) => {
+    if (!date) return list[list.length - 1].rate;
+    let found = list[0];
+    for (const entry of list) {
+      if (entry.date > date) break;
+      found = entry;
+    }
+    return found.rate;
+  };
+
+  const pairRate = (from, to, date) => {
+    const direct = series.get(`${from}>${to}`);
+    if (direct) return onDate(direct, date);
+    const inverse = series.get(`${to}>${from}`);
+    if (inverse) return 1 / onDate(inverse, date);
+    return null;
+  };
+
+  return function rateFor(from, to, date = null) {
+    if (from === to) return 1;
+    const rate = pairRate(from, to, date);
+    if (rate !== null) return rate;
+    for (const via of neighbours.get(from) || []) {
+      const leg = pairRate(via, to, date);
+      if (leg !== null) return pairRate(from, via, date) * leg;
+    }
+    return null;
+  };
+}
+
+// The currency each non-blank Currency cell is in (null: not recorded)
+function cellCurrency(row, col) {
+  return row._currency?.[col.name] || col.currency || null;
+}
+
+/**
+ * Currencies that differ from `currency` among a sheet's Currency cells.
+ * Cells with no recorded currency are taken to be in `currency` already.
+ */
+function foreignCurrencies(rows, columns, currency) {
+  const found = new Set();
+  for (const col of columns) {
+    if (col.type !== 'Currency') continue;
+    for (const row of rows) {
+      if (row[col.name] === null || row[col.name] === undefined) continue;
+      const code = cellCurrency(row, col);
+      if (code && code !== currency) found.add(code);
+    }
+  }
+  return [...found];
+}
+
+/**
+ * Convert every Currency cell to `currency`, at the rate for the row's date
+ * (its first Date column; the latest rate without one). Converted cells
+ * lose their _display/_currency entries and the columns are relabelled, so
+ * aggregation and export see a single-currency sheet.
+ *
+ * Throws 400 listing the missing pairs rather than summing unconverted
+ * amounts. Returns { rows, columns, converted } — the input is not mutated.
+ */
+function convertRows(rows, columns, { currency, rates = [], dateFormat } = {}) {
+  const currencyColumns = columns.filter((c) => c.type === 'Currency');
+  if (!currency || foreignCurrencies(rows, columns, currency).length === 0) {
+    return { rows, columns, converted: 0 };
+  }
+
+  const rateFor = createConverter(rates);
+  const dateCol = columns.find((c) => c.type === 'Date');
+  const missing = new Set();
+  let converted = 0;
+
+  const nextRows = rows.map((row) => {
+    let next = row;
+    for (const col of currencyColumns) {
+      const value = toNumber(row[col.name]);
+      const code = cellCurrency(row, col);
+      if (value === null || !code || code === currency) continue;
+
+      const date = dateCol ? toDate(row[dateCol.name], dateFormat) : null;
+      const rate = rateFor(code, currency, date ? date.toISOString().slice(0, 10) : null);
+      if (rate === null) {
+        missing.add(`${code}→${currency}`);
+        continue;
+      }
+
+      if (next === row) next = { ...row };
+      next[col.name] = Math.round(value * rate * 100) / 100;
+      for (const key of ['_display', '_currency']) {
+        if (!next[key]?.[col.name]) continue;
+        const { [col.name]: gone, ...meta } = next[key];
+        if (Object.keys(meta).length > 0) next[key] = meta;
+        else delete next[key];
+      }
+      converted++;
+    }
+    return next;
+  });
+
+  if (missing.size > 0) {
+    const err = badRequest(`No exchange rate for ${[...missing].join(', ')}. Add rates under /api/exchange-rates.`);
+    err.missingRates = [...missing];
+    throw err;
+  }
+
+  return {
+    rows: nextRows,
+    columns: columns.map((c) => (c.type === 'Currency' ? { ...c, currency } : c)),
+    converted,
+  };
+}
+
+module.exports = {
+  validateRate,
+  rateId,
+  parseRateRows,
+  createConverter,
+  foreignCurrencies,
+  convertRows,
+  MAX_IMPORT_RATES,
+};
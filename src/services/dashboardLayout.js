@@ -0,0 +1,304 @@
+const { suggestCharts } = require('./chartSuggester');
+const { AGGREGATIONS, DATE_BUCKETS, NUMERIC_TYPES } = require('./aggregator');
+const { queryRows } = require('./rowQuery');
+const { badRequest } = require('./utils');
+
+const WIDGET_TYPES = ['line', 'area', 'bar', 'pie', 'stats', 'stackedBar', 'histogram', 'scatter', 'table'];
+const GRID_COLUMNS = 12;
+const MAX_BINS = 50;
+const MAX_TABLE_LIMIT = 100;
+const MAX_WIDGET_HEIGHT = 20;
+const MAX_WIDGETS = 30;
+const DEFAULT_GENERATED_WIDGETS = 6;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Check one widget against the sheet it points at. Returns the cleaned
+ * widget, or throws a 400 whose message starts with `where`.
+ *
+ * Widget shape:
+ *   { id, chartType, sheetId, title, xColumn, yColumn, aggregation,
+ *     dateBucket, filters, position: { x, y, w, h } }
+ * plus seriesColumn (stackedBar), bins (histogram) and limit (table).
+ * Histograms count rows when yColumn is left out; scatter plots aren't
+ * aggregated, so their aggregation is null.
+ */
+function validateWidget(widget, sheetsById, where) {
+  if (!isPlainObject(widget)) throw badRequest(`${where}: must be an object`);
+
+  const { chartType, sheetId } = widget;
+  if (!WIDGET_TYPES.includes(chartType)) {
+    throw badRequest(`${where}: chartType must be one of ${WIDGET_TYPES.join(', ')}`);
+  }
+  const sheet = sheetsById.get(sheetId);
+  if (!sheet) throw badRequest(`${where}: sheet "${sheetId}" does not exist in this project`);
+
+  const byName = new Map(sheet.columns.map((c) => [c.name, c]));
+  const column = (name, field) => {
+    if (typeof name !== 'string' || !name) throw badRequest(`${where}: ${field} is required`);
+    if (!byName.has(name)) throw badRequest(`${where}: column "${name}" does not exist in sheet "${sheet.fileName}"`);
+    return byName.get(name);
+  };
+
+  const numeric = (col, field) => {
+    if (!NUMERIC_TYPES.includes(col.type)) {
+      throw badRequest(`${where}: ${chartType} charts need a numeric ${field} ("${col.name}" is ${col.type})`);
+    }
+  };
+
+  const countOnly = chartType === 'histogram' && !widget.yColumn;
+  const aggregation = chartType === 'scatter' ? null : (countOnly ? 'count' : widget.aggregation || 'sum');
+  if (aggregation !== null && !AGGREGATIONS.includes(aggregation)) {
+    throw badRequest(`${where}: aggregation must be one of ${AGGREGATIONS.join(', ')}`);
+  }
+
+  // count works on any column — everything else needs numbers
+  const yCol = countOnly ? null : column(widget.yColumn, 'yColumn');
+  if (yCol && aggregation !== 'count' && !NUMERIC_TYPES.includes(yCol.type)) {
+    throw badRequest(`${where}: yColumn "${yCol.name}" is ${yCol.type} — use a numeric column or aggregation "count"`);
+  }
+
+  let xCol = null;
+  if (chartType !== 'stats') {
+    xCol = column(widget.xColumn, 'xColumn');
+    if (['line', 'area', 'stackedBar'].includes(chartType) && xCol.type !== 'Date') {
+      throw badRequest(`${where}: ${chartType} charts need a Date xColumn ("${xCol.name}" is ${xCol.type})`);
+    }
+    if (chartType === 'histogram') numeric(xCol, 'xColumn');
+    if (chartType === 'scatter') {
+      numeric(xCol, 'xColumn');
+      numeric(yCol, 'yColumn');
+    }
+  }
+
+  const extras = {};
+  if (chartType === 'stackedBar') {
+    const seriesCol = column(widget.seriesColumn, 'seriesColumn');
+    if (!['Category', 'Text'].includes(seriesCol.type)) {
+      throw badRequest(`${where}: seriesColumn must be a Category or Text column ("${seriesCol.name}" is ${seriesCol.type})`);
+    }
+    extras.seriesColumn = seriesCol.name;
+  }
+  if (chartType === 'histogram') {
+    extras.bins = widget.bins ?? 10;
+    if (!Number.isInteger(extras.bins) || extras.bins < 2 || extras.bins > MAX_BINS) {
+      throw badRequest(`${where}: bins must be an integer between 2 and ${MAX_BINS}`);
+    }
+  }
+  if (chartType === 'table') {
+    extras.limit = widget.limit ?? 10;
+    if (!Number.isInteger(extras.limit) || extras.limit < 1 || extras.limit > MAX_TABLE_LIMIT) {
+      throw badRequest(`${where}: limit must be an integer between 1 and ${MAX_TABLE_LIMIT}`);
+    }
+  }
+
+  let dateBucket = null;
+  if (xCol?.type === 'Date') {
+    dateBucket = widget.dateBucket || 'month';
+    if (!DATE_BUCKETS.includes(dateBucket)) {
+      throw badRequest(`${where}: dateBucket must be one of ${DATE_BUCKETS.join(', ')}`);
+    }
+  }
+
+  const filters = widget.filters ?? [];
+  try {
+    // Compiling against an empty sheet checks columns, ops and values without reading rows
+    queryRows([], sheet.columns, { filters });
+  } catch (err) {
+    throw badRequest(`${where}: ${err.message}`);
+  }
+
+  const title = typeof widget.title === 'string' && widget.title.trim()
+    ? widget.title.trim().slice(0, 120)
+    : defaultTitle(chartType, xCol?.name, yCol?.name);
+
+  return {
+    id: typeof widget.id === 'string' && widget.id ? widget.id : null,
+    chartType,
+    sheetId,
+    title,
+    xColumn: xCol?.name ?? null,
+    yColumn: yCol?.name ?? null,
+    aggregation,
+    dateBucket,
+    ...extras,
+    filters,
+    position: validatePosition(widget.position, where),
+  };
+}
+
+function validatePosition(position, where) {
+  if (!isPlainObject(position)) throw badRequest(`${where}: position { x, y, w, h } is required`);
+  const { x, y, w, h } = position;
+  const isInt = (v) => Number.isInteger(v);
+  if (!isInt(x) || !isInt(y) || x < 0 || y < 0) {
+    throw badRequest(`${where}: position.x and position.y must be non-negative integers`);
+  }
+  if (!isInt(w) || w < 1 || x + w > GRID_COLUMNS) {
+    throw badRequest(`${where}: position.w must be at least 1 and fit the ${GRID_COLUMNS}-column grid (x + w <= ${GRID_COLUMNS})`);
+  }
+  if (!isInt(h) || h < 1 || h > MAX_WIDGET_HEIGHT) {
+    throw badRequest(`${where}: position.h must be between 1 and ${MAX_WIDGET_HEIGHT}`);
+  }
+  return { x, y, w, h };
+}
+
+function defaultTitle(chartType, xColumn, yColumn) {
+  if (chartType === 'stats') return `${yColumn} Summary`;
+  if (chartType === 'line' || chartType === 'area' || chartType === 'stackedBar') return `${yColumn} Over Time`;
+  if (chartType === 'histogram') return `${xColumn} Distribution`;
+  if (chartType === 'scatter') return `${yColumn} vs ${xColumn}`;
+  return `${yColumn} by ${xColumn}`;
+}
+
+/**
+ * Validate a whole layout against the project's sheets (array of sheet
+ * docs). Widgets without an id get one. Returns the cleaned widget list.
+ */
+function validateLayout(widgets, sheets, { generateId }) {
+  if (!Array.isArray(widgets)) throw badRequest('widgets must be an array');
+  if (widgets.length > MAX_WIDGETS) throw badRequest(`A dashboard can have at most ${MAX_WIDGETS} widgets`);
+
+  const sheetsById = new Map(sheets.map((s) => [s.id, s]));
+  const seen = new Set();
+  return widgets.map((widget, i) => {
+    const clean = validateWidget(widget, sheetsById, `widgets[${i}]`);
+    if (!clean.id || seen.has(clean.id)) clean.id = generateId();
+    seen.add(clean.id);
+    return clean;
+  });
+}
+
+/**
+ * Re-check a stored layout — sheets get deleted and columns renamed after a
+ * dashboard is saved. Returns [{ widgetId, message }] for widgets that no
+ * longer render.
+ */
+function findStaleWidgets(widgets, sheets) {
+  const sheetsById = new Map(sheets.map((s) => [s.id, s]));
+  const stale = [];
+  widgets.forEach((widget, i) => {
+    try {
+      validateWidget(widget, sheetsById, widget.title || `widgets[${i}]`);
+    } catch (err) {
+      stale.push({ widgetId: widget.id, message: err.message });
+    }
+  });
+  return stale;
+}
+
+// ─── Default dashboard ────────────────────────────────────────────────────────
+
+// Greedy pick that discounts charts repeating a y column or chart type
+// already on the dashboard, so six slots aren't six views of one number
+function pickDiverse(charts, count) {
+  const remaining = [...charts];
+  const picked = [];
+  const used = new Map();
+  const times = (key) => used.get(key) || 0;
+
+  while (picked.length < count && remaining.length > 0) {
+    let best = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((chart, i) => {
+      const adjusted = chart.score
+        - 0.75 * times(`y:${chart.sheetId}:${chart.yColumn}`)
+        - 0.5 * times(`t:${chart.chartType}`);
+      if (adjusted > bestScore) {
+        best = i;
+        bestScore = adjusted;
+      }
+    });
+    const [chart] = remaining.splice(best, 1);
+    picked.push(chart);
+    used.set(`y:${chart.sheetId}:${chart.yColumn}`, times(`y:${chart.sheetId}:${chart.yColumn}`) + 1);
+    used.set(`t:${chart.chartType}`, times(`t:${chart.chartType}`) + 1);
+  }
+  return picked;
+}
+
+/**
+ * Build a default layout from the scored suggestCharts output for every
+ * sheet, keeping only the highest-ranked few. Each x/y pair is shown once (a
+ * line beats the area chart of the same data) and at most two stat cards per
+ * sheet are kept.
+ *
+ * sheets: [{ sheet, rows }]. Returns widgets ready for validateLayout.
+ */
+function generateLayout(sheets, { maxWidgets = DEFAULT_GENERATED_WIDGETS, dateFormat } = {}) {
+  if (!Number.isInteger(maxWidgets) || maxWidgets < 1 || maxWidgets > MAX_WIDGETS) {
+    throw badRequest(`maxWidgets must be an integer between 1 and ${MAX_WIDGETS}`);
+  }
+
+  const cards = [];
+  const charts = [];
+  for (const { sheet, rows } of sheets) {
+    const suggestions = suggestCharts(sheet.columns, rows, { dateFormat });
+
+    suggestions.statCards
+      .slice(0, 2)
+      .forEach((card) => cards.push({ ...card, sheetId: sheet.id }));
+
+    // Suggestions arrive best first, so the first of each x/y pair wins
+    const seen = new Set();
+    suggestions.charts
+      .map((chart) => ({ ...chart, sheetId: sheet.id }))
+      .forEach((chart) => {
+        const key = `${chart.xColumn}|${chart.yColumn}|${chart.seriesColumn || ''}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        charts.push(chart);
+      });
+  }
+
+  // Stat cards take at most one grid row; charts fill the rest
+  const cardCount = Math.min(cards.length, 4, Math.max(maxWidgets - 1, 1));
+  const pickedCards = cards.sort((a, b) => b.score - a.score).slice(0, cardCount);
+  const pickedCharts = pickDiverse(charts, maxWidgets - pickedCards.length);
+
+  const widgets = [];
+  const cardWidth = pickedCards.length ? GRID_COLUMNS / pickedCards.length : 0;
+  pickedCards.forEach((card, i) => {
+    widgets.push({
+      chartType: 'stats',
+      sheetId: card.sheetId,
+      title: card.title,
+      xColumn: null,
+      yColumn: card.yColumn,
+      aggregation: 'sum',
+      filters: [],
+      position: { x: i * cardWidth, y: 0, w: cardWidth, h: 2 },
+    });
+  });
+
+  const top = pickedCards.length ? 2 : 0;
+  pickedCharts.forEach((chart, i) => {
+    widgets.push({
+      chartType: chart.chartType,
+      sheetId: chart.sheetId,
+      title: chart.title,
+      xColumn: chart.xColumn,
+      yColumn: chart.yColumn,
+      aggregation: chart.aggregation || 'sum',
+      dateBucket: chart.dateBucket,
+      seriesColumn: chart.seriesColumn,
+      bins: chart.bins,
+      limit: chart.limit,
+      filters: [],
+      position: { x: (i % 2) * 6, y: top + Math.floor(i / 2) * 4, w: 6, h: 4 },
+    });
+  });
+
+  return widgets;
+}
+
+module.exports = {
+  validateLayout,
+  findStaleWidgets,
+  generateLayout,
+  WIDGET_TYPES,
+  GRID_COLUMNS,
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { toNumber, toDate } = require('./valueParser');
+
+const DUPLICATE_MODES = ['keep', 'skip', 'flag'];
+
+// Bank-issued id column written by the OFX/QFX parser (FITID)
+const TRANSACTION_ID_COLUMN = 'Transaction ID';
+
+/**
+ * Pick the date / amount / description columns used to fingerprint rows.
+ * Description is the Text column with the longest values on average (the
+ * merchant line of a bank export), falling back to a Category column.
+ * Returns null when a sheet has no date or amount column to compare on.
+ */
+function fingerprintColumns(columns, rows = []) {
+  const dateCol = columns.find((c) => c.type === 'Date');
+  const amountCol = columns.find((c) => c.type === 'Currency') || columns.find((c) => c.type === 'Number');
+  if (!dateCol || !amountCol) return null;
+
+  const textCols = columns.filter((c) => c.type === 'Text' && c.name !== TRANSACTION_ID_COLUMN);
+  const candidates = textCols.length ? textCols : columns.filter((c) => c.type === 'Category');
+  const avgLength = (col) => {
+    const sample = rows.slice(0, 50).map((r) => String(r[col.name] ?? ''));
+    return sample.reduce((n, v) => n + v.length, 0) / (sample.length || 1);
+  };
+  const descriptionCol = candidates.sort((a, b) => avgLength(b) - avgLength(a))[0] || null;
+
+  return {
+    date: dateCol.name,
+    amount: amountCol.name,
+    description: descriptionCol ? descriptionCol.name : null,
+    transactionId: columns.some((c) => c.name === TRANSACTION_ID_COLUMN) ? TRANSACTION_ID_COLUMN : null,
+  };
+}
+
+// "POS 1234 TESCO STORES  #22" and "Tesco Stores 22" should look the same.
+// Letters and digits of any script are kept, so "Пятёрочка" ≠ "Магнит".
+function normalizeDescription(value) {
+  return String(value ?? '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} ]+/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Bank transaction id when the row has one — exact, unlike the content hash
+function transactionKey(row, cols) {
+  if (!cols.transactionId) return null;
+  const id = row[cols.transactionId];
+  return id === null || id === undefined || String(id).trim() === '' ? null : `id:${String(id).trim()}`;
+}
+
+/**
+ * Stable fingerprint for one row: date (day) + amount (2dp) + description.
+ * A description with nothing left after normalizing is left out rather
+ * than compared as "". Returns null when the row has no usable date or
+ * amount.
+ */
+function fingerprintRow(row, cols, { dateFormat } = {}) {
+  const date = toDate(row[cols.date], dateFormat);
+  const amount = toNumber(row[cols.amount]);
+  if (!date || amount === null) return null;
+
+  const description = cols.description ? normalizeDescription(row[cols.description]) : '';
+  const key = [
+    date.toISOString().slice(0, 10),
+    amount.toFixed(2),
+    ...(description ? [description] : []),
+  ].join('|');
+
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+/**
+ * Find rows of an incoming file that already exist in the project's sheets.
+ * Repeated identical transactions are matched one-for-one, so two genuine
+ * £3 coffees on the same day only count as duplicates when the project
+ * already holds two of them.
+ *
+ * Rows with a bank transaction id (OFX FITID) are compared by id against
+ * other rows with an id, and by content only against rows without one —
+ * two different FITIDs are never duplicates even if they look alike.
+ *
+ * Returns { columns, duplicates: [{ rowIndex, fingerprint, matches }] } where
+ * matches is the first existing row with the same fingerprint.
+ */
+function findDuplicates(rows, columns, existingSheets, options = {}) {
+  const cols = fingerprintColumns(columns, rows);
+  if (!cols) return { columns: null, duplicates: [] };
+
+  // Count how many copies of each key the project already holds
+  const byId = new Map();
+  const byContent = new Map();        // every existing row
+  const byContentNoId = new Map();    // existing rows without a transaction id
+  const firstMatch = new Map();
+  const remember = (map, key, match) => {
+    map.set(key, (map.get(key) || 0) + 1);
+    if (!firstMatch.has(key)) firstMatch.set(key, match);
+  };
+
+  for (const { sheet, rows: existingRows } of existingSheets) {
+    const existingCols = fingerprintColumns(sheet.columns || [], existingRows);
+    if (!existingCols) continue;
+    existingRows.forEach((row, rowIndex) => {
+      const match = { sheetId: sheet.id, fileName: sheet.fileName, rowIndex };
+      const id = transactionKey(row, existingCols);
+      const fp = fingerprintRow(row, existingCols, options);
+      if (id) remember(byId, id, match);
+      if (fp) {
+        remember(byContent, fp, match);
+        if (!id) remember(byContentNoId, fp, match);
+      }
+    });
+  }
+
+  const take = (map, key) => {
+    const remaining = key ? map.get(key) || 0 : 0;
+    if (remaining === 0) return false;
+    map.set(key, remaining - 1);
+    return true;
+  };
+
+  const duplicates = [];
+  rows.forEach((row, rowIndex) => {
+    const id = transactionKey(row, cols);
+    const fp = fingerprintRow(row, cols, options);
+
+    let key = null;
+    if (id && take(byId, id)) key = id;
+    else if (id && take(byContentNoId, fp)) key = fp;
+    else if (!id && take(byContent, fp)) key = fp;
+
+    if (key) duplicates.push({ rowIndex, fingerprint: key, matches: firstMatch.get(key) });
+  });
+
+  return { columns: cols, duplicates };
+}
+
+/**
+ * Apply the ingest duplicateMode to rows.
+ *   keep — store everything (duplicates are only reported)
+ *   skip — drop duplicate rows
+ *   flag — store them with row._duplicate = { sheetId, rowIndex } of the match
+ */
+function resolveDuplicates(rows, duplicates, mode = 'keep') {
+  if (mode === 'keep' || duplicates.length === 0) return rows;
+
+  const byIndex = new Map(duplicates.map((d) => [d.rowIndex, d]));
+  if (mode === 'skip') return rows.filter((_, i) => !byIndex.has(i));
+
+  return rows.map((row, i) => {
+    const dup = byIndex.get(i);
+    return dup ? { ...row, _duplicate: dup.matches } : row;
+  });
+}
+
+module.exports = {
+  findDuplicates,
+  resolveDuplicates,
+  fingerprintColumns,
+  fingerprintRow,
+  normalizeDescription,
+  DUPLICATE_MODES,
+};
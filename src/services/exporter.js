@@ -0,0 +1,306 @@
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const { toNumber, toDate } = require('./valueParser');
+const { suggestCharts } = require('./chartSuggester');
+const { aggregateRows } = require('./aggregator');
+const { badRequest } = require('./utils');
+
+const SHEET_EXPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_FORMATS = ['xlsx', 'pdf'];
+
+// Keep reports readable — a sheet with 12 numeric columns would otherwise
+// produce dozens of near-identical tables
+const MAX_TABLES_PER_SHEET = 8;
+const MAX_PDF_TABLE_ROWS = 15;
+
+function currencySymbol(code) {
+  try {
+    return new Intl.NumberFormat('en', { style: 'currency', currency: code || 'USD' })
+      .formatToParts(0)
+      .find((p) => p.type === 'currency').value;
+  } catch (e) {
+    return code || '$';
+  }
+}
+
+// Excel number formats per column type
+function numberFormat(type, symbol) {
+  switch (type) {
+    case 'Currency': return `"${symbol}"#,##0.00;-"${symbol}"#,##0.00`;
+    case 'Percentage': return '0.00%';
+    case 'Number': return '#,##0.##';
+    case 'Date': return 'yyyy-mm-dd';
+    default: return null;
+  }
+}
+
+/**
+ * Typed SheetJS cell for one stored value. Cells that never parsed (null
+ * value with a _display string) are written as their original text.
+ */
+function toCell(value, display, type, symbol) {
+  if (value === null || value === undefined) {
+    return display !== undefined ? { t: 's', v: String(display) } : null;
+  }
+
+  const z = numberFormat(type, symbol);
+  if (type === 'Date') {
+    const date = toDate(value);
+    return date ? { t: 'd', v: date, z } : { t: 's', v: String(value) };
+  }
+  if (['Currency', 'Number', 'Percentage'].includes(type)) {
+    const num = toNumber(value);
+    if (num === null) return { t: 's', v: String(value) };
+    // Stored percentages are in display units (12.5 = 12.5%) — Excel wants 0.125
+    return { t: 'n', v: type === 'Percentage' ? num / 100 : num, z };
+  }
+  return { t: 's', v: String(value) };
+}
+
+function rowsToWorksheet(rows, columns, symbol) {
+  const ws = XLSX.utils.aoa_to_sheet([columns.map((c) => c.name)]);
+  rows.forEach((row, r) => {
+    columns.forEach((col, c) => {
+      const cell = toCell(row[col.name], row._display?.[col.name], col.type, symbol);
+      if (cell) ws[XLSX.utils.encode_cell({ r: r + 1, c })] = cell;
+    });
+  });
+  ws['!ref'] = XLSX.utils.encode_range({ s: { r: 0, c: 0 }, e: { r: rows.length, c: Math.max(columns.length - 1, 0) } });
+  ws['!cols'] = columns.map((col) => ({ wch: Math.min(Math.max(col.name.length, 12), 40) }));
+  return ws;
+}
+
+// Uploaded text like "=HYPERLINK(...)" would run as a formula when the CSV
+// is opened in Excel — a leading ' keeps it text. Only strings: numbers
+// (negative amounts included) go out as they are.
+function csvText(value) {
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// CSV gets plain machine-readable values: raw numbers and ISO dates
+function rowsToCsv(rows, columns) {
+  const aoa = [columns.map((c) => csvText(c.name))];
+  for (const row of rows) {
+    aoa.push(columns.map((col) => {
+      const value = row[col.name];
+      if (value === null || value === undefined) return csvText(row._display?.[col.name] ?? '');
+      return csvText(value);
+    }));
+  }
+  return XLSX.utils.sheet_to_csv(XLSX.utils.aoa_to_sheet(aoa));
+}
+
+/**
+ * Export one sheet's stored rows.
+ * Returns { buffer, contentType, extension }.
+ */
+function exportSheet(rows, columns, format, { currency } = {}) {
+  if (!SHEET_EXPORT_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format "${format}". Allowed: ${SHEET_EXPORT_FORMATS.join(', ')}`);
+  }
+
+  if (format === 'csv') {
+    // BOM so Excel opens UTF-8 (£, €, ₹) correctly
+    return {
+      buffer: Buffer.from(`﻿${rowsToCsv(rows, columns)}`, 'utf8'),
+      contentType: 'text/csv; charset=utf-8',
+      extension: 'csv',
+    };
+  }
+
+  const wb = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(wb, rowsToWorksheet(rows, columns, currencySymbol(currency)), 'Data');
+  return {
+    buffer: XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' }),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  };
+}
+
+/**
+ * Stat cards + the aggregated tables behind suggestCharts for one sheet, best
+ * ranked first. Charts that share data (line/area, bar/pie) become one table;
+ * scatter plots and stacked bars have no single-table form and are left out.
+ */
+function summariseSheet(sheet, rows, { dateFormat } = {}) {
+  const { charts, statCards } = suggestCharts(sheet.columns, rows, { dateFormat });
+
+  const typeOf = (name) => sheet.columns.find((c) => c.name === name)?.type;
+
+  const stats = statCards.map((card) => ({
+    title: card.title,
+    column: card.yColumn,
+    type: typeOf(card.yColumn),
+    ...aggregateRows(rows, sheet.columns, { yColumn: card.yColumn, dateFormat }).summary,
+  }));
+
+  const seen = new Set();
+  const tables = [];
+  for (const chart of charts) {
+    if (['scatter', 'stackedBar'].includes(chart.chartType)) continue;
+    const key = `${chart.xColumn}|${chart.yColumn}`;
+    if (seen.has(key) || tables.length >= MAX_TABLES_PER_SHEET) continue;
+    seen.add(key);
+
+    const result = aggregateRows(rows, sheet.columns, {
+      xColumn: chart.xColumn,
+      yColumn: chart.yColumn,
+      aggregation: chart.aggregation || 'sum',
+      dateBucket: chart.dateBucket,
+      bins: chart.bins,
+      limit: chart.limit,
+      dateFormat,
+    });
+    tables.push({
+      title: chart.chartType === 'line' || chart.chartType === 'area'
+        ? `${chart.yColumn} by ${result.dateBucket} (${chart.xColumn})`
+        : chart.title,
+      xColumn: chart.xColumn,
+      yColumn: chart.yColumn || 'Count',
+      type: chart.yColumn ? typeOf(chart.yColumn) : null,
+      series: result.series,
+    });
+  }
+
+  return { sheet, stats, tables };
+}
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique per workbook
+function uniqueSheetName(name, used) {
+  const base = name.replace(/[\[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Sheet';
+  let candidate = base;
+  let n = 2;
+  while (used.has(candidate.toLowerCase())) candidate = `${base.slice(0, 26)} ${n++}`;
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function reportToXlsx(project, summaries, symbol) {
+  const wb = XLSX.utils.book_new();
+  const used = new Set();
+
+  const summary = [
+    [`${project.name} — report`],
+    [`Generated ${new Date().toISOString().slice(0, 10)}`],
+    [],
+    ['Sheet', 'Column', 'Count', 'Total', 'Average', 'Min', 'Max'],
+  ];
+  for (const { sheet, stats } of summaries) {
+    for (const s of stats) {
+      summary.push([sheet.fileName, s.column, s.count, s.sum, s.avg, s.min, s.max]);
+    }
+  }
+  const summaryWs = XLSX.utils.aoa_to_sheet(summary);
+  // Money-format the total/avg/min/max columns
+  for (let r = 4; r < summary.length; r++) {
+    for (let c = 3; c <= 6; c++) {
+      const cell = summaryWs[XLSX.utils.encode_cell({ r, c })];
+      if (cell && cell.t === 'n') cell.z = '#,##0.00';
+    }
+  }
+  summaryWs['!cols'] = [{ wch: 30 }, { wch: 20 }, { wch: 8 }, { wch: 14 }, { wch: 14 }, { wch: 14 }, { wch: 14 }];
+  XLSX.utils.book_append_sheet(wb, summaryWs, uniqueSheetName('Summary', used));
+
+  for (const { sheet, tables } of summaries) {
+    for (const table of tables) {
+      const aoa = [[table.title], [], [table.xColumn, table.yColumn, 'Rows']];
+      for (const point of table.series) aoa.push([point.x, point.y, point.count]);
+      const ws = XLSX.utils.aoa_to_sheet(aoa);
+      // Aggregated percentages stay in display units, so no % format here
+      const z = numberFormat(table.type === 'Percentage' ? 'Number' : table.type, symbol);
+      if (z) {
+        for (let r = 3; r < aoa.length; r++) {
+          const cell = ws[XLSX.utils.encode_cell({ r, c: 1 })];
+          if (cell && cell.t === 'n') cell.z = z;
+        }
+      }
+      ws['!cols'] = [{ wch: 24 }, { wch: 16 }, { wch: 8 }];
+      XLSX.utils.book_append_sheet(wb, ws, uniqueSheetName(`${table.yColumn} by ${table.xColumn}`, used));
+    }
+  }
+
+  return XLSX.write(wb, { type: 'buffer', bookType: 'xlsx' });
+}
+
+function reportToPdf(project, summaries, symbol) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // The built-in PDF fonts only cover WinAnsi — ₹/₨ etc. fall back to the ISO code
+    const pdfSymbol = ['$', '£', '€', '¥'].includes(symbol) ? symbol : `${project.currency || ''} `;
+    const fmt = (n, type) => {
+      if (n === null || n === undefined) return '-';
+      const num = n.toLocaleString('en', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+      if (type === 'Currency') return `${pdfSymbol}${num}`;
+      if (type === 'Percentage') return `${num}%`;
+      return num;
+    };
+
+    doc.fontSize(20).text(project.name);
+    doc.fontSize(10).fillColor('#666')
+      .text(`SpendGuardian report · generated ${new Date().toISOString().slice(0, 10)}`);
+    doc.fillColor('#000').moveDown();
+
+    if (summaries.length === 0) doc.fontSize(12).text('This project has no sheets yet.');
+
+    for (const { sheet, stats, tables } of summaries) {
+      doc.fontSize(15).text(sheet.fileName).moveDown(0.3);
+      doc.fontSize(9).fillColor('#666').text(`${sheet.rowCount} rows`).fillColor('#000').moveDown(0.5);
+
+      for (const s of stats) {
+        doc.fontSize(11).text(s.title, { continued: false });
+        doc.fontSize(9).text(
+          `Total ${fmt(s.sum, s.type)}   ·   Average ${fmt(s.avg, s.type)}   ·   Min ${fmt(s.min, s.type)}   ·   Max ${fmt(s.max, s.type)}   ·   ${s.count} values`,
+        );
+        doc.moveDown(0.4);
+      }
+
+      for (const table of tables) {
+        if (doc.y > doc.page.height - 150) doc.addPage();
+        doc.moveDown(0.5).fontSize(11).text(table.title);
+        doc.fontSize(9);
+        for (const point of table.series.slice(0, MAX_PDF_TABLE_ROWS)) {
+          const y = doc.y;
+          doc.text(String(point.x), 60, y, { width: 250 });
+          doc.text(fmt(point.y, table.type), 320, y, { width: 120, align: 'right' });
+          doc.x = 50;
+        }
+        if (table.series.length > MAX_PDF_TABLE_ROWS) {
+          doc.fillColor('#666').text(`…and ${table.series.length - MAX_PDF_TABLE_ROWS} more`, 60).fillColor('#000');
+          doc.x = 50;
+        }
+      }
+      doc.moveDown();
+    }
+
+    doc.end();
+  });
+}
+
+/**
+ * Multi-sheet XLSX or PDF report for a project.
+ * sheets: [{ sheet, rows }] — returns Promise<{ buffer, contentType, extension }>.
+ */
+async function exportProjectReport(project, sheets, format, { dateFormat } = {}) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw badRequest(`Invalid format "${format}". Allowed: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const symbol = currencySymbol(project.currency);
+  const summaries = sheets.map(({ sheet, rows }) => summariseSheet(sheet, rows, { dateFormat }));
+
+  if (format === 'pdf') {
+    return { buffer: await reportToPdf(project, summaries, symbol), contentType: 'application/pdf', extension: 'pdf' };
+  }
+  return {
+    buffer: reportToXlsx(project, summaries, symbol),
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+  };
+}
+
+module.exports = { exportSheet, exportProjectReport, SHEET_EXPORT_FORMATS, REPORT_FORMATS };
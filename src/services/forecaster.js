@@ -0,0 +1,218 @@
+const { extractTransactions } = require('./transactions');
+const { bucketKey } = require('./aggregator');
+const { badRequest, round } = require('./utils');
+
+const MAX_FORECAST_MONTHS = 24;
+// Seasonality needs two full years to tell a pattern from a one-off
+const SEASONAL_MIN_MONTHS = 24;
+// z for the two-sided band (80% / 95%)
+const Z_SCORES = { 0.8: 1.2816, 0.95: 1.96 };
+
+/**
+ * Forecast monthly spending for the next `months` months.
+ *
+ * History is every complete month before referenceDate's month (gaps count
+ * as 0). The model is picked by how much history there is:
+ *   < 3 months  — mean
+ *   < 24 months — least-squares linear trend
+ *   otherwise   — linear trend + additive month-of-year seasonality
+ * Bands are prediction intervals from the fit residuals, clamped at 0.
+ *
+ * options: { dateColumn, amountColumn, categoryColumn, byCategory,
+ *   months = 3, confidence = 0.8, budgets = [], referenceDate, dateFormat }
+ *
+ * Series use the aggregate/line-chart shape ({ x: 'YYYY-MM', y, count } for
+ * history, plus lower/upper for the forecast). Amounts are positive spend;
+ * `spendingSign` is -1 when the sheets store spending as negatives, so a
+ * client overlaying a raw line chart can flip them.
+ */
+function forecastSpending(sheets, options = {}) {
+  const {
+    months = 3,
+    confidence = 0.8,
+    byCategory = false,
+    budgets = [],
+    referenceDate = new Date(),
+  } = options;
+
+  if (!Number.isInteger(months) || months < 1 || months > MAX_FORECAST_MONTHS) {
+    throw badRequest(`months must be an integer between 1 and ${MAX_FORECAST_MONTHS}`);
+  }
+  if (!Z_SCORES[confidence]) {
+    throw badRequest(`confidence must be one of ${Object.keys(Z_SCORES).join(', ')}`);
+  }
+
+  const transactions = extractTransactions(sheets, options).filter((t) => t.date <= referenceDate);
+  const currentMonth = bucketKey(referenceDate, 'month');
+  const history = transactions.filter((t) => bucketKey(t.date, 'month') < currentMonth);
+  if (history.length === 0) {
+    throw badRequest('Not enough data to forecast: no spending found in complete months before the forecast start');
+  }
+
+  const negatives = history.filter((t) => t.sign < 0).length;
+  const firstMonth = bucketKey(history[0].date, 'month');
+  const historyMonths = monthRange(firstMonth, shiftMonth(currentMonth, -1));
+  const forecastMonths = monthRange(currentMonth, shiftMonth(currentMonth, months - 1));
+  const z = Z_SCORES[confidence];
+
+  const overall = forecastSeries(history, historyMonths, forecastMonths, z);
+
+  // Budgets need their category's forecast even when byCategory is off
+  const wanted = new Set(budgets.map((b) => b.category.trim().toLowerCase()));
+  const groups = new Map();
+  for (const t of history) {
+    if (!t.category) continue;
+    const key = t.category.toLowerCase();
+    if (!byCategory && !wanted.has(key)) continue;
+    if (!groups.has(key)) groups.set(key, { name: t.category, items: [] });
+    groups.get(key).items.push(t);
+  }
+
+  const categories = [...groups.entries()].map(([key, { name, items }]) => ({
+    key,
+    category: name,
+    ...forecastSeries(items, historyMonths, forecastMonths, z),
+  }));
+
+  return {
+    dateBucket: 'month',
+    aggregation: 'sum',
+    spendingSign: negatives > history.length / 2 ? -1 : 1,
+    confidence,
+    ...overall,
+    categories: byCategory ? categories.map(({ key, ...rest }) => rest) : [],
+    budgets: compareBudgets(budgets, categories),
+  };
+}
+
+function forecastSeries(transactions, historyMonths, forecastMonths, z) {
+  const totals = new Map(historyMonths.map((m) => [m, { y: 0, count: 0 }]));
+  for (const t of transactions) {
+    const bucket = totals.get(bucketKey(t.date, 'month'));
+    if (!bucket) continue;
+    bucket.y += t.amount;
+    bucket.count++;
+  }
+  const history = historyMonths.map((x) => ({ x, y: round(totals.get(x).y), count: totals.get(x).count }));
+
+  const model = fitModel(history.map((p) => p.y), historyMonths);
+  const forecast = forecastMonths.map((x, i) => {
+    const t = history.length + i;
+    const y = Math.max(model.predict(t, x), 0);
+    const margin = z * model.stdError(t);
+    return { x, y: round(y), lower: round(Math.max(y - margin, 0)), upper: round(y + margin) };
+  });
+
+  return {
+    history,
+    forecast,
+    model: {
+      type: model.type,
+      historyMonths: history.length,
+      slope: round(model.slope),
+      residualStdDev: round(model.sigma),
+    },
+  };
+}
+
+/**
+ * Least-squares line over t = 0..n-1 (flat mean for short histories), with
+ * an additive seasonal term per calendar month once there's enough history.
+ * stdError(t) is the prediction standard error at step t.
+ */
+function fitModel(values, months) {
+  const n = values.length;
+  const meanT = (n - 1) / 2;
+  const meanY = values.reduce((a, b) => a + b, 0) / n;
+
+  let slope = 0;
+  let sxx = 0;
+  let type = 'mean';
+  if (n >= 3) {
+    let sxy = 0;
+    values.forEach((y, t) => {
+      sxx += (t - meanT) ** 2;
+      sxy += (t - meanT) * (y - meanY);
+    });
+    slope = sxy / sxx;
+    type = 'linear';
+  }
+  const trend = (t) => meanY + slope * (t - meanT);
+
+  const seasonal = new Map();
+  if (n >= SEASONAL_MIN_MONTHS) {
+    const sums = new Map();
+    values.forEach((y, t) => {
+      const moy = months[t].slice(5);
+      const entry = sums.get(moy) || { sum: 0, count: 0 };
+      entry.sum += y - trend(t);
+      entry.count++;
+      sums.set(moy, entry);
+    });
+    for (const [moy, { sum, count }] of sums) seasonal.set(moy, sum / count);
+    type = 'seasonal';
+  }
+
+  const predict = (t, month) => trend(t) + (seasonal.get(month.slice(5)) || 0);
+
+  const params = type === 'seasonal' ? 14 : type === 'linear' ? 2 : 1;
+  const sse = values.reduce((acc, y, t) => acc + (y - predict(t, months[t])) ** 2, 0);
+  // Too few points for the parameters — fall back to the raw spread
+  const sigma = n > params
+    ? Math.sqrt(sse / (n - params))
+    : Math.sqrt(values.reduce((acc, y) => acc + (y - meanY) ** 2, 0) / Math.max(n - 1, 1));
+
+  const stdError = (t) => {
+    const leverage = sxx > 0 ? (t - meanT) ** 2 / sxx : 0;
+    return sigma * Math.sqrt(1 + 1 / n + leverage);
+  };
+
+  return { type, slope, sigma, predict, stdError };
+}
+
+/**
+ * Monthly-equivalent budget limits against the category forecasts:
+ * `over` when the forecast itself passes the limit, `atRisk` when only the
+ * upper band does.
+ */
+function compareBudgets(budgets, categories) {
+  const perMonth = { monthly: 1, quarterly: 3, yearly: 12 };
+  return budgets.map((budget) => {
+    const key = budget.category.trim().toLowerCase();
+    const limit = round(budget.limit / (perMonth[budget.period] || 1));
+    const series = categories.find((c) => c.key === key);
+
+    const months = (series?.forecast || []).map((p) => ({
+      x: p.x,
+      forecast: p.y,
+      upper: p.upper,
+      limit,
+      status: p.y > limit ? 'over' : p.upper > limit ? 'atRisk' : 'ok',
+    }));
+
+    return {
+      budgetId: budget.id,
+      name: budget.name || budget.category,
+      category: budget.category,
+      period: budget.period,
+      monthlyLimit: limit,
+      hasHistory: Boolean(series),
+      months,
+      firstOverMonth: months.find((m) => m.status === 'over')?.x || null,
+    };
+  });
+}
+
+// Inclusive list of 'YYYY-MM' keys
+function monthRange(from, to) {
+  const out = [];
+  for (let m = from; m <= to; m = shiftMonth(m, 1)) out.push(m);
+  return out;
+}
+
+function shiftMonth(month, delta) {
+  const [y, m] = month.split('-').map(Number);
+  return bucketKey(new Date(Date.UTC(y, m - 1 + delta, 1)), 'month');
+}
+
+module.exports = { forecastSpending, MAX_FORECAST_MONTHS };
@@ -0,0 +1,914 @@
+const { toNumber, toDate } = require('./valueParser');
+const { unifyColumnTypes } = require('./sheetParser');
+const { badRequest } = require('./utils');
+
+// Formulas are interpreted from a parsed tree — never eval'd — and kept
+// short and shallow so one can't tie up the server
+const MAX_FORMULA_LENGTH = 500;
+const MAX_DEPTH = 40;
+// Text a formula builds is capped too, so REPLACE/CONCAT can't blow a cell up
+const MAX_TEXT_LENGTH = 10000;
+const DAY_MS = 86400000;
+const NUMERIC = ['Currency', 'Number', 'Percentage'];
+const COMPARISONS = ['=', '==', '!=', '<>', '<', '<=', '>', '>='];
+
+// A cell that can't be calculated — reported as a warning, the cell left blank
+function cellError(message) {
+  const err = new Error(message);
+  err.formulaCell = true;
+  return err;
+}
+
+// Checked before the text is built, so an oversized result is never allocated
+function checkTextLength(length, what) {
+  if (length > MAX_TEXT_LENGTH) throw cellError(`${what} would be longer than ${MAX_TEXT_LENGTH} characters`);
+}
+
+// ─── Tokenizer ───────────────────────────────────────────────────────────────
+
+const IDENTIFIER = /^[\p{L}_][\p{L}\p{N}_]*/u;
+const OPERATORS = ['==', '!=', '<>', '<=', '>=', '=', '<', '>', '+', '-', '*', '/', '&'];
+
+function tokenize(formula) {
+  const tokens = [];
+  let i = 0;
+  while (i < formula.length) {
+    const ch = formula[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    const start = i;
+
+    if (/[0-9.]/.test(ch)) {
+      const match = formula.slice(i).match(/^(\d+(\.\d+)?|\.\d+)/);
+      if (!match) throw badRequest(`unexpected "${ch}" at position ${i + 1}`);
+      i += match[0].length;
+      tokens.push({ kind: 'num', value: Number(match[0]), start, end: i });
+      continue;
+    }
+
+    // "text" or 'text' — a doubled quote stands for itself
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      i++;
+      for (;;) {
+        if (i >= formula.length) throw badRequest(`unterminated text starting at position ${start + 1}`);
+        if (formula[i] === ch) {
+          if (formula[i + 1] === ch) { value += ch; i += 2; continue; }
+          i++;
+          break;
+        }
+        value += formula[i++];
+      }
+      tokens.push({ kind: 'str', value, start, end: i });
+      continue;
+    }
+
+    // [Column Name] — for names with spaces or symbols; "]]" is a literal "]"
+    if (ch === '[') {
+      let name = '';
+      i++;
+      for (;;) {
+        if (i >= formula.length) throw badRequest(`missing "]" after column name at position ${start + 1}`);
+        if (formula[i] === ']') {
+          if (formula[i + 1] === ']') { name += ']'; i += 2; continue; }
+          i++;
+          break;
+        }
+        name += formula[i++];
+      }
+      if (!name.trim()) throw badRequest(`empty column name at position ${start + 1}`);
+      tokens.push({ kind: 'ref', name: name.trim(), start, end: i });
+      continue;
+    }
+
+    const word = formula.slice(i).match(IDENTIFIER);
+    if (word) {
+      i += word[0].length;
+      tokens.push({ kind: 'ident', value: word[0], start, end: i });
+      continue;
+    }
+
+    const op = OPERATORS.find((o) => formula.startsWith(o, i));
+    if (op) {
+      i += op.length;
+      tokens.push({ kind: 'op', value: op, start, end: i });
+      continue;
+    }
+    if (ch === '(' || ch === ')' || ch === ',') {
+      i++;
+      tokens.push({ kind: ch, start, end: i });
+      continue;
+    }
+    throw badRequest(`unexpected "${ch}" at position ${i + 1}`);
+  }
+  tokens.push({ kind: 'end', start: formula.length, end: formula.length });
+  return tokens;
+}
+
+// ─── Parser ──────────────────────────────────────────────────────────────────
+//
+//   or         := and (OR and)*
+//   and        := not (AND not)*
+//   not        := NOT not | comparison
+//   comparison := concat (("=" | "<>" | "<" | ...) concat)?
+//   concat     := additive ("&" additive)*
+//   additive   := term (("+" | "-") term)*
+//   term       := unary (("*" | "/") unary)*
+//   unary      := ("-" | "+") unary | primary
+//   primary    := number | "text" | TRUE | FALSE | column | [column]
+//               | FUNCTION(args) | "(" or ")"
+
+function parse(formula) {
+  if (typeof formula !== 'string' || !formula.trim()) throw badRequest('formula must be a non-empty string');
+  if (formula.length > MAX_FORMULA_LENGTH) {
+    throw badRequest(`formula is too long (at most ${MAX_FORMULA_LENGTH} characters)`);
+  }
+  const tokens = tokenize(formula);
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+  const isWord = (token, word) => token.kind === 'ident' && token.value.toUpperCase() === word;
+  const isOp = (token, ...ops) => token.kind === 'op' && ops.includes(token.value);
+  const describe = (token) => (token.kind === 'end' ? 'end of formula' : `"${formula.slice(token.start, token.end)}" at position ${token.start + 1}`);
+  const expect = (kind) => {
+    if (peek().kind !== kind) throw badRequest(`expected "${kind}" but found ${describe(peek())}`);
+    return tokens[pos++];
+  };
+  const nested = (fn) => {
+    if (++depth > MAX_DEPTH) throw badRequest(`formula is nested too deeply (at most ${MAX_DEPTH} levels)`);
+    const node = fn();
+    depth--;
+    return node;
+  };
+
+  const parseOr = () => nested(() => {
+    let node = parseAnd();
+    while (isWord(peek(), 'OR')) {
+      pos++;
+      node = { kind: 'call', name: 'OR', args: [node, parseAnd()] };
+    }
+    return node;
+  });
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isWord(peek(), 'AND')) {
+      pos++;
+      node = { kind: 'call', name: 'AND', args: [node, parseNot()] };
+    }
+    return node;
+  };
+
+  const parseNot = () => {
+    if (isWord(peek(), 'NOT') && tokens[pos + 1].kind !== '(') {
+      pos++;
+      return nested(() => ({ kind: 'call', name: 'NOT', args: [parseNot()] }));
+    }
+    return parseComparison();
+  };
+
+  const parseComparison = () => {
+    const left = parseConcat();
+    if (!isOp(peek(), ...COMPARISONS)) return left;
+    const op = tokens[pos++].value;
+    const node = { kind: 'binary', op, left, right: parseConcat() };
+    if (isOp(peek(), ...COMPARISONS)) {
+      throw badRequest(`comparisons can't be chained — use AND (${describe(peek())})`);
+    }
+    return node;
+  };
+
+  const parseConcat = () => {
+    let node = parseAdditive();
+    while (isOp(peek(), '&')) {
+      pos++;
+      node = { kind: 'binary', op: '&', left: node, right: parseAdditive() };
+    }
+    return node;
+  };
+
+  const parseAdditive = () => {
+    let node = parseTerm();
+    while (isOp(peek(), '+', '-')) {
+      const op = tokens[pos++].value;
+      node = { kind: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+
+  const parseTerm = () => {
+    let node = parseUnary();
+    while (isOp(peek(), '*', '/')) {
+      const op = tokens[pos++].value;
+      node = { kind: 'binary', op, left: node, right: parseUnary() };
+    }
+    return node;
+  };
+
+  const parseUnary = () => {
+    if (isOp(peek(), '-', '+')) {
+      const op = tokens[pos++].value;
+      return nested(() => {
+        const arg = parseUnary();
+        return op === '-' ? { kind: 'negate', arg } : arg;
+      });
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    switch (token.kind) {
+      case 'num':
+      case 'str':
+        pos++;
+        return { kind: 'literal', value: token.value };
+      case 'ref':
+        pos++;
+        return { kind: 'ref', name: token.name, start: token.start, end: token.end };
+      case '(': {
+        pos++;
+        const node = parseOr();
+        expect(')');
+        return node;
+      }
+      case 'ident': {
+        pos++;
+        if (tokens[pos].kind === '(') return parseCall(token);
+        const upper = token.value.toUpperCase();
+        if (upper === 'TRUE' || upper === 'FALSE') return { kind: 'literal', value: upper === 'TRUE' };
+        if (['AND', 'OR', 'NOT'].includes(upper)) throw badRequest(`unexpected ${describe(token)}`);
+        return { kind: 'ref', name: token.value, start: token.start, end: token.end };
+      }
+      default:
+        throw badRequest(`unexpected ${describe(token)}`);
+    }
+  };
+
+  const parseCall = (token) => {
+    const name = token.value.toUpperCase();
+    if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, name)) {
+      throw badRequest(`unknown function ${token.value}(). Available: ${Object.keys(FUNCTIONS).join(', ')}`);
+    }
+    expect('(');
+    const args = [];
+    nested(() => {
+      if (peek().kind !== ')') {
+        args.push(parseOr());
+        while (peek().kind === ',') {
+          pos++;
+          args.push(parseOr());
+        }
+      }
+    });
+    expect(')');
+
+    const { min, max = min } = FUNCTIONS[name];
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+      throw badRequest(`${name}() takes ${expected} argument(s), got ${args.length}`);
+    }
+    return { kind: 'call', name, args };
+  };
+
+  const tree = parseOr();
+  if (peek().kind !== 'end') {
+    // "Net Amount * -1" reads as two names
+    const hint = peek().kind === 'ident' && tokens[pos - 1].kind === 'ident'
+      ? ' — put column names with spaces in [brackets]'
+      : '';
+    throw badRequest(`unexpected ${describe(peek())}${hint}`);
+  }
+  return { tree, tokens };
+}
+
+// ─── Values ──────────────────────────────────────────────────────────────────
+
+function isBlank(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function asNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) throw cellError('a date was used as a number');
+  const num = toNumber(value);
+  if (num === null) throw cellError(`"${value}" is not a number`);
+  return num;
+}
+
+function asDate(value, scope) {
+  if (value instanceof Date) return value;
+  const date = typeof value === 'string' ? toDate(value, scope.dateFormat) : null;
+  if (!date) throw cellError(`"${value}" is not a date`);
+  return date;
+}
+
+function asText(value) {
+  if (isBlank(value)) return '';
+  if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+  if (value instanceof Date) return toIsoDate(value);
+  if (typeof value === 'number') return String(cleanNumber(value));
+  return String(value);
+}
+
+function isTruthy(value) {
+  if (isBlank(value)) return false;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') return !['false', '0'].includes(value.trim().toLowerCase());
+  return true;
+}
+
+// Binary floating point noise (0.1 + 0.2) isn't worth storing
+function cleanNumber(num) {
+  return Math.round(num * 1e10) / 1e10;
+}
+
+function toIsoDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+// Case-insensitive for text; numbers and dates compare as such, and a text
+// side is read as the other side's kind ("2024-01-01" against a date)
+function compare(a, b, scope) {
+  if (a instanceof Date || b instanceof Date) {
+    return asDate(a, scope).getTime() - asDate(b, scope).getTime();
+  }
+  if (typeof a === 'number' || typeof b === 'number' || typeof a === 'boolean' || typeof b === 'boolean') {
+    const x = typeof a === 'string' ? toNumber(a) : asNumber(a);
+    const y = typeof b === 'string' ? toNumber(b) : asNumber(b);
+    if (x !== null && y !== null) return x - y;
+  }
+  return asText(a).toLowerCase().localeCompare(asText(b).toLowerCase());
+}
+
+function roundTo(num, digits) {
+  const factor = 10 ** digits;
+  return Math.sign(num) * Math.round(Math.abs(num) * factor) / factor;
+}
+
+function textPart(text, position) {
+  return position >= 1 && position <= text.length ? text[position - 1] : null;
+}
+
+// ─── Functions ───────────────────────────────────────────────────────────────
+//
+// Each one: { min, max = min } arguments, `type(argTypes)` — its result type
+// for a given argument list — and `run(args, scope)`. Blank arguments give a
+// blank result unless the function sets `blanks: true` and handles them.
+
+const sameAsFirst = ([type]) => (NUMERIC.includes(type) ? type : 'Number');
+const textLike = ([type]) => (type === 'Category' ? 'Category' : 'Text');
+
+const FUNCTIONS = {
+  // Logic
+  IF: { min: 2, max: 3, lazy: true, type: ([, a, b]) => unifyTypes([a, b ?? a]) },
+  AND: { min: 1, max: Infinity, blanks: true, type: () => 'Boolean', run: (args) => args.every(isTruthy) },
+  OR: { min: 1, max: Infinity, blanks: true, type: () => 'Boolean', run: (args) => args.some(isTruthy) },
+  NOT: { min: 1, blanks: true, type: () => 'Boolean', run: ([v]) => !isTruthy(v) },
+  ISBLANK: { min: 1, blanks: true, type: () => 'Boolean', run: ([v]) => isBlank(v) },
+  COALESCE: {
+    min: 1, max: Infinity, blanks: true,
+    type: (types) => unifyTypes(types),
+    run: (args) => args.find((v) => !isBlank(v)) ?? null,
+  },
+
+  // Numbers
+  ABS: { min: 1, type: sameAsFirst, run: ([n]) => Math.abs(asNumber(n)) },
+  ROUND: {
+    min: 1, max: 2,
+    type: sameAsFirst,
+    run: ([n, digits = 0]) => roundTo(asNumber(n), Math.max(-10, Math.min(10, Math.trunc(asNumber(digits))))),
+  },
+  FLOOR: { min: 1, type: sameAsFirst, run: ([n]) => Math.floor(asNumber(n)) },
+  CEIL: { min: 1, type: sameAsFirst, run: ([n]) => Math.ceil(asNumber(n)) },
+  MOD: {
+    min: 2,
+    type: () => 'Number',
+    run: ([a, b]) => {
+      const divisor = asNumber(b);
+      if (divisor === 0) throw cellError('MOD by zero');
+      return asNumber(a) - divisor * Math.floor(asNumber(a) / divisor);
+    },
+  },
+  MIN: { min: 1, max: Infinity, blanks: true, type: (types) => unifyTypes(types), run: (args, scope) => extreme(args, scope, -1) },
+  MAX: { min: 1, max: Infinity, blanks: true, type: (types) => unifyTypes(types), run: (args, scope) => extreme(args, scope, 1) },
+  VALUE: { min: 1, type: () => 'Number', run: ([v]) => asNumber(v) },
+
+  // Dates
+  YEAR: { min: 1, type: () => 'Number', run: ([d], scope) => asDate(d, scope).getUTCFullYear() },
+  MONTH: { min: 1, type: () => 'Number', run: ([d], scope) => asDate(d, scope).getUTCMonth() + 1 },
+  DAY: { min: 1, type: () => 'Number', run: ([d], scope) => asDate(d, scope).getUTCDate() },
+  // 1 = Monday … 7 = Sunday
+  WEEKDAY: { min: 1, type: () => 'Number', run: ([d], scope) => asDate(d, scope).getUTCDay() || 7 },
+  DATE: {
+    min: 3,
+    type: () => 'Date',
+    run: ([y, m, d]) => {
+      const date = new Date(Date.UTC(asNumber(y), asNumber(m) - 1, asNumber(d)));
+      if (isNaN(date.getTime())) throw cellError('DATE() got an impossible date');
+      return date;
+    },
+  },
+
+  // Text — searches ignore case, SPLIT/BEFORE/AFTER/REPLACE match exactly
+  UPPER: { min: 1, type: textLike, run: ([t]) => asText(t).toUpperCase() },
+  LOWER: { min: 1, type: textLike, run: ([t]) => asText(t).toLowerCase() },
+  TRIM: { min: 1, type: textLike, run: ([t]) => asText(t).trim().replace(/\s+/g, ' ') },
+  LEN: { min: 1, type: () => 'Number', run: ([t]) => asText(t).length },
+  LEFT: { min: 1, max: 2, type: textLike, run: ([t, n = 1]) => asText(t).slice(0, Math.max(0, asNumber(n))) },
+  RIGHT: {
+    min: 1, max: 2,
+    type: textLike,
+    run: ([t, n = 1]) => {
+      const count = Math.max(0, asNumber(n));
+      return count === 0 ? '' : asText(t).slice(-count);
+    },
+  },
+  // MID(text, start, count) — start is 1-based
+  MID: {
+    min: 3,
+    type: textLike,
+    run: ([t, start, count]) => {
+      const from = Math.max(1, asNumber(start)) - 1;
+      return asText(t).slice(from, from + Math.max(0, asNumber(count)));
+    },
+  },
+  // 1-based position of `needle`, 0 when it isn't there
+  FIND: {
+    min: 2,
+    type: () => 'Number',
+    run: ([needle, t]) => asText(t).toLowerCase().indexOf(asText(needle).toLowerCase()) + 1,
+  },
+  CONTAINS: {
+    min: 2, type: () => 'Boolean',
+    run: ([t, needle]) => asText(t).toLowerCase().includes(asText(needle).toLowerCase()),
+  },
+  STARTSWITH: {
+    min: 2, type: () => 'Boolean',
+    run: ([t, prefix]) => asText(t).toLowerCase().startsWith(asText(prefix).toLowerCase()),
+  },
+  ENDSWITH: {
+    min: 2, type: () => 'Boolean',
+    run: ([t, suffix]) => asText(t).toLowerCase().endsWith(asText(suffix).toLowerCase()),
+  },
+  // SPLIT(text, separator, n) — the nth part (1-based, negative counts from the end)
+  SPLIT: {
+    min: 3,
+    type: textLike,
+    run: ([t, sep, n]) => {
+      if (asText(sep) === '') throw cellError('SPLIT() needs a separator');
+      const parts = asText(t).split(asText(sep));
+      const index = Math.trunc(asNumber(n));
+      const part = index > 0 ? parts[index - 1] : parts[parts.length + index];
+      return part === undefined || index === 0 ? null : part.trim();
+    },
+  },
+  BEFORE: {
+    min: 2,
+    type: textLike,
+    run: ([t, sep]) => {
+      const text = asText(t);
+      const at = text.indexOf(asText(sep));
+      return at === -1 ? null : text.slice(0, at).trim();
+    },
+  },
+  AFTER: {
+    min: 2,
+    type: textLike,
+    run: ([t, sep]) => {
+      const text = asText(t);
+      const at = text.indexOf(asText(sep));
+      return at === -1 ? null : text.slice(at + asText(sep).length).trim();
+    },
+  },
+  REPLACE: {
+    min: 3,
+    type: textLike,
+    run: ([t, find, replacement]) => {
+      const text = asText(t);
+      const target = asText(find);
+      const insert = asText(replacement);
+      if (target === '') throw cellError('REPLACE() needs text to find');
+      const parts = text.split(target);
+      checkTextLength(text.length + (parts.length - 1) * (insert.length - target.length), 'REPLACE() result');
+      return parts.join(insert);
+    },
+  },
+  CONCAT: {
+    min: 1, max: Infinity, blanks: true,
+    type: () => 'Text',
+    run: (args) => {
+      const texts = args.map(asText);
+      checkTextLength(texts.reduce((sum, text) => sum + text.length, 0), 'CONCAT() result');
+      return texts.join('');
+    },
+  },
+  TEXT: { min: 1, type: () => 'Text', run: ([v]) => asText(v) },
+};
+
+function extreme(args, scope, direction) {
+  const present = args.filter((v) => !isBlank(v));
+  if (present.length === 0) return null;
+  return present.reduce((best, v) => (compare(v, best, scope) * direction > 0 ? v : best));
+}
+
+// ─── Types ───────────────────────────────────────────────────────────────────
+
+// Result type of values that may come from several branches — Text when
+// they share none (see unifyColumnTypes)
+function unifyTypes(types) {
+  return unifyColumnTypes(types) || 'Text';
+}
+
+/**
+ * Work out what a parsed formula produces, without running it. `typeOf(name)`
+ * gives a referenced column's type. Returns { type, currencyFrom } —
+ * currencyFrom is the Currency column whose currency a Currency result takes.
+ */
+function inferType(node, typeOf) {
+  switch (node.kind) {
+    case 'literal':
+      if (typeof node.value === 'number') return { type: 'Number' };
+      if (typeof node.value === 'boolean') return { type: 'Boolean' };
+      return { type: 'Category' };
+    case 'ref': {
+      const type = typeOf(node.name);
+      return { type, currencyFrom: type === 'Currency' ? node.name : null };
+    }
+    case 'negate': {
+      const arg = inferType(node.arg, typeOf);
+      if (arg.type === 'Date') throw badRequest("a date can't be negated");
+      return NUMERIC.includes(arg.type) ? arg : { type: 'Number' };
+    }
+    case 'binary': {
+      const left = inferType(node.left, typeOf);
+      const right = inferType(node.right, typeOf);
+      if (COMPARISONS.includes(node.op)) return { type: 'Boolean' };
+      if (node.op === '&') return { type: 'Text' };
+      return arithmeticType(node.op, left, right);
+    }
+    case 'call': {
+      const args = node.args.map((arg) => inferType(arg, typeOf));
+      const type = FUNCTIONS[node.name].type(args.map((a) => a.type));
+      const currencyFrom = type === 'Currency'
+        ? args.find((a) => a.type === 'Currency' && a.currencyFrom)?.currencyFrom ?? null
+        : null;
+      return { type, currencyFrom };
+    }
+    default:
+      throw new Error(`Unknown formula node: ${node.kind}`);
+  }
+}
+
+function arithmeticType(op, left, right) {
+  const currency = [left, right].find((side) => side.type === 'Currency');
+  const currencyFrom = currency?.currencyFrom ?? null;
+
+  if (left.type === 'Date' || right.type === 'Date') {
+    if (op === '-' && left.type === 'Date' && right.type === 'Date') return { type: 'Number' };
+    if ((op === '+' || op === '-') && left.type === 'Date' && right.type !== 'Date') return { type: 'Date' };
+    if (op === '+' && right.type === 'Date' && left.type !== 'Date') return { type: 'Date' };
+    throw badRequest(`dates can only have days added or subtracted, or be subtracted from each other (got "${op}")`);
+  }
+  if (op === '+' || op === '-') {
+    if (currency) return { type: 'Currency', currencyFrom };
+    if (left.type === 'Percentage' && right.type === 'Percentage') return { type: 'Percentage' };
+    return { type: 'Number' };
+  }
+  // Amount * 2 is still money, Amount / Amount is a ratio
+  const both = left.type === 'Currency' && right.type === 'Currency';
+  if (currency && !(both || (op === '/' && right.type === 'Currency'))) return { type: 'Currency', currencyFrom };
+  return { type: 'Number' };
+}
+
+// ─── Evaluation ──────────────────────────────────────────────────────────────
+
+function evaluate(node, scope) {
+  switch (node.kind) {
+    case 'literal':
+      return node.value;
+    case 'ref':
+      return scope.read(node.name);
+    case 'negate': {
+      const value = evaluate(node.arg, scope);
+      return isBlank(value) ? null : -asNumber(value);
+    }
+    case 'binary':
+      return evaluateBinary(node, scope);
+    case 'call': {
+      const fn = FUNCTIONS[node.name];
+      if (node.name === 'IF') {
+        const [test, then, otherwise] = node.args;
+        if (isTruthy(evaluate(test, scope))) return evaluate(then, scope);
+        return otherwise ? evaluate(otherwise, scope) : null;
+      }
+      const args = node.args.map((arg) => evaluate(arg, scope));
+      if (!fn.blanks && args.some(isBlank)) return null;
+      return fn.run(args, scope);
+    }
+    default:
+      throw new Error(`Unknown formula node: ${node.kind}`);
+  }
+}
+
+function evaluateBinary(node, scope) {
+  const a = evaluate(node.left, scope);
+  const b = evaluate(node.right, scope);
+
+  if (node.op === '&') {
+    const left = asText(a);
+    const right = asText(b);
+    checkTextLength(left.length + right.length, '"&" result');
+    return left + right;
+  }
+
+  if (COMPARISONS.includes(node.op)) {
+    if (isBlank(a) || isBlank(b)) {
+      const same = isBlank(a) && isBlank(b);
+      if (node.op === '=' || node.op === '==') return same;
+      if (node.op === '!=' || node.op === '<>') return !same;
+      return false;
+    }
+    const order = compare(a, b, scope);
+    switch (node.op) {
+      case '=': case '==': return order === 0;
+      case '!=': case '<>': return order !== 0;
+      case '<': return order < 0;
+      case '<=': return order <= 0;
+      case '>': return order > 0;
+      default: return order >= 0;
+    }
+  }
+
+  if (isBlank(a) || isBlank(b)) return null;
+
+  if (a instanceof Date || b instanceof Date) {
+    if (node.op !== '+' && node.op !== '-') throw cellError(`dates can't be used with "${node.op}"`);
+    if (node.op === '-' && a instanceof Date && b instanceof Date) return Math.round((a - b) / DAY_MS);
+    const date = a instanceof Date ? a : b;
+    const days = asNumber(a instanceof Date ? b : a);
+    return new Date(date.getTime() + (node.op === '-' ? -days : days) * DAY_MS);
+  }
+
+  const x = asNumber(a);
+  const y = asNumber(b);
+  switch (node.op) {
+    case '+': return x + y;
+    case '-': return x - y;
+    case '*': return x * y;
+    default:
+      if (y === 0) throw cellError('division by zero');
+      return x / y;
+  }
+}
+
+// A computed value as stored in a column of `type`
+function storeValue(value, type, dateFormat) {
+  if (isBlank(value)) return null;
+  switch (type) {
+    case 'Currency':
+    case 'Number':
+    case 'Percentage': {
+      const num = asNumber(value);
+      if (!Number.isFinite(num)) throw cellError('result is not a finite number');
+      return cleanNumber(num);
+    }
+    case 'Date':
+      return toIsoDate(asDate(value, { dateFormat }));
+    default:
+      return asText(value);
+  }
+}
+
+// ─── Columns ─────────────────────────────────────────────────────────────────
+
+function isCalculated(col) {
+  return col.formula !== undefined && col.formula !== null && col.formula !== '';
+}
+
+// Exact name first, then ignoring case when that's unambiguous
+function resolveColumn(name, columns) {
+  if (columns.some((c) => c.name === name)) return name;
+  const matches = columns.filter((c) => c.name.toLowerCase() === name.toLowerCase());
+  return matches.length === 1 ? matches[0].name : null;
+}
+
+// The formula's column references, resolved to column names
+function referencedNames(parsed, columns) {
+  const names = new Set();
+  const visit = (node) => {
+    if (node.kind === 'ref') {
+      const name = resolveColumn(node.name, columns);
+      if (!name) throw badRequest(`unknown column "${node.name}"`);
+      node.name = name;
+      names.add(name);
+    }
+    (node.args || []).forEach(visit);
+    if (node.arg) visit(node.arg);
+    if (node.left) { visit(node.left); visit(node.right); }
+  };
+  visit(parsed.tree);
+  return names;
+}
+
+/**
+ * Check every calculated column in `columns` (those with a `formula`) and
+ * work out the order to compute them in — a formula may use other
+ * calculated columns, but not itself, directly or through others. Columns
+ * without a `type` get the one their formula produces.
+ *
+ * Returns [{ name, tree, type, currencyFrom }] in computing order. Bad
+ * formulas throw a 400 naming the column.
+ */
+function planFormulas(columns) {
+  const formulas = new Map();
+  for (const col of columns) {
+    if (!isCalculated(col)) continue;
+    if (typeof col.formula !== 'string') throw badRequest(`column "${col.name}": formula must be a string`);
+    try {
+      const parsed = parse(col.formula);
+      const refs = referencedNames(parsed, columns);
+      if (refs.has(col.name)) throw badRequest('a formula can\'t use its own column');
+      formulas.set(col.name, { col, tree: parsed.tree, refs });
+    } catch (err) {
+      throw badRequest(`column "${col.name}": ${err.message}`);
+    }
+  }
+
+  const order = [];
+  const state = new Map();
+  const visit = (name, path) => {
+    if (state.get(name) === 'done') return;
+    if (state.get(name) === 'visiting') {
+      throw badRequest(`columns ${[...path, name].map((n) => `"${n}"`).join(' → ')} depend on each other`);
+    }
+    state.set(name, 'visiting');
+    for (const ref of formulas.get(name).refs) {
+      if (formulas.has(ref)) visit(ref, [...path, name]);
+    }
+    state.set(name, 'done');
+    order.push(name);
+  };
+  for (const name of formulas.keys()) visit(name, []);
+
+  const types = new Map(columns.map((c) => [c.name, c.type]));
+  return order.map((name) => {
+    const { col, tree } = formulas.get(name);
+    let inferred;
+    try {
+      inferred = inferType(tree, (ref) => types.get(ref));
+    } catch (err) {
+      throw badRequest(`column "${name}": ${err.message}`);
+    }
+    const produced = inferred.type === 'Boolean' ? 'Category' : inferred.type;
+    const type = col.type || produced;
+    types.set(name, type);
+    return { name, tree, type, currencyFrom: type === 'Currency' ? inferred.currencyFrom : null };
+  });
+}
+
+/**
+ * Fill in calculated columns: every column with a `formula` is recomputed
+ * for every row, in dependency order, from the row's other values.
+ *
+ * Results are stored as the column's type like any typed cell, so they
+ * filter, sort, aggregate and chart as usual. A Currency result takes the
+ * currency of the Currency column it was calculated from. Cells that can't
+ * be calculated (division by zero, text where a number was needed) are left
+ * blank and reported as warnings, one entry per column.
+ *
+ * Returns { rows, columns, warnings } — the input is not mutated.
+ */
+function computeColumns(rows, columns, { dateFormat = 'DD/MM/YYYY' } = {}) {
+  const plan = planFormulas(columns);
+  if (plan.length === 0) return { rows, columns, warnings: [] };
+
+  const planned = new Map(plan.map((step) => [step.name, step]));
+  // A Currency result is in its source column's currency (or the one set on
+  // the column when it has no source), worked out in computing order
+  const currencyOf = new Map(columns.map((c) => [c.name, c.currency ?? null]));
+  for (const step of plan) {
+    const own = step.currencyFrom ? currencyOf.get(step.currencyFrom) : currencyOf.get(step.name);
+    currencyOf.set(step.name, step.type === 'Currency' ? own : null);
+  }
+  const nextColumns = columns.map((col) => {
+    const step = planned.get(col.name);
+    if (!step) return col;
+    const { currency, ...rest } = col;
+    return step.type === 'Currency'
+      ? { ...rest, type: step.type, currency: currencyOf.get(col.name) }
+      : { ...rest, type: step.type };
+  });
+  const typeOf = new Map(nextColumns.map((c) => [c.name, c.type]));
+
+  const failures = new Map();
+  const nextRows = rows.map((row, rowIndex) => {
+    const next = { ...row };
+    const display = { ...(row._display || {}) };
+    const codes = { ...(row._currency || {}) };
+    const scope = {
+      dateFormat,
+      read(name) {
+        const value = next[name];
+        if (isBlank(value)) return null;
+        const type = typeOf.get(name);
+        if (type === 'Date') return toDate(value, dateFormat) ?? String(value);
+        if (NUMERIC.includes(type)) return typeof value === 'number' ? value : toNumber(value) ?? String(value);
+        return value;
+      },
+    };
+
+    for (const step of plan) {
+      delete display[step.name];
+      delete codes[step.name];
+      try {
+        next[step.name] = storeValue(evaluate(step.tree, scope), step.type, dateFormat);
+      } catch (err) {
+        if (!err.formulaCell) throw err;
+        next[step.name] = null;
+        if (!failures.has(step.name)) {
+          failures.set(step.name, { column: step.name, type: step.type, count: 0, rows: [], samples: [] });
+        }
+        const entry = failures.get(step.name);
+        entry.count++;
+        if (entry.rows.length < 5) {
+          entry.rows.push(rowIndex + 1);
+          entry.samples.push(err.message);
+        }
+        continue;
+      }
+      const code = step.currencyFrom && codes[step.currencyFrom];
+      if (code && next[step.name] !== null && code !== currencyOf.get(step.name)) codes[step.name] = code;
+    }
+
+    if (Object.keys(display).length > 0) next._display = display;
+    else delete next._display;
+    if (Object.keys(codes).length > 0) next._currency = codes;
+    else delete next._currency;
+    return next;
+  });
+
+  const finalColumns = nextColumns.map((col) => (planned.has(col.name)
+    ? {
+      ...col,
+      sample: nextRows.map((row) => row[col.name]).filter((v) => v !== null).slice(0, 5),
+    }
+    : col));
+  const warnings = [...failures.values()].map((w) => ({
+    ...w,
+    message: `${w.count} row(s) of calculated column "${w.column}" could not be computed`,
+  }));
+
+  return { rows: nextRows, columns: finalColumns, warnings };
+}
+
+// Calculated columns whose formulas use column `name`
+function dependentColumns(columns, name) {
+  return columns.filter((col) => {
+    if (!isCalculated(col) || col.name === name) return false;
+    try {
+      return referencedNames(parse(col.formula), columns).has(name);
+    } catch (err) {
+      return false;
+    }
+  }).map((col) => col.name);
+}
+
+// How a column is written in a formula: bare when it can be, else [bracketed]
+function formatReference(name) {
+  const bare = name.match(IDENTIFIER)?.[0] === name
+    && !['TRUE', 'FALSE', 'AND', 'OR', 'NOT'].includes(name.toUpperCase());
+  return bare ? name : `[${name.replace(/]/g, ']]')}]`;
+}
+
+/**
+ * Rewrite `formula` for column `from` being renamed to `to`, leaving the
+ * rest of its text as the user wrote it. `columns` are the columns before
+ * the rename, to resolve references the same way computing does.
+ */
+function renameInFormula(formula, from, to, columns) {
+  const { tokens } = parse(formula);
+  let out = formula;
+  const refs = tokens.filter((token) => {
+    if (token.kind === 'ref') return resolveColumn(token.name, columns) === from;
+    if (token.kind !== 'ident') return false;
+    const next = tokens[tokens.indexOf(token) + 1];
+    return next.kind !== '(' && resolveColumn(token.value, columns) === from;
+  });
+  for (const token of refs.reverse()) {
+    out = out.slice(0, token.start) + formatReference(to) + out.slice(token.end);
+  }
+  return out;
+}
+
+module.exports = {
+  computeColumns,
+  planFormulas,
+  dependentColumns,
+  renameInFormula,
+  isCalculated,
+  FORMULA_FUNCTIONS: Object.keys(FUNCTIONS),
+};
@@ -0,0 +1,146 @@
+const { COLUMN_TYPES } = require('./sheetParser');
+const { badRequest } = require('./utils');
+
+// Share of headers two files must have in common to count as the same format
+const MATCH_THRESHOLD = 0.8;
+
+function normalizeHeader(name) {
+  return String(name ?? '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate + clean an import template from the API.
+ *
+ * Template shape (column names are the headers as they appear in the file):
+ *   { name, headers: [..], headerRowIndex, sheetName,
+ *     columnRenames: { original: renamed }, columnTypes: { original: type },
+ *     ignoredColumns: [original, ..] }
+ */
+function validateTemplate(input = {}, { partial = false } = {}) {
+  const template = {};
+
+  if (!partial || input.name !== undefined) {
+    if (typeof input.name !== 'string' || !input.name.trim()) throw badRequest('name is required');
+    template.name = input.name.trim();
+  }
+
+  if (!partial || input.headers !== undefined) {
+    if (!Array.isArray(input.headers) || input.headers.length === 0) {
+      throw badRequest('headers must be a non-empty array of the file\'s column names');
+    }
+    template.headers = input.headers.map((h) => String(h).trim()).filter(Boolean);
+  }
+
+  if (!partial || input.headerRowIndex !== undefined) {
+    const index = input.headerRowIndex;
+    if (index !== undefined && index !== null && !(Number.isInteger(index) && index >= 0)) {
+      throw badRequest('headerRowIndex must be a non-negative integer or null');
+    }
+    template.headerRowIndex = Number.isInteger(index) ? index : null;
+  }
+
+  if (!partial || input.sheetName !== undefined) {
+    template.sheetName = typeof input.sheetName === 'string' && input.sheetName.trim()
+      ? input.sheetName.trim()
+      : null;
+  }
+
+  if (!partial || input.columnRenames !== undefined) {
+    const renames = input.columnRenames ?? {};
+    if (!isPlainObject(renames)) throw badRequest('columnRenames must be an object of { original: renamed }');
+    template.columnRenames = {};
+    for (const [from, to] of Object.entries(renames)) {
+      if (typeof to !== 'string' || !to.trim()) throw badRequest(`columnRenames["${from}"] must be a non-empty string`);
+      template.columnRenames[from] = to.trim();
+    }
+    const targets = Object.values(template.columnRenames);
+    if (new Set(targets).size !== targets.length) throw badRequest('columnRenames maps two columns to the same name');
+  }
+
+  if (!partial || input.columnTypes !== undefined) {
+    const types = input.columnTypes ?? {};
+    if (!isPlainObject(types)) throw badRequest('columnTypes must be an object of { column: type }');
+    for (const [col, type] of Object.entries(types)) {
+      if (!COLUMN_TYPES.includes(type)) {
+        throw badRequest(`Invalid type "${type}" for "${col}". Allowed: ${COLUMN_TYPES.join(', ')}`);
+      }
+    }
+    template.columnTypes = { ...types };
+  }
+
+  if (!partial || input.ignoredColumns !== undefined) {
+    const ignored = input.ignoredColumns ?? [];
+    if (!Array.isArray(ignored)) throw badRequest('ignoredColumns must be an array');
+    template.ignoredColumns = ignored.map((c) => String(c).trim()).filter(Boolean);
+  }
+
+  return template;
+}
+
+/**
+ * Find the saved template whose headers best match a file's headers.
+ * Score is the Jaccard overlap of the two header sets.
+ * Returns { template, score } or null when nothing clears MATCH_THRESHOLD.
+ */
+function matchTemplate(headers, templates) {
+  const fileHeaders = new Set(headers.map(normalizeHeader));
+  let best = null;
+
+  for (const template of templates) {
+    const templateHeaders = new Set((template.headers || []).map(normalizeHeader));
+    if (templateHeaders.size === 0) continue;
+
+    let shared = 0;
+    for (const h of templateHeaders) if (fileHeaders.has(h)) shared++;
+    const score = shared / (fileHeaders.size + templateHeaders.size - shared);
+
+    if (score >= MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { template, score: Math.round(score * 100) / 100 };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Drop ignored columns and apply renames to a parsed sheet.
+ * Types are applied earlier — they go into parseFile as columnTypes so values
+ * are normalized to the template's type.
+ * Returns { columns, rows }.
+ */
+function applyTemplate(columns, rows, template) {
+  const ignored = new Set(template.ignoredColumns || []);
+  const renames = template.columnRenames || {};
+  const rename = (name) => renames[name] || name;
+
+  const kept = columns.filter((c) => !ignored.has(c.name));
+  const nextColumns = kept.map((c) => ({ ...c, name: rename(c.name) }));
+
+  const nextRows = rows.map((row) => {
+    const obj = {};
+    for (const col of kept) obj[rename(col.name)] = row[col.name];
+
+    // Row metadata (_display etc.) follows the same renames
+    for (const key of Object.keys(row)) {
+      if (!key.startsWith('_')) continue;
+      if ((key === '_display' || key === '_currency') && row[key]) {
+        const meta = {};
+        for (const [name, value] of Object.entries(row[key])) {
+          if (!ignored.has(name)) meta[rename(name)] = value;
+        }
+        if (Object.keys(meta).length > 0) obj[key] = meta;
+      } else {
+        obj[key] = row[key];
+      }
+    }
+    return obj;
+  });
+
+  return { columns: nextColumns, rows: nextRows };
+}
+
+module.exports = { validateTemplate, matchTemplate, applyTemplate };
@@ -0,0 +1,111 @@
+// Pipeline stages in order, with how far along each one starts
+const INGEST_STAGES = {
+  queued: 0,
+  parsing: 10,
+  transforming: 40,
+  checkingDuplicates: 55,
+  storing: 70,
+  saving: 85,
+  scanning: 95,
+  done: 100,
+};
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+// Queued and running jobs write heartbeatAt this often — a long stage or a
+// long wait in the queue still shows the job is alive
+const HEARTBEAT_SECONDS = 60;
+// A job whose heartbeat stopped this long ago was lost with its server process
+const STALE_MINUTES = 5;
+// Parser warnings kept on the job doc — the rest is summarized by count
+const MAX_JOB_WARNINGS = 50;
+
+// Stages repeated for every sheet of a multi-sheet upload, and the span of
+// percent they share
+const PER_SHEET_FROM = INGEST_STAGES.transforming;
+const PER_SHEET_TO = INGEST_STAGES.scanning;
+
+/**
+ * Fields to write when a job enters `stage`. For multi-sheet uploads pass
+ * progress = { sheet, sheets } (0-based sheet) so the per-sheet stages
+ * split their span of percent between the sheets.
+ */
+function stageUpdate(stage, progress = null) {
+  if (!(stage in INGEST_STAGES)) throw new Error(`Unknown ingest stage: ${stage}`);
+  let percent = INGEST_STAGES[stage];
+  if (progress && percent >= PER_SHEET_FROM && percent < PER_SHEET_TO) {
+    const span = PER_SHEET_TO - PER_SHEET_FROM;
+    const within = (percent - PER_SHEET_FROM) / span;
+    percent = Math.round(PER_SHEET_FROM + span * ((progress.sheet + within) / progress.sheets));
+  }
+  return { stage, percent };
+}
+
+function trimWarnings(warnings = []) {
+  return {
+    warnings: warnings.slice(0, MAX_JOB_WARNINGS),
+    warningCount: warnings.length,
+  };
+}
+
+function isStale(job, now = new Date()) {
+  if (job.status !== 'queued' && job.status !== 'running') return false;
+  // Jobs from before heartbeats: a running one goes by its last update, a
+  // queued one can't be judged
+  const alive = job.heartbeatAt || (job.status === 'running' ? job.updatedAt : null);
+  return Boolean(alive) && now - new Date(alive) > STALE_MINUTES * 60000;
+}
+
+// Call beat() every HEARTBEAT_SECONDS until the returned stop() is called
+function startHeartbeat(beat) {
+  const timer = setInterval(() => {
+    Promise.resolve()
+      .then(beat)
+      .catch((err) => console.error('Job heartbeat failed:', err.message));
+  }, HEARTBEAT_SECONDS * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+/**
+ * Run async tasks in the background, at most `concurrency` at a time, in
+ * the order they were pushed. Tasks handle their own errors; a rejection
+ * here is only logged so one bad job can't stall the rest.
+ */
+function createJobQueue(concurrency = 1) {
+  const waiting = [];
+  let running = 0;
+
+  const next = () => {
+    while (running < concurrency && waiting.length > 0) {
+      const task = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch((err) => console.error('Background job failed:', err))
+        .finally(() => {
+          running--;
+          next();
+        });
+    }
+  };
+
+  return {
+    push(task) {
+      waiting.push(task);
+      next();
+    },
+    // Tasks queued or running
+    get pending() {
+      return waiting.length + running;
+    },
+  };
+}
+
+module.exports = {
+  stageUpdate,
+  trimWarnings,
+  isStale,
+  startHeartbeat,
+  createJobQueue,
+  INGEST_STAGES,
+  JOB_STATUSES,
+};
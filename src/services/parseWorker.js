@@ -0,0 +1,61 @@
+const fs = require('fs');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+const { parseFile, parseWorkbook } = require('./sheetParser');
+
+// What a worker may be asked to run — each takes the file's buffer first
+const PARSERS = { parseFile, parseWorkbook };
+
+/**
+ * Run a sheetParser function on a file on disk in a worker thread. Parsing
+ * a large workbook is synchronous and can take seconds; off the main thread
+ * it doesn't hold up other requests (like job status polls) meanwhile.
+ *
+ * Resolves to the parser's result; parse errors reject with their status.
+ */
+function runInWorker(parser, filePath, args) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { parseWorker: true, parser, filePath, args },
+    });
+    let settled = false;
+
+    worker.once('message', (message) => {
+      settled = true;
+      if (message.error) {
+        const err = new Error(message.error.message);
+        err.status = message.error.status;
+        reject(err);
+      } else {
+        resolve(message.result);
+      }
+    });
+    worker.once('error', (err) => {
+      settled = true;
+      reject(err);
+    });
+    worker.once('exit', (code) => {
+      if (!settled) reject(new Error(`Parser stopped unexpectedly (exit code ${code})`));
+    });
+  });
+}
+
+function parseFileInWorker(filePath, fileName, selectedSheet = null, options = {}) {
+  return runInWorker('parseFile', filePath, [fileName, selectedSheet, options]);
+}
+
+function parseWorkbookInWorker(filePath, fileName, sheets = 'all', options = {}) {
+  return runInWorker('parseWorkbook', filePath, [fileName, sheets, options]);
+}
+
+if (!isMainThread && workerData?.parseWorker) {
+  const { parser, filePath, args } = workerData;
+  try {
+    const result = PARSERS[parser](fs.readFileSync(filePath), ...args);
+    parentPort.postMessage({ result });
+  } catch (err) {
+    // Unreadable files are the upload's fault, as in POST /parse
+    parentPort.postMessage({ error: { message: err.message, status: err.status || 422 } });
+  }
+}
+
+module.exports = { parseFileInWorker, parseWorkbookInWorker };
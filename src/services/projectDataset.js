@@ -0,0 +1,136 @@
+const { settleCurrencies, unifyColumnTypes } = require('./sheetParser');
+
+// Name of the column recording which sheet a dataset row came from
+const SOURCE_SHEET_COLUMN = 'Source Sheet';
+
+// "export.csv", or "book.xlsx — Jan" for one tab of a workbook; repeats get a number
+function sourceLabels(sheets) {
+  const seen = new Map();
+  return sheets.map(({ sheet }) => {
+    const base = sheet.selectedSheet && !/\.csv$/i.test(sheet.fileName)
+      ? `${sheet.fileName} — ${sheet.selectedSheet}`
+      : sheet.fileName;
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return count === 1 ? base : `${base} (${count})`;
+  });
+}
+
+/**
+ * Union several sheets' rows into one dataset that queries, aggregates and
+ * exports like a single sheet.
+ *
+ * Columns line up by name (ignoring case and surrounding spaces). Where the
+ * sheets typed a column differently but compatibly (see unifyColumnTypes) they
+ * share it; otherwise the type covering the most rows keeps the name and
+ * the other sheets' values go to "Name (Type)" columns, listed in
+ * `conflicts`. Sheets without a column leave it blank.
+ *
+ * Every row gets a "Source Sheet" value and `_source: { sheetId, rowIndex }`
+ * pointing back at the stored row. Currency cells keep their currency —
+ * cells with none recorded are taken to be in `currency` (the project's).
+ *
+ * sheets: [{ sheet, rows }] in the order to combine.
+ * Returns { columns, rows, sources, conflicts }.
+ */
+function combineSheets(sheets, { currency = null } = {}) {
+  const key = (name) => name.trim().toLowerCase();
+
+  // Every sheet column, grouped by name
+  const groups = new Map();
+  sheets.forEach(({ sheet, rows }, sheetIndex) => {
+    for (const col of sheet.columns) {
+      if (!groups.has(key(col.name))) groups.set(key(col.name), []);
+      groups.get(key(col.name)).push({ sheetIndex, col, weight: rows.length });
+    }
+  });
+
+  // Per sheet: its column name → the dataset column it lands in
+  const targets = sheets.map(() => new Map());
+  const columns = [];
+  const conflicts = [];
+  for (const members of groups.values()) {
+    const name = members[0].col.name;
+    const unified = unifyColumnTypes(members.map((m) => m.col.type));
+    if (unified) {
+      const column = { name, type: unified };
+      columns.push(column);
+      members.forEach((m) => targets[m.sheetIndex].set(m.col.name, column));
+      continue;
+    }
+
+    const weights = new Map();
+    for (const m of members) weights.set(m.col.type, (weights.get(m.col.type) || 0) + m.weight);
+    const kept = [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    const byType = new Map();
+    for (const m of members) {
+      if (!byType.has(m.col.type)) {
+        byType.set(m.col.type, { name: m.col.type === kept ? name : `${name} (${m.col.type})`, type: m.col.type });
+        columns.push(byType.get(m.col.type));
+      }
+      targets[m.sheetIndex].set(m.col.name, byType.get(m.col.type));
+    }
+    conflicts.push({
+      column: name,
+      keptType: kept,
+      split: [...byType.values()].filter((c) => c.type !== kept).map((c) => ({
+        name: c.name,
+        type: c.type,
+        sheetIds: members.filter((m) => m.col.type === c.type).map((m) => sheets[m.sheetIndex].sheet.id),
+      })),
+    });
+  }
+
+  const taken = new Set(columns.map((c) => key(c.name)));
+  let sourceColumn = SOURCE_SHEET_COLUMN;
+  for (let n = 2; taken.has(key(sourceColumn)); n++) sourceColumn = `${SOURCE_SHEET_COLUMN} (${n})`;
+
+  const labels = sourceLabels(sheets);
+  const rows = [];
+  sheets.forEach(({ sheet, rows: sheetRows }, sheetIndex) => {
+    for (const [rowIndex, row] of sheetRows.entries()) {
+      const next = {};
+      const display = {};
+      const codes = {};
+      for (const col of columns) next[col.name] = null;
+      for (const col of sheet.columns) {
+        const target = targets[sheetIndex].get(col.name);
+        const value = row[col.name] ?? null;
+        next[target.name] = value;
+        if (row._display?.[col.name] !== undefined) display[target.name] = row._display[col.name];
+        // Spell out every amount's currency so the combined column can settle on one
+        const code = row._currency?.[col.name] || (col.type === 'Currency' ? col.currency : null) || currency;
+        if (target.type === 'Currency' && value !== null && code) codes[target.name] = code;
+      }
+      next[sourceColumn] = labels[sheetIndex];
+      if (Object.keys(display).length > 0) next._display = display;
+      if (Object.keys(codes).length > 0) next._currency = codes;
+      next._source = { sheetId: sheet.id, rowIndex };
+      rows.push(next);
+    }
+  });
+
+  const allColumns = [...columns, { name: sourceColumn, type: 'Category' }].map((col) => {
+    const sample = [];
+    for (const row of rows) {
+      if (row[col.name] !== null) sample.push(row[col.name]);
+      if (sample.length === 5) break;
+    }
+    return { ...col, sample };
+  });
+  const settled = settleCurrencies(rows, allColumns);
+
+  return {
+    columns: settled.columns,
+    rows: settled.rows,
+    sources: sheets.map(({ sheet, rows: sheetRows }, i) => ({
+      sheetId: sheet.id,
+      label: labels[i],
+      fileName: sheet.fileName,
+      rowCount: sheetRows.length,
+    })),
+    conflicts,
+  };
+}
+
+module.exports = { combineSheets, SOURCE_SHEET_COLUMN };
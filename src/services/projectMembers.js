@@ -0,0 +1,97 @@
+const { badRequest } = require('./utils');
+
+// Ordered from least to most access — each role can do everything the ones
+// before it can
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+// Roles an owner can hand out; ownership itself isn't transferable yet
+const INVITABLE_ROLES = ['viewer', 'editor'];
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked'];
+const INVITATION_TTL_DAYS = 14;
+
+/**
+ * A user's role on a project, or null for non-members. Projects created
+ * before sharing only have an ownerId and no members map.
+ */
+function roleOf(project, uid) {
+  if (project.ownerId === uid) return 'owner';
+  return project.members?.[uid]?.role || null;
+}
+
+function hasRole(role, minRole) {
+  return PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+}
+
+// Members map entry + memberIds, the shape stored on the project doc
+function memberEntry(user, role) {
+  return {
+    role,
+    email: (user.email || '').toLowerCase(),
+    displayName: user.name || user.displayName || user.email?.split('@')[0] || 'User',
+    addedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Members of a project, owner first. Legacy projects get their owner
+ * synthesized from ownerId/ownerEmail.
+ */
+function listMembers(project) {
+  const members = { ...(project.members || {}) };
+  if (!members[project.ownerId]) {
+    members[project.ownerId] = {
+      role: 'owner',
+      email: project.ownerEmail || '',
+      displayName: project.ownerEmail?.split('@')[0] || 'Owner',
+      addedAt: project.createdAt,
+    };
+  }
+  return Object.entries(members)
+    .map(([uid, member]) => ({ uid, ...member }))
+    .sort((a, b) => PROJECT_ROLES.indexOf(b.role) - PROJECT_ROLES.indexOf(a.role)
+      || String(a.addedAt).localeCompare(String(b.addedAt)));
+}
+
+function validateRole(role) {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw badRequest(`role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Validate + clean an invitation from the API: { email, role = 'viewer' }.
+ */
+function validateInvitation(input = {}) {
+  const email = typeof input.email === 'string' ? input.email.trim().toLowerCase() : '';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw badRequest('A valid email is required');
+  return { email, role: validateRole(input.role ?? 'viewer') };
+}
+
+/**
+ * Why an invitation can't be accepted/declined by this user right now, or
+ * null when it can. Invitations are bound to the invited address, and only
+ * a verified address proves the caller owns it.
+ */
+function invitationProblem(invitation, user, now = new Date()) {
+  if (invitation.status !== 'pending') return { status: 409, message: `Invitation is already ${invitation.status}` };
+  if (new Date(invitation.expiresAt) < now) return { status: 410, message: 'Invitation has expired' };
+  if ((user.email || '').toLowerCase() !== invitation.email) {
+    return { status: 403, message: 'This invitation was sent to a different email address' };
+  }
+  if (!user.email_verified) return { status: 403, message: 'Verify your email address before accepting invitations' };
+  return null;
+}
+
+module.exports = {
+  roleOf,
+  hasRole,
+  memberEntry,
+  listMembers,
+  validateRole,
+  validateInvitation,
+  invitationProblem,
+  PROJECT_ROLES,
+  INVITABLE_ROLES,
+  INVITATION_STATUSES,
+  INVITATION_TTL_DAYS,
+};
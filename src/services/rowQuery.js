@@ -0,0 +1,261 @@
+const { toNumber, toDate } = require('./valueParser');
+const { NUMERIC_TYPES } = require('./aggregator');
+const { badRequest } = require('./utils');
+
+const FILTER_OPS = ['equals', 'notEquals', 'contains', 'in', 'range', 'between', 'isEmpty', 'notEmpty'];
+const MAX_LIMIT = 5000;
+
+function isBlank(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Build a query object from GET query-string params:
+ *   ?filters=[{"column":"Amount","op":"range","min":100}]
+ *   &sort=Date:desc,Amount   &columns=Date,Amount
+ *   &limit=100 &offset=200 | &cursor=<nextCursor>
+ * Returns null when none of them are present (plain "give me everything").
+ */
+function queryFromParams(params = {}) {
+  const keys = ['filters', 'sort', 'columns', 'limit', 'offset', 'cursor'];
+  if (!keys.some((k) => params[k] !== undefined)) return null;
+
+  let filters = [];
+  if (params.filters) {
+    try {
+      filters = JSON.parse(params.filters);
+    } catch (e) {
+      throw badRequest('filters must be a JSON array');
+    }
+  }
+
+  const sort = params.sort
+    ? String(params.sort).split(',').filter(Boolean).map((part) => {
+      const [column, direction = 'asc'] = part.split(':');
+      return { column, direction };
+    })
+    : [];
+
+  return {
+    filters,
+    sort,
+    columns: params.columns ? String(params.columns).split(',').filter(Boolean) : null,
+    limit: params.limit !== undefined ? Number(params.limit) : undefined,
+    offset: params.offset !== undefined ? Number(params.offset) : undefined,
+    cursor: params.cursor,
+  };
+}
+
+/**
+ * Filter, sort, project and paginate stored rows.
+ *
+ * query: {
+ *   filters: [{ column, op, value | values | min/max | from/to }],
+ *   sort:    [{ column, direction: 'asc' | 'desc' }],
+ *   columns: [names] — projection,
+ *   limit, offset | cursor
+ * }
+ *
+ * Comparisons follow the column type: Currency/Number/Percentage compare
+ * numerically, Date compares by day, everything else as case-insensitive
+ * text. Every returned row carries _rowIndex (its position in the stored
+ * sheet) so edits from a filtered view can target it with PATCH.
+ *
+ * Returns { totalCount, filteredCount, offset, limit, nextCursor, columns, rows }.
+ */
+function queryRows(rows, columns, query = {}, { dateFormat } = {}) {
+  const byName = new Map(columns.map((c) => [c.name, c]));
+  const requireColumn = (name, where) => {
+    if (!byName.has(name)) throw badRequest(`${where}: column "${name}" does not exist in this sheet`);
+    return byName.get(name);
+  };
+
+  const filters = query.filters ?? [];
+  if (!Array.isArray(filters)) throw badRequest('filters must be an array');
+  const tests = filters.map((f, i) => compileFilter(f, requireColumn(f?.column, `filters[${i}]`), i, dateFormat));
+
+  const sort = query.sort ?? [];
+  if (!Array.isArray(sort)) throw badRequest('sort must be an array');
+  const sorters = sort.map((s, i) => {
+    const col = requireColumn(s?.column, `sort[${i}]`);
+    const direction = s.direction === 'desc' ? -1 : 1;
+    if (s.direction && !['asc', 'desc'].includes(s.direction)) {
+      throw badRequest(`sort[${i}]: direction must be asc or desc`);
+    }
+    const key = sortKey(col.type, dateFormat);
+    return { name: col.name, direction, key };
+  });
+
+  const projection = query.columns ?? null;
+  if (projection !== null) {
+    if (!Array.isArray(projection) || projection.length === 0) throw badRequest('columns must be a non-empty array');
+    projection.forEach((name) => requireColumn(name, 'columns'));
+  }
+
+  const offset = query.cursor !== undefined ? decodeCursor(query.cursor) : (query.offset ?? 0);
+  if (!Number.isInteger(offset) || offset < 0) throw badRequest('offset must be a non-negative integer');
+  const limit = query.limit;
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT)) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_LIMIT}`);
+  }
+
+  let matched = [];
+  rows.forEach((row, index) => {
+    if (tests.every((test) => test(row))) matched.push({ row, index });
+  });
+
+  if (sorters.length > 0) {
+    // Precompute sort keys once per row — comparing parsed dates is the slow part
+    const keyed = matched.map((m) => ({ ...m, keys: sorters.map((s) => s.key(m.row[s.name])) }));
+    keyed.sort((a, b) => {
+      for (let i = 0; i < sorters.length; i++) {
+        const cmp = compareKeys(a.keys[i], b.keys[i], sorters[i].direction);
+        if (cmp !== 0) return cmp;
+      }
+      return a.index - b.index;
+    });
+    matched = keyed;
+  }
+
+  const page = limit === undefined ? matched.slice(offset) : matched.slice(offset, offset + limit);
+  const nextOffset = offset + page.length;
+
+  const pageRows = page.map(({ row, index }) => {
+    let out;
+    if (projection) {
+      out = {};
+      for (const name of projection) out[name] = row[name] ?? null;
+      for (const key of ['_display', '_currency']) {
+        if (!row[key]) continue;
+        const meta = {};
+        for (const name of projection) if (row[key][name] !== undefined) meta[name] = row[key][name];
+        if (Object.keys(meta).length > 0) out[key] = meta;
+      }
+      // Project dataset rows point back at the sheet row they came from
+      if (row._source) out._source = row._source;
+    } else {
+      out = { ...row };
+    }
+    out._rowIndex = index;
+    return out;
+  });
+
+  return {
+    totalCount: rows.length,
+    filteredCount: matched.length,
+    offset,
+    limit: limit ?? null,
+    nextCursor: limit !== undefined && nextOffset < matched.length ? encodeCursor(nextOffset) : null,
+    columns: projection ? projection.map((name) => byName.get(name)) : columns,
+    rows: pageRows,
+  };
+}
+
+function compileFilter(filter, col, i, dateFormat) {
+  const where = `filters[${i}]`;
+  if (!FILTER_OPS.includes(filter.op)) {
+    throw badRequest(`${where}: op must be one of ${FILTER_OPS.join(', ')}`);
+  }
+
+  const name = col.name;
+  const isNumeric = NUMERIC_TYPES.includes(col.type);
+  const isDate = col.type === 'Date';
+  const day = (v) => {
+    const d = toDate(v, dateFormat);
+    return d ? d.toISOString().slice(0, 10) : null;
+  };
+  // Normalize a value the way this column compares — null if it can't be read
+  const norm = (v) => {
+    if (isBlank(v)) return null;
+    if (isNumeric) return toNumber(v);
+    if (isDate) return day(v);
+    return String(v).trim().toLowerCase();
+  };
+  const required = (v, field) => {
+    const n = norm(v);
+    if (n === null) throw badRequest(`${where}: ${field} is not a valid ${col.type} value`);
+    return n;
+  };
+
+  switch (filter.op) {
+    case 'isEmpty':
+      return (row) => isBlank(row[name]);
+    case 'notEmpty':
+      return (row) => !isBlank(row[name]);
+    case 'equals': {
+      const wanted = required(filter.value, 'value');
+      return (row) => norm(row[name]) === wanted;
+    }
+    case 'notEquals': {
+      const wanted = required(filter.value, 'value');
+      return (row) => norm(row[name]) !== wanted;
+    }
+    case 'in': {
+      if (!Array.isArray(filter.values) || filter.values.length === 0) {
+        throw badRequest(`${where}: values must be a non-empty array`);
+      }
+      const wanted = new Set(filter.values.map((v) => required(v, 'values')));
+      return (row) => wanted.has(norm(row[name]));
+    }
+    case 'contains': {
+      if (isBlank(filter.value)) throw badRequest(`${where}: value is required`);
+      const needle = String(filter.value).trim().toLowerCase();
+      // Match against what the user sees too — "$1,8" should find $1,800.00
+      return (row) => [row[name], row._display?.[name]]
+        .some((v) => !isBlank(v) && String(v).toLowerCase().includes(needle));
+    }
+    case 'range':
+    case 'between': {
+      const low = filter.min ?? filter.from;
+      const high = filter.max ?? filter.to;
+      if (isBlank(low) && isBlank(high)) throw badRequest(`${where}: min/from or max/to is required`);
+      const lo = isBlank(low) ? null : required(low, 'min');
+      const hi = isBlank(high) ? null : required(high, 'max');
+      // ISO days and lower-cased text both compare correctly as strings
+      return (row) => {
+        const v = norm(row[name]);
+        if (v === null) return false;
+        return (lo === null || v >= lo) && (hi === null || v <= hi);
+      };
+    }
+    default:
+      return () => true;
+  }
+}
+
+function sortKey(type, dateFormat) {
+  if (NUMERIC_TYPES.includes(type)) return (v) => (isBlank(v) ? null : toNumber(v));
+  if (type === 'Date') {
+    return (v) => {
+      const d = isBlank(v) ? null : toDate(v, dateFormat);
+      return d ? d.getTime() : null;
+    };
+  }
+  return (v) => (isBlank(v) ? null : String(v).toLowerCase());
+}
+
+// Blanks sort last whichever the direction
+function compareKeys(a, b, direction) {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  if (a < b) return -direction;
+  if (a > b) return direction;
+  return 0;
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (Number.isInteger(o) && o >= 0) return o;
+  } catch (e) {
+    // fall through
+  }
+  throw badRequest('cursor is invalid');
+}
+
+module.exports = { queryRows, queryFromParams, FILTER_OPS };
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { badRequest } = require('./utils');
+
+const scrypt = promisify(crypto.scrypt);
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MIN_PASSWORD_LENGTH = 6;
+// Wrong passwords in a row before the link locks, and for how long
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCK_MINUTES = 15;
+
+/**
+ * Validate + clean a share link request from the API:
+ *   { sheetId?, expiresInDays = 7, password?, label? }
+ * Without sheetId the link covers the whole project and its dashboard.
+ */
+function validateShareLink(input = {}) {
+  const link = {};
+
+  link.sheetId = typeof input.sheetId === 'string' && input.sheetId.trim() ? input.sheetId.trim() : null;
+
+  const days = input.expiresInDays ?? DEFAULT_EXPIRY_DAYS;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw badRequest(`expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+  link.expiresInDays = days;
+
+  if (input.password !== undefined && input.password !== null && input.password !== '') {
+    if (typeof input.password !== 'string' || input.password.length < MIN_PASSWORD_LENGTH) {
+      throw badRequest(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    link.password = input.password;
+  } else {
+    link.password = null;
+  }
+
+  link.label = typeof input.label === 'string' ? input.label.trim().slice(0, 100) : '';
+  return link;
+}
+
+// The token is only ever shown once; the database keeps its hash
+function createToken() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// "salt:hash", both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) return false;
+  const [saltHex, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Why a link can't be used right now, or null when it can:
+ * { status, outcome, message }. `outcome` is what the access log records.
+ */
+function linkProblem(link, now = new Date()) {
+  if (link.revokedAt) return { status: 410, outcome: 'revoked', message: 'This share link has been revoked' };
+  if (new Date(link.expiresAt) < now) return { status: 410, outcome: 'expired', message: 'This share link has expired' };
+  if (link.lockedUntil && new Date(link.lockedUntil) > now) {
+    return { status: 429, outcome: 'locked', message: 'Too many wrong passwords — try again later' };
+  }
+  return null;
+}
+
+// Counter updates after a password check
+function passwordAttempt(link, ok, now = new Date()) {
+  if (ok) return link.failedAttempts ? { failedAttempts: 0, lockedUntil: null } : {};
+  const failedAttempts = (link.failedAttempts || 0) + 1;
+  if (failedAttempts < MAX_FAILED_ATTEMPTS) return { failedAttempts };
+  return { failedAttempts: 0, lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60000).toISOString() };
+}
+
+// The link as its creator sees it — never the token or password hash
+function describeLink(link) {
+  const { tokenHash, passwordHash, failedAttempts, ...rest } = link;
+  let status = 'active';
+  if (link.revokedAt) status = 'revoked';
+  else if (new Date(link.expiresAt) < new Date()) status = 'expired';
+  return { ...rest, passwordProtected: Boolean(passwordHash), status };
+}
+
+// Sheet metadata safe to hand to an anonymous viewer
+function publicSheet(sheet) {
+  return {
+    id: sheet.id,
+    fileName: sheet.fileName,
+    rowCount: sheet.rowCount,
+    columns: sheet.columns,
+    uploadedAt: sheet.uploadedAt,
+    updatedAt: sheet.updatedAt || null,
+  };
+}
+
+module.exports = {
+  validateShareLink,
+  createToken,
+  hashToken,
+  hashPassword,
+  verifyPassword,
+  linkProblem,
+  passwordAttempt,
+  describeLink,
+  publicSheet,
+  MAX_EXPIRY_DAYS,
+};
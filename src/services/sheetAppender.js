@@ -0,0 +1,134 @@
+const { normalizeRows } = require('./sheetParser');
+const { badRequest } = require('./utils');
+
+/**
+ * Line an upload's columns up with an existing sheet's. Explicit `mapping`
+ * entries ({ [incomingName]: existingName }, or null to drop the column)
+ * are applied first; the rest match by name, exactly and then ignoring case
+ * and surrounding spaces.
+ *
+ * Returns { pairs: [{ from, to }], newColumns, missingColumns, typeMismatches, ignored }
+ * — `pairs` holds the column objects, the rest are for reporting.
+ */
+function matchColumns(incoming, existing, mapping = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    throw badRequest('columnMapping must be an object of { incomingColumn: existingColumn }');
+  }
+  const incomingNames = new Set(incoming.map((c) => c.name));
+  const existingByName = new Map(existing.map((c) => [c.name, c]));
+  const taken = new Set();
+
+  for (const [from, to] of Object.entries(mapping)) {
+    if (!incomingNames.has(from)) throw badRequest(`columnMapping: the upload has no column "${from}"`);
+    if (to === null || to === '') continue;
+    if (!existingByName.has(to)) throw badRequest(`columnMapping: the sheet has no column "${to}"`);
+    if (taken.has(to)) throw badRequest(`columnMapping: more than one column is mapped to "${to}"`);
+    taken.add(to);
+  }
+
+  const key = (name) => name.trim().toLowerCase();
+  const pairs = [];
+  const newColumns = [];
+  const ignored = [];
+  for (const col of incoming) {
+    let target = null;
+    if (col.name in mapping) {
+      if (mapping[col.name] === null || mapping[col.name] === '') {
+        ignored.push(col.name);
+        continue;
+      }
+      target = existingByName.get(mapping[col.name]);
+    } else {
+      target = [existingByName.get(col.name), ...existing.filter((c) => key(c.name) === key(col.name))]
+        .find((c) => c && !taken.has(c.name)) || null;
+      if (target) taken.add(target.name);
+    }
+
+    if (target) pairs.push({ from: col, to: target });
+    else newColumns.push(col);
+  }
+
+  return {
+    pairs,
+    newColumns: newColumns.map((c) => ({ name: c.name, type: c.type })),
+    missingColumns: existing.filter((c) => !taken.has(c.name)).map((c) => c.name),
+    typeMismatches: pairs
+      .filter(({ from, to }) => from.type !== to.type)
+      .map(({ from, to }) => ({ column: to.name, incoming: from.name, incomingType: from.type, sheetType: to.type })),
+    ignored,
+  };
+}
+
+/**
+ * Prepare an upload's rows for appending to a sheet. Incoming columns are
+ * matched (see matchColumns) and renamed to the sheet's names, then values
+ * are re-normalized to the sheet's column types — a mismatch coerces where
+ * it can and reports the rest as warnings. Unmatched columns are added to
+ * the sheet unless addNewColumns is false.
+ *
+ * Returns { columns, rows, warnings, report }: the sheet's columns after the
+ * append and the new rows only (combine them with combineRows).
+ */
+function prepareAppend(sheet, upload, { mapping = {}, addNewColumns = true, dateFormat } = {}) {
+  const match = matchColumns(upload.columns, sheet.columns, mapping);
+  const added = addNewColumns
+    ? upload.columns.filter((c) => match.newColumns.some((n) => n.name === c.name))
+    : [];
+  const columns = [...sheet.columns, ...added];
+
+  const targets = [...match.pairs, ...added.map((col) => ({ from: col, to: col }))];
+
+  const mapped = upload.rows.map((row) => {
+    const next = {};
+    const display = {};
+    const currency = {};
+    for (const { from, to } of targets) {
+      next[to.name] = row[from.name] ?? null;
+      if (row._display?.[from.name] !== undefined) display[to.name] = row._display[from.name];
+      // Cells lose their own currency entry when it's their column's — spell
+      // it out again against the sheet's column currency
+      const code = row._currency?.[from.name] || from.currency;
+      if (from.type === 'Currency' && code && code !== to.currency && next[to.name] !== null) {
+        currency[to.name] = code;
+      }
+    }
+    if (Object.keys(display).length > 0) next._display = display;
+    if (Object.keys(currency).length > 0) next._currency = currency;
+    return next;
+  });
+
+  const normalized = normalizeRows(mapped, columns, { dateFormat });
+
+  return {
+    columns,
+    rows: normalized.rows,
+    warnings: normalized.warnings,
+    report: appendReport(match, addNewColumns),
+  };
+}
+
+// What matchColumns found, as reported to the client
+function appendReport(match, addNewColumns = true) {
+  return {
+    matched: match.pairs.map(({ from, to }) => ({ from: from.name, to: to.name })),
+    newColumns: match.newColumns,
+    newColumnsAdded: addNewColumns,
+    missingColumns: match.missingColumns,
+    typeMismatches: match.typeMismatches,
+    ignored: match.ignored,
+  };
+}
+
+// Existing rows then appended ones, every row carrying every column
+function combineRows(existingRows, newRows, columns) {
+  const pad = (row) => {
+    const missing = columns.filter((c) => !(c.name in row));
+    if (missing.length === 0) return row;
+    const next = { ...row };
+    for (const col of missing) next[col.name] = null;
+    return next;
+  };
+  return [...existingRows.map(pad), ...newRows.map(pad)];
+}
+
+module.exports = { matchColumns, appendReport, prepareAppend, combineRows };
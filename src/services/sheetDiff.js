@@ -0,0 +1,63 @@
+/**
+ * Compare two states of a sheet ({ rows, columns }).
+ *
+ * Rows have no stable ids, so they're aligned by position: rows past the
+ * end of the shorter side count as added/removed, rows at the same index
+ * with any differing cell count as changed. Row metadata (_display etc.)
+ * is ignored.
+ *
+ * options.maxChanges caps the cell-level change list (0 = summary only).
+ * Returns { summary, changes }.
+ */
+function diffSheets(before, after, { maxChanges = 0 } = {}) {
+  const beforeCols = new Map(before.columns.map((c) => [c.name, c]));
+  const afterCols = new Map(after.columns.map((c) => [c.name, c]));
+
+  const columnsAdded = after.columns.filter((c) => !beforeCols.has(c.name)).map((c) => c.name);
+  const columnsRemoved = before.columns.filter((c) => !afterCols.has(c.name)).map((c) => c.name);
+  const columnsRetyped = after.columns
+    .filter((c) => beforeCols.has(c.name) && beforeCols.get(c.name).type !== c.type)
+    .map((c) => ({ name: c.name, from: beforeCols.get(c.name).type, to: c.type }));
+  const formulasChanged = after.columns
+    .filter((c) => beforeCols.has(c.name) && (beforeCols.get(c.name).formula ?? null) !== (c.formula ?? null))
+    .map((c) => ({ name: c.name, from: beforeCols.get(c.name).formula ?? null, to: c.formula ?? null }));
+
+  // Only shared columns can have "changed" cells
+  const shared = after.columns.filter((c) => beforeCols.has(c.name)).map((c) => c.name);
+  const common = Math.min(before.rows.length, after.rows.length);
+
+  let rowsChanged = 0;
+  let cellsChanged = 0;
+  const changes = [];
+
+  for (let i = 0; i < common; i++) {
+    let rowDiffers = false;
+    for (const name of shared) {
+      const a = before.rows[i][name] ?? null;
+      const b = after.rows[i][name] ?? null;
+      if (a === b) continue;
+      rowDiffers = true;
+      cellsChanged++;
+      if (changes.length < maxChanges) changes.push({ rowIndex: i, column: name, before: a, after: b });
+    }
+    if (rowDiffers) rowsChanged++;
+  }
+
+  return {
+    summary: {
+      rowsBefore: before.rows.length,
+      rowsAfter: after.rows.length,
+      rowsAdded: Math.max(0, after.rows.length - before.rows.length),
+      rowsRemoved: Math.max(0, before.rows.length - after.rows.length),
+      rowsChanged,
+      cellsChanged,
+      columnsAdded,
+      columnsRemoved,
+      columnsRetyped,
+      formulasChanged,
+    },
+    changes,
+  };
+}
+
+module.exports = { diffSheets };
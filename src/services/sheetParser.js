@@ -1,25 +1,212 @@
 const XLSX = require('xlsx');
+const { toNumber, toDate, detectCurrency } = require('./valueParser');
+const { parseStatement, isStatementFile } = require('./statementParser');
+const { badRequest } = require('./utils');
 
-function parseFile(buffer, fileName, selectedSheet = null) {
+/**
+ * options:
+ *   dateFormat  — the user's "DD/MM/YYYY" / "MM/DD/YYYY" preference, used to
+ *                 read ambiguous text dates
+ *   columnTypes — { [columnName]: type } overrides applied before values are
+ *                 normalized, so an override changes how a column is stored
+ *   headerRowIndex — force the header row (0-based) instead of detecting it
+ *   columnCurrencies — { [columnName]: 'EUR' } sets a Currency column's
+ *                 currency instead of detecting it (bare numbers, or "¥"
+ *                 meaning yuan rather than yen)
+ */
+function parseFile(buffer, fileName, selectedSheet = null, options = {}) {
+  // OFX/QFX/QIF bank statements aren't spreadsheets — same output shape though
+  if (isStatementFile(fileName)) return parseStatement(buffer, fileName, selectedSheet, options);
+
+  const workbook = readWorkbook(buffer, fileName);
+  const sheetNames = workbook.SheetNames;
+  const targetSheet = selectedSheet && sheetNames.includes(selectedSheet)
+    ? selectedSheet
+    : sheetNames[0];
+
+  return { sheetNames, ...parseWorksheet(workbook, targetSheet, options) };
+}
+
+// Name of the column recording which tab a merged row came from
+const SOURCE_TAB_COLUMN = 'Source Tab';
+
+/**
+ * Parse several tabs of one workbook (accounts, for OFX/QIF) in a single
+ * pass. `sheets` is 'all' or a list of tab names. Each tab gets its own
+ * header detection and type inference.
+ *
+ * With options.mergeTabs, tabs whose headers match (same names, same order,
+ * ignoring case) are combined into one sheet with a "Source Tab" column.
+ * Where the tabs inferred different types for a column, the tabs are
+ * re-read with one agreed type so the merged column is consistent.
+ *
+ * Tabs that can't be parsed (empty ones, usually) are reported in `skipped`
+ * rather than failing the whole file. Returns
+ * { sheetNames, sheets: [{ selectedSheet, sourceTabs, columns, rows, ... }], skipped }.
+ */
+function parseWorkbook(buffer, fileName, sheets = 'all', options = {}) {
+  const statement = isStatementFile(fileName);
+  const workbook = statement ? null : readWorkbook(buffer, fileName);
+  const sheetNames = statement ? parseStatement(buffer, fileName, null, options).sheetNames : workbook.SheetNames;
+
+  let wanted = sheetNames;
+  if (sheets !== 'all') {
+    if (!Array.isArray(sheets) || sheets.length === 0 || sheets.some((name) => typeof name !== 'string')) {
+      throw badRequest('sheets must be "all" or a non-empty list of sheet names');
+    }
+    const unknown = sheets.filter((name) => !sheetNames.includes(name));
+    if (unknown.length > 0) {
+      throw badRequest(`Sheet(s) not found in the file: ${unknown.join(', ')}. It has: ${sheetNames.join(', ')}`);
+    }
+    wanted = [...new Set(sheets)];
+  }
+
+  const parseTab = (name, tabOptions) => (statement
+    ? parseStatement(buffer, fileName, name, tabOptions)
+    : parseWorksheet(workbook, name, tabOptions));
+
+  const parsed = [];
+  const skipped = [];
+  for (const name of wanted) {
+    try {
+      const { sheetNames: _all, ...result } = parseTab(name, options);
+      parsed.push(result);
+    } catch (err) {
+      skipped.push({ sheet: name, reason: err.message });
+    }
+  }
+  if (parsed.length === 0) {
+    const err = new Error(`None of the sheets could be read: ${skipped.map((s) => `${s.sheet} (${s.reason})`).join('; ')}`);
+    err.status = 422;
+    throw err;
+  }
+
+  if (!options.mergeTabs) {
+    return { sheetNames, sheets: parsed.map((p) => ({ ...p, sourceTabs: [p.selectedSheet] })), skipped };
+  }
+
+  const groups = new Map();
+  for (const result of parsed) {
+    const key = result.columns.map((c) => c.name.toLowerCase()).join('\u0000');
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(result);
+  }
+
+  const merged = [...groups.values()].map((group) => {
+    if (group.length === 1) return { ...group[0], sourceTabs: [group[0].selectedSheet] };
+
+    // Same header, different inferred types → re-read with the agreed ones
+    const agreed = {};
+    group[0].columns.forEach((col, i) => {
+      agreed[col.name] = options.columnTypes?.[col.name] || commonType(group.map((g) => ({
+        type: g.columns[i].type,
+        weight: g.rowCount,
+      })));
+    });
+    const tabs = group.map((g) => {
+      const types = renameKeys(agreed, g.columns, group[0].columns);
+      if (g.columns.every((c) => c.type === types[c.name])) return g;
+      return parseTab(g.selectedSheet, { ...options, columnTypes: { ...options.columnTypes, ...types } });
+    });
+
+    return mergeTabs(tabs, options.columnCurrencies);
+  });
+
+  return { sheetNames, sheets: merged, skipped };
+}
+
+// Headers match ignoring case — map the first tab's names onto this tab's
+function renameKeys(types, columns, firstColumns) {
+  const out = {};
+  firstColumns.forEach((col, i) => { out[columns[i].name] = types[col.name]; });
+  return out;
+}
+
+/**
+ * One type for a column the merged tabs disagree on: the unified type when
+ * there is one (see unifyColumnTypes), otherwise the type covering the most
+ * rows wins.
+ */
+function commonType(votes) {
+  const unified = unifyColumnTypes(votes.map((v) => v.type));
+  if (unified) return unified;
+
+  const weights = new Map();
+  for (const { type, weight } of votes) weights.set(type, (weights.get(type) || 0) + weight);
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// Tabs with matching headers and types → one sheet, rows in tab order
+function mergeTabs(tabs, columnCurrencies = {}) {
+  const first = tabs[0];
+  const names = new Set(first.columns.map((c) => c.name));
+  let sourceColumn = SOURCE_TAB_COLUMN;
+  for (let n = 2; names.has(sourceColumn); n++) sourceColumn = `${SOURCE_TAB_COLUMN} (${n})`;
+
+  const rows = [];
+  const warnings = [];
+  for (const tab of tabs) {
+    // Each tab settled its own column currencies — spell every cell's out
+    // again so the merged columns can settle on one
+    for (const row of tab.rows) {
+      const next = {};
+      const currency = {};
+      tab.columns.forEach((col, i) => {
+        const name = first.columns[i].name;
+        next[name] = row[col.name];
+        if (row._display?.[col.name] !== undefined) (next._display ||= {})[name] = row._display[col.name];
+        const code = row._currency?.[col.name] || col.currency;
+        if (col.type === 'Currency' && code && row[col.name] !== null) currency[name] = code;
+      });
+      next[sourceColumn] = tab.selectedSheet;
+      if (Object.keys(currency).length > 0) next._currency = currency;
+      rows.push(next);
+    }
+    warnings.push(...tab.warnings.map((w) => ({ ...w, sheet: tab.selectedSheet, message: `${tab.selectedSheet}: ${w.message}` })));
+  }
+
+  const columns = [
+    ...first.columns.map(({ currency, ...col }) => col),
+    { name: sourceColumn, type: 'Category', sample: tabs.map((t) => t.selectedSheet).slice(0, 5) },
+  ];
+  const settled = settleCurrencies(rows, columns, columnCurrencies);
+
+  return {
+    selectedSheet: null,
+    sourceTabs: tabs.map((t) => t.selectedSheet),
+    headerRowIndex: first.headerRowIndex,
+    rowCount: settled.rows.length,
+    columns: settled.columns,
+    preview: settled.rows.slice(0, 10),
+    rows: settled.rows,
+    warnings,
+  };
+}
+
+function readWorkbook(buffer, fileName) {
   // cellFormula: false — don't return formula strings
   // cellNF: false — don't return number format
   // cellDates: true — parse dates properly
-  // raw: false — use formatted display values
-  const workbook = XLSX.read(buffer, {
-    type: 'buffer',
+  // raw: true — leave CSV text alone; SheetJS would otherwise read 03/04/2024
+  //             as a US date regardless of the user's dateFormat
+  // CSVs are decoded as UTF-8 first — given a buffer SheetJS reads them as
+  // Latin-1, which garbles €, £ and ₹ before currencies can be detected
+  const isCsv = /\.csv$/i.test(fileName);
+  const workbook = XLSX.read(isCsv ? buffer.toString('utf8').replace(/^\uFEFF/, '') : buffer, {
+    type: isCsv ? 'string' : 'buffer',
     cellDates: true,
     cellFormula: false,  // read cached values, not formula strings
     cellNF: false,
-    raw: false,
+    raw: true,
   });
 
-  const sheetNames = workbook.SheetNames;
-  if (sheetNames.length === 0) throw new Error('The file contains no sheets');
-
-  const targetSheet = selectedSheet && sheetNames.includes(selectedSheet)
-    ? selectedSheet
-    : sheetNames[0];
+  if (workbook.SheetNames.length === 0) throw new Error('The file contains no sheets');
+  return workbook;
+}
 
+// One tab of a workbook → { selectedSheet, headerRowIndex, rowCount, columns, preview, rows, warnings }
+function parseWorksheet(workbook, targetSheet, options = {}) {
+  const { dateFormat = 'DD/MM/YYYY', columnTypes = {}, columnCurrencies = {} } = options;
   const worksheet = workbook.Sheets[targetSheet];
 
   // sheet_to_json with header:1 gives array-of-arrays
@@ -29,21 +216,36 @@ function parseFile(buffer, fileName, selectedSheet = null) {
     raw: false,   // use formatted display strings so $1,800.00 comes through
   });
 
+  // Same grid with the underlying cell values — Date objects and plain
+  // numbers for Excel files. Row/column indices line up with rawRows.
+  const valueRows = XLSX.utils.sheet_to_json(worksheet, {
+    header: 1,
+    defval: null,
+    raw: true,
+  });
+
   if (rawRows.length === 0) throw new Error('The selected sheet is empty');
 
   // ── Find the real header row ───────────────────────────────────────────────
   // Title rows (e.g. "🏠 Household Budget — 2024") typically have only 1
   // filled cell. The real header row has the MOST filled cells in the first
-  // 10 rows. Pick that one.
+  // 10 rows. Pick that one — unless the caller already knows (import templates).
   let headerRowIndex = 0;
   let maxNonEmpty = 0;
 
-  const scanLimit = Math.min(10, rawRows.length);
-  for (let i = 0; i < scanLimit; i++) {
-    const nonEmpty = rawRows[i].filter(cell => cell !== null && String(cell).trim() !== '').length;
-    if (nonEmpty > maxNonEmpty) {
-      maxNonEmpty = nonEmpty;
-      headerRowIndex = i;
+  if (Number.isInteger(options.headerRowIndex)) {
+    if (options.headerRowIndex < 0 || options.headerRowIndex >= rawRows.length) {
+      throw new Error(`Header row ${options.headerRowIndex} is outside the sheet (${rawRows.length} rows)`);
+    }
+    headerRowIndex = options.headerRowIndex;
+  } else {
+    const scanLimit = Math.min(10, rawRows.length);
+    for (let i = 0; i < scanLimit; i++) {
+      const nonEmpty = rawRows[i].filter(cell => cell !== null && String(cell).trim() !== '').length;
+      if (nonEmpty > maxNonEmpty) {
+        maxNonEmpty = nonEmpty;
+        headerRowIndex = i;
+      }
     }
   }
 
@@ -58,7 +260,15 @@ function parseFile(buffer, fileName, selectedSheet = null) {
   // 1. Completely empty rows
   // 2. Section header rows — rows where ONLY the first cell has a value
   //    and it looks like a label (e.g. "▸ INCOME", "TOTAL", "--- Section ---")
-  const dataRows = rawRows.slice(headerRowIndex + 1).filter(row => {
+  const dataRows = [];
+  const dataValueRows = [];
+  rawRows.slice(headerRowIndex + 1).forEach((row, i) => {
+    if (!isDataRow(row)) return;
+    dataRows.push(row);
+    dataValueRows.push(valueRows[headerRowIndex + 1 + i] || []);
+  });
+
+  function isDataRow(row) {
     const nonEmpty = row.filter(cell => cell !== null && String(cell).trim() !== '');
 
     // Skip fully empty rows
@@ -72,7 +282,7 @@ function parseFile(buffer, fileName, selectedSheet = null) {
     }
 
     return true;
-  });
+  }
 
   // Find which column indices actually have data
   const activeColIndices = headers.map((_, i) => i).filter(i => {
@@ -89,30 +299,255 @@ function parseFile(buffer, fileName, selectedSheet = null) {
     const values = dataRows
       .map(row => row[colIndex])
       .filter(v => v !== null && String(v).trim() !== '');
-    const type = inferColumnType(values);
+    const type = columnTypes[name] || inferColumnType(values);
     return { name, type, sample: values.slice(0, 5) };
   });
 
-  // Build clean row objects — only active columns
-  const rows = dataRows.map(row => {
+  // Build clean row objects — only active columns, values normalized to
+  // their column type with the display string kept in row._display
+  const issues = new WarningCollector();
+  const parsedRows = dataRows.map((row, rowIndex) => {
     const obj = {};
+    const display = {};
+    const currency = {};
     activeColIndices.forEach((colIndex, idx) => {
-      const val = row[colIndex];
-      obj[finalHeaders[idx]] = (val !== null && String(val).trim() !== '') ? val : null;
+      const col = columns[idx];
+      const shown = row[colIndex];
+      if (shown === null || String(shown).trim() === '') {
+        obj[col.name] = null;
+        return;
+      }
+      const { value, ok } = normalizeValue(shown, dataValueRows[rowIndex][colIndex], col.type, dateFormat);
+      if (!ok) issues.add(col, rowIndex, shown);
+      obj[col.name] = value;
+      // Uncoercible cells keep their text here so nothing is lost
+      if (String(value) !== String(shown)) display[col.name] = shown;
+      const code = col.type === 'Currency' ? detectCurrency(String(shown)) : null;
+      if (code) currency[col.name] = code;
     });
+    if (Object.keys(display).length > 0) obj._display = display;
+    if (Object.keys(currency).length > 0) obj._currency = currency;
     return obj;
   });
+  const { rows, columns: settledColumns } = settleCurrencies(parsedRows, columns, columnCurrencies);
 
   return {
-    sheetNames,
     selectedSheet: targetSheet,
+    headerRowIndex,
     rowCount: rows.length,
-    columns,
+    columns: settledColumns,
     preview: rows.slice(0, 10),
     rows,
+    warnings: issues.list(),
   };
 }
 
+// ─── Value normalization ──────────────────────────────────────────────────────
+
+/**
+ * Coerce one cell to its column type.
+ *   Currency / Number / Percentage → number ("12.5%" → 12.5)
+ *   Date                           → ISO 8601 ("2024-01-15")
+ *   anything else                  → left as the display string
+ * `raw` is the underlying cell value when the workbook has one (Excel dates
+ * and numbers) — it's preferred over re-parsing the display string.
+ * Returns { value, ok } — ok is false when the cell couldn't be coerced, in
+ * which case value is null.
+ */
+function normalizeValue(shown, raw, type, dateFormat) {
+  switch (type) {
+    case 'Currency':
+    case 'Number': {
+      const num = typeof raw === 'number' ? raw : toNumber(shown);
+      return num === null ? { value: null, ok: false } : { value: num, ok: true };
+    }
+    case 'Percentage': {
+      // Excel stores 12.5% as 0.125 in a %-formatted cell. The raw value
+      // keeps the precision the display rounds away ("12%" for 0.1234);
+      // toPrecision drops the float noise of the * 100.
+      let num;
+      if (typeof raw === 'number') num = String(shown).includes('%') ? Number((raw * 100).toPrecision(15)) : raw;
+      else num = toNumber(shown);
+      return num === null ? { value: null, ok: false } : { value: num, ok: true };
+    }
+    case 'Date': {
+      const date = raw instanceof Date ? wallClockToUtc(raw) : toDate(shown, dateFormat);
+      return date ? { value: toIsoDate(date), ok: true } : { value: null, ok: false };
+    }
+    default:
+      return { value: shown, ok: true };
+  }
+}
+
+// Whether a stored display string still shows `value`. Numbers may be shown
+// rounded — "12%" still shows 12.34 — so they're compared at the display's
+// precision.
+function displayMatches(shown, value, type, dateFormat) {
+  const previous = normalizeValue(shown, shown, type, dateFormat).value;
+  if (previous === value) return true;
+  if (typeof previous !== 'number' || typeof value !== 'number') return false;
+  const decimals = (String(shown).match(/\.(\d+)/) || [null, ''])[1].length;
+  return Number(value.toFixed(decimals)) === previous;
+}
+
+/**
+ * Re-normalize rows that came back from the editor. Idempotent for values
+ * that are already typed; _display strings are kept while they still match.
+ * Returns { rows, warnings }.
+ */
+function normalizeRows(rows, columns, options = {}) {
+  const { dateFormat = 'DD/MM/YYYY' } = options;
+  const issues = new WarningCollector();
+
+  const normalized = rows.map((row, rowIndex) => {
+    const obj = { ...row };
+    delete obj._rowIndex; // query results carry it — it's not part of the data
+    const display = { ...(row._display || {}) };
+    const currency = { ...(row._currency || {}) };
+    for (const col of columns) {
+      const shown = row[col.name];
+      if (col.type !== 'Currency') delete currency[col.name];
+      if (shown === null || shown === undefined || String(shown).trim() === '') {
+        obj[col.name] = null;
+        delete currency[col.name];
+        // A stored uncoercible cell comes back as null — keep its text. A
+        // display string that did parse means the user cleared the cell.
+        if (display[col.name] !== undefined
+          && normalizeValue(display[col.name], display[col.name], col.type, dateFormat).ok) {
+          delete display[col.name];
+        }
+        continue;
+      }
+      const { value, ok } = normalizeValue(shown, shown, col.type, dateFormat);
+      if (!ok) issues.add(col, rowIndex, shown);
+      obj[col.name] = value;
+
+      // "€12" typed into a dollar column marks the cell; a bare number keeps
+      // whatever currency the cell already had
+      const code = col.type === 'Currency' && typeof shown === 'string' ? detectCurrency(shown) : null;
+      if (code && code === col.currency) delete currency[col.name];
+      else if (code) currency[col.name] = code;
+
+      if (typeof shown === 'string' && String(value) !== shown) {
+        // Freshly typed text from the editor becomes the new display string
+        display[col.name] = shown;
+      } else if (display[col.name] !== undefined) {
+        // Keep the old display string only while it still matches the value
+        if (!displayMatches(display[col.name], value, col.type, dateFormat)) delete display[col.name];
+      }
+    }
+    if (Object.keys(display).length > 0) obj._display = display;
+    else delete obj._display;
+    if (Object.keys(currency).length > 0) obj._currency = currency;
+    else delete obj._currency;
+    return obj;
+  });
+
+  return { rows: normalized, warnings: issues.list() };
+}
+
+/**
+ * Give each Currency column a `currency` — the override when there is one,
+ * otherwise the code most of its cells were written in (null when none
+ * carried a symbol or code, meaning the project's currency). Only cells in
+ * a different currency keep a row._currency entry.
+ * Returns { rows, columns } — the input is not mutated.
+ */
+function settleCurrencies(rows, columns, overrides = {}) {
+  const nextColumns = columns.map((col) => {
+    if (col.type !== 'Currency') {
+      const { currency, ...rest } = col;
+      return rest;
+    }
+    if (overrides[col.name]) return { ...col, currency: overrides[col.name] };
+
+    const counts = new Map();
+    for (const row of rows) {
+      const code = row._currency?.[col.name];
+      if (code) counts.set(code, (counts.get(code) || 0) + 1);
+    }
+    const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return { ...col, currency: top ? top[0] : null };
+  });
+
+  // Entries for columns that weren't passed in are left alone
+  const byName = new Map(nextColumns.map((c) => [c.name, c]));
+  const nextRows = rows.map((row) => {
+    if (!row._currency) return row;
+    const currency = {};
+    for (const [name, code] of Object.entries(row._currency)) {
+      const col = byName.get(name);
+      if (!col) currency[name] = code;
+      else if (col.type === 'Currency' && !overrides[name] && code !== col.currency) currency[name] = code;
+    }
+    const { _currency, ...rest } = row;
+    return Object.keys(currency).length > 0 ? { ...rest, _currency: currency } : rest;
+  });
+
+  return { rows: nextRows, columns: nextColumns };
+}
+
+// SheetJS builds Excel dates in local time — keep the wall-clock date the
+// spreadsheet shows rather than shifting it by the server's timezone
+function wallClockToUtc(date) {
+  if (isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(
+    date.getFullYear(), date.getMonth(), date.getDate(),
+    date.getHours(), date.getMinutes(), date.getSeconds(),
+  ));
+}
+
+// Plain YYYY-MM-DD unless the value carries a time of day
+function toIsoDate(date) {
+  const iso = date.toISOString();
+  return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+}
+
+// Per-column list of cells that couldn't be coerced to the column type
+class WarningCollector {
+  constructor() {
+    this.byColumn = new Map();
+  }
+
+  add(col, rowIndex, value) {
+    if (!this.byColumn.has(col.name)) {
+      this.byColumn.set(col.name, { column: col.name, type: col.type, count: 0, rows: [], samples: [] });
+    }
+    const entry = this.byColumn.get(col.name);
+    entry.count++;
+    // Only keep a handful of examples — enough to show the user what's wrong
+    if (entry.rows.length < 5) {
+      entry.rows.push(rowIndex + 1);
+      entry.samples.push(value);
+    }
+  }
+
+  list() {
+    return [...this.byColumn.values()].map((w) => ({
+      ...w,
+      message: `${w.count} value(s) in "${w.column}" could not be read as ${w.type}`,
+    }));
+  }
+}
+
+const COLUMN_TYPES = ['Date', 'Currency', 'Number', 'Percentage', 'Category', 'Text'];
+const NUMERIC_COLUMN_TYPES = ['Currency', 'Number', 'Percentage'];
+const TEXT_COLUMN_TYPES = ['Category', 'Text'];
+
+/**
+ * The one type values of several column types can share, or null when they
+ * can't: the same type stays, numbers stay numeric (Currency if any is) and
+ * Category/Text combine as Text. Blank entries are ignored.
+ */
+function unifyColumnTypes(types) {
+  const set = new Set(types.filter(Boolean));
+  if (set.size === 1) return [...set][0];
+  if (set.size === 0) return null;
+  if ([...set].every((t) => NUMERIC_COLUMN_TYPES.includes(t))) return set.has('Currency') ? 'Currency' : 'Number';
+  if ([...set].every((t) => TEXT_COLUMN_TYPES.includes(t))) return 'Text';
+  return null;
+}
+
 function inferColumnType(values) {
   if (values.length === 0) return 'Text';
 
@@ -127,10 +562,8 @@ function inferColumnType(values) {
     // Percentage — "12.5%" or "0.125" from a % formatted cell
     if (/^-?\d+(\.\d+)?%$/.test(v)) { percentageCount++; continue; }
 
-    // Currency — "$1,800.00" style (formatted display value)
-    if (/^-?[$£€¥₹₨]\s?[\d,]+(\.\d+)?$|^[\d,]+(\.\d+)?\s?[$£€¥₹₨]$/.test(v)) {
-      currencyCount++; continue;
-    }
+    // Currency — "$1,800.00" / "EUR 12.50" style (formatted display value)
+    if (detectCurrency(v) && toNumber(v) !== null) { currencyCount++; continue; }
 
     // Number — plain digits with optional commas and decimals
     if (/^-?[\d,]+(\.\d+)?$/.test(v)) { numberCount++; continue; }
@@ -163,4 +596,13 @@ function isLikelyDate(str) {
   return patterns.some(p => p.test(str.trim()));
 }
 
-module.exports = { parseFile, inferColumnType };
\ No newline at end of file
+module.exports = {
+  parseFile,
+  parseWorkbook,
+  inferColumnType,
+  normalizeRows,
+  settleCurrencies,
+  unifyColumnTypes,
+  COLUMN_TYPES,
+  SOURCE_TAB_COLUMN,
+};
\ No newline at end of file
@@ -0,0 +1,275 @@
+const { normalizeRows, settleCurrencies, COLUMN_TYPES } = require('./sheetParser');
+const { computeColumns, planFormulas, dependentColumns, renameInFormula, isCalculated } = require('./formula');
+const { badRequest } = require('./utils');
+
+const OPERATIONS = [
+  'insertRow',
+  'updateCells',
+  'deleteRows',
+  'addColumn',
+  'renameColumn',
+  'removeColumn',
+  'setColumnType',
+  'setFormula',
+];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Apply a list of edit operations to a sheet, in order. Row indices in each
+ * operation refer to the sheet as left by the operations before it.
+ *
+ *   { op: 'insertRow', index?, values: { column: value } }
+ *   { op: 'updateCells', rowIndex, values: { column: value } }
+ *   { op: 'deleteRows', rowIndexes: [..] }
+ *   { op: 'addColumn', name, type = 'Text', index?, defaultValue? | formula }
+ *   { op: 'renameColumn', from, to }
+ *   { op: 'removeColumn', name }
+ *   { op: 'setColumnType', name, type }
+ *   { op: 'setFormula', name, formula, type? } — formula null makes it a plain column
+ *
+ * New and changed values are normalized to their column type, same as a
+ * full save. Calculated columns (see formula.js) are recomputed once all
+ * operations are applied; their cells can't be edited directly, and a
+ * calculated column without an explicit type takes the one its formula
+ * produces. Returns { rows, columns, warnings } — the input is not mutated.
+ */
+function applyOperations(sheet, operations, { dateFormat } = {}) {
+  if (!Array.isArray(operations) || operations.length === 0) {
+    throw badRequest('operations must be a non-empty array');
+  }
+
+  let rows = sheet.rows.map((row) => ({ ...row }));
+  let columns = sheet.columns.map((col) => ({ ...col }));
+  const warnings = [];
+
+  const columnIndex = (name) => columns.findIndex((c) => c.name === name);
+  const requireColumn = (name, i) => {
+    if (columnIndex(name) === -1) throw badRequest(`operations[${i}]: column "${name}" does not exist`);
+  };
+  const requireRow = (index, i) => {
+    if (!Number.isInteger(index) || index < 0 || index >= rows.length) {
+      throw badRequest(`operations[${i}]: row ${index} does not exist (sheet has ${rows.length} rows)`);
+    }
+  };
+  const requireType = (type, i) => {
+    if (!COLUMN_TYPES.includes(type)) {
+      throw badRequest(`operations[${i}]: invalid type "${type}". Allowed: ${COLUMN_TYPES.join(', ')}`);
+    }
+  };
+  const requireEditable = (names, i) => {
+    const calculated = names.find((name) => isCalculated(columns[columnIndex(name)]));
+    if (calculated) throw badRequest(`operations[${i}]: "${calculated}" is a calculated column — change its formula instead`);
+  };
+  const checkFormulas = (i) => {
+    try {
+      planFormulas(columns);
+    } catch (err) {
+      throw badRequest(`operations[${i}]: ${err.message}`);
+    }
+  };
+  // Normalize only the cells an operation touched. `offset` turns warning
+  // row numbers back into sheet row numbers when a single row is passed.
+  const normalizeCells = (targetRows, names, i, offset = 0) => {
+    const cols = columns.filter((c) => names.includes(c.name));
+    const result = normalizeRows(targetRows, cols, { dateFormat });
+    for (const w of result.warnings) {
+      warnings.push({ ...w, rows: w.rows.map((r) => r + offset), operation: i });
+    }
+    return result.rows;
+  };
+
+  operations.forEach((operation, i) => {
+    if (!isPlainObject(operation) || !OPERATIONS.includes(operation.op)) {
+      throw badRequest(`operations[${i}]: op must be one of ${OPERATIONS.join(', ')}`);
+    }
+
+    switch (operation.op) {
+      case 'insertRow': {
+        const values = operation.values ?? {};
+        if (!isPlainObject(values)) throw badRequest(`operations[${i}]: values must be an object`);
+        Object.keys(values).forEach((name) => requireColumn(name, i));
+        requireEditable(Object.keys(values), i);
+
+        const index = operation.index ?? rows.length;
+        if (!Number.isInteger(index) || index < 0 || index > rows.length) {
+          throw badRequest(`operations[${i}]: index must be between 0 and ${rows.length}`);
+        }
+        const row = {};
+        for (const col of columns) row[col.name] = values[col.name] ?? null;
+        rows.splice(index, 0, normalizeCells([row], Object.keys(values), i, index)[0]);
+        break;
+      }
+
+      case 'updateCells': {
+        requireRow(operation.rowIndex, i);
+        const values = operation.values;
+        if (!isPlainObject(values) || Object.keys(values).length === 0) {
+          throw badRequest(`operations[${i}]: values must be a non-empty object`);
+        }
+        Object.keys(values).forEach((name) => requireColumn(name, i));
+        requireEditable(Object.keys(values), i);
+
+        const row = { ...rows[operation.rowIndex], ...values };
+        rows[operation.rowIndex] = normalizeCells([row], Object.keys(values), i, operation.rowIndex)[0];
+        break;
+      }
+
+      case 'deleteRows': {
+        const indexes = operation.rowIndexes;
+        if (!Array.isArray(indexes) || indexes.length === 0) {
+          throw badRequest(`operations[${i}]: rowIndexes must be a non-empty array`);
+        }
+        indexes.forEach((index) => requireRow(index, i));
+        const doomed = new Set(indexes);
+        rows = rows.filter((_, index) => !doomed.has(index));
+        break;
+      }
+
+      case 'addColumn': {
+        const name = typeof operation.name === 'string' ? operation.name.trim() : '';
+        if (!name || name.startsWith('_')) {
+          throw badRequest(`operations[${i}]: name is required and can't start with "_"`);
+        }
+        if (columnIndex(name) !== -1) throw badRequest(`operations[${i}]: column "${name}" already exists`);
+        const { formula } = operation;
+        const calculated = formula !== undefined && formula !== null;
+        const type = operation.type || (calculated ? null : 'Text');
+        if (type) requireType(type, i);
+
+        const index = operation.index ?? columns.length;
+        if (!Number.isInteger(index) || index < 0 || index > columns.length) {
+          throw badRequest(`operations[${i}]: index must be between 0 and ${columns.length}`);
+        }
+        columns.splice(index, 0, calculated ? { name, ...(type && { type }), formula, sample: [] } : { name, type, sample: [] });
+        if (calculated) {
+          checkFormulas(i);
+          rows = rows.map((row) => ({ ...row, [name]: null }));
+          break;
+        }
+
+        const defaultValue = operation.defaultValue ?? null;
+        rows = normalizeCells(rows.map((row) => ({ ...row, [name]: defaultValue })), [name], i);
+        break;
+      }
+
+      case 'renameColumn': {
+        const { from } = operation;
+        const to = typeof operation.to === 'string' ? operation.to.trim() : '';
+        requireColumn(from, i);
+        if (!to || to.startsWith('_')) throw badRequest(`operations[${i}]: to is required and can't start with "_"`);
+        if (to !== from && columnIndex(to) !== -1) throw badRequest(`operations[${i}]: column "${to}" already exists`);
+
+        // Formulas using the column follow it to its new name
+        const dependents = dependentColumns(columns, from);
+        const before = columns.map((col) => ({ ...col }));
+        for (const name of dependents) {
+          const col = columns[columnIndex(name)];
+          col.formula = renameInFormula(col.formula, from, to, before);
+        }
+        columns[columnIndex(from)].name = to;
+        rows = rows.map((row) => renameKey(row, from, to));
+        break;
+      }
+
+      case 'removeColumn': {
+        requireColumn(operation.name, i);
+        const dependents = dependentColumns(columns, operation.name);
+        if (dependents.length > 0) {
+          throw badRequest(`operations[${i}]: "${operation.name}" is used by the formula of ${dependents.map((n) => `"${n}"`).join(', ')}`);
+        }
+        columns.splice(columnIndex(operation.name), 1);
+        rows = rows.map((row) => {
+          const { [operation.name]: removed, ...rest } = row;
+          for (const key of ['_display', '_currency']) {
+            if (!rest[key]) continue;
+            const { [operation.name]: gone, ...meta } = rest[key];
+            if (Object.keys(meta).length > 0) rest[key] = meta;
+            else delete rest[key];
+          }
+          return rest;
+        });
+        break;
+      }
+
+      case 'setColumnType': {
+        requireColumn(operation.name, i);
+        requireType(operation.type, i);
+        const { name, type } = operation;
+        const { currency, ...column } = columns[columnIndex(name)];
+        columns[columnIndex(name)] = { ...column, type };
+
+        // Re-read each cell from what the user saw, then coerce to the new type
+        const reset = rows.map((row) => {
+          const shown = row._display?.[name] ?? row[name];
+          const { [name]: dropped, ...display } = row._display || {};
+          const { [name]: droppedCurrency, ...currencies } = row._currency || {};
+          const next = { ...row, [name]: shown === null || shown === undefined ? null : String(shown) };
+          if (Object.keys(display).length > 0) next._display = display;
+          else delete next._display;
+          if (Object.keys(currencies).length > 0) next._currency = currencies;
+          else delete next._currency;
+          return next;
+        });
+        rows = normalizeCells(reset, [name], i);
+        // A column turned into Currency takes the code most of its cells show
+        if (type === 'Currency') {
+          const settled = settleCurrencies(rows, [columns[columnIndex(name)]]);
+          rows = settled.rows;
+          columns[columnIndex(name)] = settled.columns[0];
+        }
+        break;
+      }
+
+      case 'setFormula': {
+        requireColumn(operation.name, i);
+        const { name, formula } = operation;
+        const { formula: previous, ...column } = columns[columnIndex(name)];
+        if (formula === null || formula === '') {
+          // Keeps the values it last computed, now editable
+          columns[columnIndex(name)] = column;
+          break;
+        }
+        if (operation.type) requireType(operation.type, i);
+        // Without a type the column takes whatever the new formula produces
+        const { type, ...rest } = column;
+        columns[columnIndex(name)] = operation.type ? { ...rest, type: operation.type, formula } : { ...rest, formula };
+        checkFormulas(i);
+        break;
+      }
+
+      default:
+        break;
+    }
+  });
+
+  const computed = computeColumns(rows, columns, { dateFormat });
+  rows = computed.rows;
+  columns = computed.columns;
+  warnings.push(...computed.warnings);
+
+  // Refresh samples so column metadata matches the stored rows
+  columns = columns.map((col) => ({
+    ...col,
+    sample: rows
+      .map((row) => row._display?.[col.name] ?? row[col.name])
+      .filter((v) => v !== null && v !== undefined && String(v).trim() !== '')
+      .slice(0, 5),
+  }));
+
+  return { rows, columns, warnings };
+}
+
+function renameKey(row, from, to) {
+  const next = {};
+  for (const [key, value] of Object.entries(row)) {
+    if (key === from) next[to] = value;
+    else if (key === '_display' || key === '_currency') next[key] = renameKey(value, from, to);
+    else next[key] = value;
+  }
+  return next;
+}
+
+module.exports = { applyOperations, OPERATIONS };
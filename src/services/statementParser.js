@@ -0,0 +1,281 @@
+const { toNumber, toDate } = require('./valueParser');
+
+const STATEMENT_EXTENSIONS = ['.ofx', '.qfx', '.qif'];
+
+// Fixed schema for bank statement formats — they carry real fields, so
+// nothing needs inferring. Empty columns are dropped per file.
+const STATEMENT_COLUMNS = [
+  { name: 'Date', type: 'Date' },
+  { name: 'Description', type: 'Text' },
+  { name: 'Amount', type: 'Currency' },
+  { name: 'Category', type: 'Category' },
+  { name: 'Type', type: 'Category' },
+  { name: 'Memo', type: 'Text' },
+  { name: 'Check Number', type: 'Text' },
+  { name: 'Transaction ID', type: 'Text' },
+];
+
+function isStatementFile(fileName) {
+  const ext = String(fileName).toLowerCase().match(/\.[^.]+$/)?.[0];
+  return STATEMENT_EXTENSIONS.includes(ext);
+}
+
+/**
+ * Parse an OFX/QFX or QIF bank statement into the same shape parseFile
+ * returns: { sheetNames, selectedSheet, headerRowIndex, rowCount, columns,
+ * preview, rows, warnings }. OFX files with several accounts expose each
+ * account as a "sheet".
+ */
+function parseStatement(buffer, fileName, selectedSheet = null, options = {}) {
+  const { dateFormat = 'DD/MM/YYYY', columnCurrencies = {} } = options;
+  const text = decode(buffer);
+  const isQif = /\.qif$/i.test(fileName);
+
+  const accounts = uniqueNames(isQif ? parseQif(text, dateFormat) : parseOfx(text));
+  const sheetNames = accounts.map((a) => a.name);
+  if (sheetNames.length === 0) throw new Error('The file contains no transactions');
+
+  const target = accounts.find((a) => a.name === selectedSheet) || accounts[0];
+  if (target.transactions.length === 0) throw new Error('The selected account has no transactions');
+
+  const warnings = [];
+  const rows = target.transactions.map((txn, rowIndex) => {
+    const row = {};
+    const display = {};
+    for (const col of STATEMENT_COLUMNS) {
+      const value = txn[col.name];
+      row[col.name] = value === undefined || value === '' ? null : value;
+    }
+    if (txn._rawDate && row.Date === null) {
+      display.Date = txn._rawDate;
+      warn(warnings, 'Date', 'Date', rowIndex, txn._rawDate);
+    }
+    if (txn._rawAmount && row.Amount === null) {
+      display.Amount = txn._rawAmount;
+      warn(warnings, 'Amount', 'Currency', rowIndex, txn._rawAmount);
+    }
+    if (Object.keys(display).length > 0) row._display = display;
+    return row;
+  });
+
+  const columns = STATEMENT_COLUMNS
+    .map((col) => ({
+      ...col,
+      sample: rows.map((r) => r[col.name]).filter((v) => v !== null).slice(0, 5),
+      // OFX declares the account currency once (CURDEF); QIF doesn't say
+      ...(col.type === 'Currency' ? { currency: columnCurrencies[col.name] || target.currency || null } : {}),
+    }))
+    .filter((col) => col.sample.length > 0 || col.name === 'Date' || col.name === 'Amount');
+
+  const activeNames = new Set(columns.map((c) => c.name));
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!key.startsWith('_') && !activeNames.has(key)) delete row[key];
+    }
+  }
+
+  return {
+    sheetNames,
+    selectedSheet: target.name,
+    headerRowIndex: null,
+    rowCount: rows.length,
+    columns,
+    preview: rows.slice(0, 10),
+    rows,
+    warnings: warnings.map((w) => ({
+      ...w,
+      message: `${w.count} value(s) in "${w.column}" could not be read as ${w.type}`,
+    })),
+  };
+}
+
+// Accounts are picked by name — two "Bank" accounts become "Bank" and "Bank (2)"
+function uniqueNames(accounts) {
+  const seen = new Map();
+  return accounts.map((account) => {
+    const count = (seen.get(account.name) || 0) + 1;
+    seen.set(account.name, count);
+    return count === 1 ? account : { ...account, name: `${account.name} (${count})` };
+  });
+}
+
+function warn(warnings, column, type, rowIndex, value) {
+  let entry = warnings.find((w) => w.column === column);
+  if (!entry) {
+    entry = { column, type, count: 0, rows: [], samples: [] };
+    warnings.push(entry);
+  }
+  entry.count++;
+  if (entry.rows.length < 5) {
+    entry.rows.push(rowIndex + 1);
+    entry.samples.push(value);
+  }
+}
+
+// OFX 1.x headers may declare Windows-1252 — everything else is UTF-8
+function decode(buffer) {
+  const head = buffer.slice(0, 512).toString('latin1');
+  if (/CHARSET:\s*(1252|ISO-8859-1)/i.test(head)) return buffer.toString('latin1');
+  return buffer.toString('utf8').replace(/^﻿/, '');
+}
+
+// ─── OFX / QFX ────────────────────────────────────────────────────────────────
+// Handles both SGML (OFX 1.x — leaf tags aren't closed) and XML (OFX 2.x).
+
+function parseOfx(text) {
+  const statements = [...text.matchAll(/<(STMTRS|CCSTMTRS)>([\s\S]*?)<\/\1>/gi)];
+  // Some exports skip the statement wrapper — treat the whole file as one
+  const blocks = statements.length ? statements.map((m) => m[2]) : [text];
+
+  return blocks.map((block, i) => {
+    const acctId = ofxField(block, 'ACCTID');
+    const currency = ofxField(block, 'CURDEF');
+    const transactions = [...block.matchAll(/<STMTTRN>([\s\S]*?)<\/STMTTRN>/gi)].map((m) => {
+      const trn = m[1];
+      const rawDate = ofxField(trn, 'DTPOSTED');
+      const rawAmount = ofxField(trn, 'TRNAMT');
+      const date = rawDate ? ofxDate(rawDate) : null;
+      const amount = rawAmount ? ofxAmount(rawAmount) : null;
+      return {
+        Date: date,
+        Description: ofxField(trn, 'NAME') || ofxField(trn, 'PAYEE') || ofxField(trn, 'MEMO'),
+        Amount: amount,
+        Type: ofxField(trn, 'TRNTYPE'),
+        Memo: ofxField(trn, 'MEMO'),
+        'Check Number': ofxField(trn, 'CHECKNUM'),
+        'Transaction ID': ofxField(trn, 'FITID'),
+        _rawDate: date ? null : rawDate,
+        _rawAmount: amount === null ? rawAmount : null,
+      };
+    });
+
+    const label = acctId ? `Account ${maskAccount(acctId)}` : `Statement ${i + 1}`;
+    return { name: currency ? `${label} (${currency})` : label, currency: currency ? currency.toUpperCase() : null, transactions };
+  });
+}
+
+function ofxField(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  if (!match) return null;
+  const value = match[1]
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, '\'')
+    .replace(/&amp;/g, '&')
+    .trim();
+  return value || null;
+}
+
+// OFX amounts are plain signed decimals — never grouped, and European
+// exports use a comma as the decimal mark (-12,50)
+function ofxAmount(value) {
+  const match = String(value).trim().match(/^([+-]?)(\d*)(?:[.,](\d+))?$/);
+  if (!match || (!match[2] && !match[3])) return null;
+  const num = Number(`${match[1]}${match[2] || '0'}.${match[3] || '0'}`);
+  return Number.isFinite(num) ? num : null;
+}
+
+// 20240115, 20240115120000, 20240115120000.000[-5:EST] → 2024-01-15
+function ofxDate(value) {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  if (!match) return null;
+  const date = toDate(`${match[1]}-${match[2]}-${match[3]}`);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+// Only the last four digits of an account number leave the parser
+function maskAccount(acctId) {
+  return acctId.length > 4 ? `…${acctId.slice(-4)}` : acctId;
+}
+
+// ─── QIF ──────────────────────────────────────────────────────────────────────
+// Line-based: one field per line keyed by its first letter, records end with ^.
+
+const NON_TRANSACTION_TYPES = ['cat', 'class', 'memorized', 'prices', 'security'];
+
+function parseQif(text, dateFormat) {
+  const accounts = [];
+  let current = null;
+  let record = {};
+
+  const startAccount = (name) => {
+    current = { name, transactions: [] };
+    accounts.push(current);
+  };
+
+  const flush = () => {
+    if (Object.keys(record).length === 0) return;
+    if (!current) startAccount('Transactions');
+    const date = record.D ? qifDate(record.D, dateFormat) : null;
+    const amount = toNumber(record.T ?? record.U);
+    current.transactions.push({
+      Date: date,
+      Description: record.P || record.M || null,
+      Amount: amount,
+      Category: record.L ? record.L.replace(/^\[|\]$/g, '') : null,
+      Memo: record.M || null,
+      'Check Number': record.N || null,
+      _rawDate: date ? null : record.D,
+      _rawAmount: amount === null ? (record.T ?? record.U) : null,
+    });
+    record = {};
+  };
+
+  // An !Account header starts a list of account records (N name, T type, …)
+  // that runs to the next !Type: — an AutoSwitch export lists every account
+  // first. A single account record right before a !Type: names that block.
+  let accountList = null;
+  let skipping = false;
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    if (line.startsWith('!')) {
+      const type = line.match(/^!Type:(.+)$/i);
+      if (type) {
+        flush();
+        const listed = (accountList || []).filter((a) => a.N);
+        const named = listed.length === 1 ? listed[0].N : null;
+        accountList = null;
+        // Category, class and memorized lists aren't transactions
+        skipping = NON_TRANSACTION_TYPES.includes(type[1].trim().toLowerCase());
+        if (!skipping) startAccount(named || type[1].trim());
+      } else if (/^!Account\b/i.test(line)) {
+        flush();
+        accountList = [{}];
+      }
+      // !Option:… / !Clear:… switch export settings — nothing to read
+      continue;
+    }
+    if (accountList) {
+      if (line === '^') accountList.push({});
+      else if (line[0] === 'N') accountList[accountList.length - 1].N = line.slice(1).trim();
+      continue;
+    }
+    if (skipping) continue;
+    if (line === '^') {
+      flush();
+      continue;
+    }
+
+    const key = line[0];
+    // Split lines (S/E/$) describe splits — the parent total is what we keep
+    if (!['D', 'T', 'U', 'P', 'M', 'L', 'N'].includes(key) || record[key] !== undefined) continue;
+    record[key] = line.slice(1).trim();
+  }
+  flush();
+
+  // !Type headers with no records in them aren't accounts
+  return accounts.filter((a) => a.transactions.length > 0);
+}
+
+// QIF dates: 01/15/2024, 1/15'24, 15.01.2024 — "'" marks a 2000s year
+function qifDate(value, dateFormat) {
+  const cleaned = value.replace(/'\s*/, '/').replace(/\s+/g, '');
+  const date = toDate(cleaned, dateFormat);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+module.exports = { parseStatement, isStatementFile, STATEMENT_EXTENSIONS };
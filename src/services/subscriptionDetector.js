@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const { extractTransactions, merchantKey } = require('./transactions');
+const { round } = require('./utils');
+
+const CADENCES = ['weekly', 'monthly', 'yearly'];
+const SUBSCRIPTION_STATUSES = ['confirmed', 'ignored'];
+
+const DAY = 86400000;
+
+// Gap (days) one period may take, and how late a charge can be before it's missed
+const PERIODS = {
+  weekly: { days: 7, min: 6, max: 8, grace: 3 },
+  monthly: { days: 30.44, min: 26, max: 35, grace: 7 },
+  yearly: { days: 365.25, min: 350, max: 380, grace: 21 },
+};
+
+// Charges more than this apart in size are treated as different plans
+const AMOUNT_SPREAD = 0.35;
+// Smaller moves than this are FX / rounding noise, not a price change
+const PRICE_CHANGE_MIN = 0.02;
+// Share of consecutive charges that must repeat the same price — a weekly
+// grocery shop is regular too, but its amount is different every time
+const MIN_REPEAT_SHARE = 0.5;
+
+/**
+ * Find recurring payments among spending transactions (see
+ * extractTransactions). Charges are grouped by merchant, split into
+ * amount clusters when a merchant has several plans, and kept when the
+ * gaps between them fit a weekly, monthly or yearly cadence. Gaps of two or
+ * three periods count as missed charges rather than breaking the series.
+ *
+ * Returns [{ id, merchant, merchantKey, cadence, typicalAmount, lastAmount,
+ *   occurrences, firstCharge, lastCharge, nextExpected, priceIncrease,
+ *   missedCharges, overdue, status, sheetIds, category }], biggest first.
+ */
+function detectRecurring(transactions, { referenceDate = new Date(), minOccurrences = 3 } = {}) {
+  const byMerchant = new Map();
+  for (const t of transactions) {
+    const key = merchantKey(t.description);
+    if (!key) continue;
+    if (!byMerchant.has(key)) byMerchant.set(key, []);
+    byMerchant.get(key).push(t);
+  }
+
+  const results = [];
+  for (const [key, charges] of byMerchant) {
+    if (charges.length < 2) continue;
+    const sorted = [...charges].sort((a, b) => a.date - b.date);
+
+    // Ids come from the merchant and the series' opening price either way,
+    // so a plan keeps its id (and the user's decision) across price rises
+    // and when a second plan shows up and the history has to be split
+    const seriesKey = (series) => `${key}|${Math.round(series.charges[0].amount)}`;
+
+    // One merchant, one cadence is the common case — only split by amount
+    // when the whole history doesn't read as a single series
+    const whole = analyseSeries(sorted, minOccurrences);
+    if (whole) {
+      results.push(describe(seriesKey(whole), whole, referenceDate));
+      continue;
+    }
+    for (const cluster of clusterByAmount(sorted)) {
+      const series = analyseSeries(cluster, minOccurrences);
+      if (series) results.push(describe(seriesKey(series), series, referenceDate));
+    }
+  }
+
+  return results.sort((a, b) => monthlyCost(b) - monthlyCost(a));
+}
+
+/**
+ * detectRecurring over the stored rows of a project's sheets.
+ * sheets: [{ sheet, rows }]
+ */
+function findSubscriptions(sheets, { referenceDate, dateFormat } = {}) {
+  const transactions = extractTransactions(sheets, { dateFormat });
+  const cutoff = referenceDate || new Date();
+  return detectRecurring(transactions.filter((t) => t.date <= cutoff), { referenceDate: cutoff });
+}
+
+function analyseSeries(charges, minOccurrences) {
+  const gaps = charges.slice(1).map((t, i) => (t.date - charges[i].date) / DAY);
+  if (gaps.length === 0) return null;
+
+  const typicalGap = median(gaps);
+  const cadence = CADENCES.find((name) => typicalGap >= PERIODS[name].min && typicalGap <= PERIODS[name].max);
+  if (!cadence) return null;
+  // A yearly charge seen twice is already a pattern; weekly/monthly need more
+  if (charges.length < (cadence === 'yearly' ? 2 : minOccurrences)) return null;
+
+  const period = PERIODS[cadence];
+  let missedCharges = 0;
+  let irregular = 0;
+  for (const gap of gaps) {
+    const periods = Math.round(gap / period.days);
+    const tolerance = (period.max - period.min) / 2;
+    if (periods >= 1 && Math.abs(gap - periods * period.days) <= tolerance * periods) {
+      missedCharges += periods - 1;
+    } else {
+      irregular++;
+    }
+  }
+  // Allow the odd early/late charge, not a random scatter
+  if (irregular > Math.floor(gaps.length * 0.2)) return null;
+
+  const repeats = charges.slice(1).filter((t, i) => Math.abs(t.amount - charges[i].amount) <= charges[i].amount * PRICE_CHANGE_MIN);
+  if (repeats.length < gaps.length * MIN_REPEAT_SHARE) return null;
+
+  return { charges, cadence, missedCharges };
+}
+
+// Greedy split of a merchant's charges into plans of similar size
+function clusterByAmount(charges) {
+  const clusters = [];
+  for (const t of [...charges].sort((a, b) => a.amount - b.amount)) {
+    const cluster = clusters.find((c) => Math.abs(t.amount - c.anchor) <= c.anchor * AMOUNT_SPREAD);
+    if (cluster) cluster.charges.push(t);
+    else clusters.push({ anchor: t.amount, charges: [t] });
+  }
+  return clusters.map((c) => c.charges.sort((a, b) => a.date - b.date));
+}
+
+function describe(seriesKey, { charges, cadence, missedCharges }, referenceDate) {
+  const first = charges[0];
+  const last = charges[charges.length - 1];
+  const period = PERIODS[cadence];
+  const nextExpected = addPeriod(last.date, cadence);
+  const lateBy = (referenceDate - nextExpected) / DAY;
+
+  // Latest step up in price between consecutive charges
+  let priceIncrease = null;
+  for (let i = charges.length - 1; i > 0; i--) {
+    const before = charges[i - 1].amount;
+    const after = charges[i].amount;
+    if (after > before * (1 + PRICE_CHANGE_MIN)) {
+      priceIncrease = {
+        from: round(before),
+        to: round(after),
+        percent: round(((after - before) / before) * 100),
+        changedOn: day(charges[i].date),
+      };
+      break;
+    }
+    if (before > after * (1 + PRICE_CHANGE_MIN)) break; // a later drop supersedes older rises
+  }
+
+  let status = 'active';
+  if (lateBy > period.days * 2) status = 'lapsed';
+
+  const recent = charges.slice(-3).map((t) => t.amount);
+  const id = crypto.createHash('sha1').update(`${seriesKey}|${cadence}`).digest('hex').slice(0, 20);
+
+  return {
+    id,
+    merchant: last.description,
+    merchantKey: seriesKey.split('|')[0],
+    category: last.category,
+    cadence,
+    typicalAmount: round(median(recent)),
+    lastAmount: round(last.amount),
+    occurrences: charges.length,
+    firstCharge: day(first.date),
+    lastCharge: day(last.date),
+    nextExpected: day(nextExpected),
+    priceIncrease,
+    missedCharges,
+    // Past the expected date plus a few days' grace
+    overdue: lateBy > period.grace,
+    status,
+    sheetIds: [...new Set(charges.map((t) => t.sheetId))],
+    lastRow: { sheetId: last.sheetId, rowIndex: last.rowIndex },
+  };
+}
+
+// Calendar-aware: monthly charges on the 31st land on the month's last day
+function addPeriod(date, cadence) {
+  if (cadence === 'weekly') return new Date(date.getTime() + 7 * DAY);
+  const y = date.getUTCFullYear() + (cadence === 'yearly' ? 1 : 0);
+  const m = date.getUTCMonth() + (cadence === 'monthly' ? 1 : 0);
+  const lastDay = new Date(Date.UTC(y, m + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(y, m, Math.min(date.getUTCDate(), lastDay)));
+}
+
+function monthlyCost(subscription) {
+  return (subscription.typicalAmount * PERIODS.monthly.days) / PERIODS[subscription.cadence].days;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function day(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+module.exports = { detectRecurring, findSubscriptions, CADENCES, SUBSCRIPTION_STATUSES };
@@ -0,0 +1,73 @@
+const { toNumber, toDate } = require('./valueParser');
+const { fingerprintColumns, normalizeDescription } = require('./duplicateDetector');
+
+// A sheet mixing signs is a bank export where spending is negative — only
+// those rows count. Single-sign sheets count every row.
+function spendingIsNegative(amounts) {
+  return amounts.some((a) => a !== null && a < 0) && amounts.some((a) => a !== null && a > 0);
+}
+
+/**
+ * Pull spending transactions out of every sheet that has a Date and a
+ * Currency column (Number as a fallback). Sheets mixing signs are bank
+ * exports where spending is negative — only those rows count; single-sign
+ * sheets count every row. Amounts come back positive, with `sign`
+ * recording how the sheet stored them. Rows flagged as duplicates at ingest
+ * are skipped so they aren't counted twice.
+ *
+ * dateColumn / amountColumn / categoryColumn pick columns by name instead;
+ * sheets without them are skipped.
+ */
+function extractTransactions(sheets, {
+  dateFormat, dateColumn, amountColumn, categoryColumn,
+} = {}) {
+  const transactions = [];
+
+  for (const { sheet, rows } of sheets) {
+    const columns = sheet.columns || [];
+    const detected = fingerprintColumns(columns, rows);
+    if (!detected && !(dateColumn && amountColumn)) continue;
+    const cols = { ...detected, date: dateColumn || detected?.date, amount: amountColumn || detected?.amount };
+    if (!columns.some((c) => c.name === cols.date) || !columns.some((c) => c.name === cols.amount)) continue;
+
+    const categoryCol = categoryColumn
+      ? columns.find((c) => c.name === categoryColumn)
+      : columns.find((c) => c.type === 'Category' && /categor/i.test(c.name))
+        || columns.find((c) => c.type === 'Category');
+
+    const amounts = rows.map((row) => toNumber(row[cols.amount]));
+    const negativeSpending = spendingIsNegative(amounts);
+
+    rows.forEach((row, rowIndex) => {
+      if (row._duplicate) return;
+      const amount = amounts[rowIndex];
+      const date = toDate(row[cols.date], dateFormat);
+      if (amount === null || amount === 0 || !date) return;
+      if (negativeSpending && amount > 0) return;
+
+      const category = categoryCol ? row[categoryCol.name] : null;
+      transactions.push({
+        sheetId: sheet.id,
+        fileName: sheet.fileName,
+        rowIndex,
+        date,
+        amount: Math.abs(amount),
+        sign: amount < 0 ? -1 : 1,
+        category: category === null || category === undefined || String(category).trim() === ''
+          ? null
+          : String(category).trim(),
+        description: cols.description ? String(row[cols.description] ?? '').trim() : '',
+      });
+    });
+  }
+
+  return transactions.sort((a, b) => a.date - b.date);
+}
+
+// Merchant identity for grouping charges: "NETFLIX.COM 8812" and
+// "Netflix.com 9923" are the same payee
+function merchantKey(description) {
+  return normalizeDescription(description).replace(/\p{N}+/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+module.exports = { extractTransactions, spendingIsNegative, merchantKey };
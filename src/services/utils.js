@@ -0,0 +1,15 @@
+// Small helpers shared by the services
+
+// An error the routes answer with 400 and its message
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Avoid 0.1 + 0.2 style noise in money totals
+function round(num) {
+  return Math.round(num * 100) / 100;
+}
+
+module.exports = { badRequest, round };
@@ -0,0 +1,140 @@
+const CURRENCY_SYMBOLS = /(US|A|C|NZ|HK|S|R)?\$|[£€¥₹₨]/g;
+
+// Symbol → ISO 4217 code. A bare "$" is read as US dollars and "¥" as yen —
+// the prefixed forms (A$, C$, …) or an explicit code pin it down.
+const SYMBOL_CODES = {
+  'US$': 'USD', 'A$': 'AUD', 'C$': 'CAD', 'NZ$': 'NZD', 'HK$': 'HKD', 'S$': 'SGD', 'R$': 'BRL',
+  '$': 'USD', '£': 'GBP', '€': 'EUR', '¥': 'JPY', '₹': 'INR', '₨': 'PKR',
+};
+
+// Codes recognised next to an amount ("EUR 12.50", "12.50 GBP"). Kept to a
+// known list so a text column like "ABC 123" isn't read as money.
+const CURRENCY_CODES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CNY', 'INR', 'PKR', 'LKR', 'NPR', 'BDT', 'AUD', 'CAD', 'NZD',
+  'CHF', 'HKD', 'SGD', 'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'ZAR', 'BRL', 'MXN', 'AED',
+  'SAR', 'TRY', 'KRW', 'THB', 'MYR', 'IDR', 'PHP', 'ILS', 'NGN', 'KES', 'EGP',
+];
+const CODE_AFFIX = new RegExp(`^(${CURRENCY_CODES.join('|')})\\s*|\\s*(${CURRENCY_CODES.join('|')})$`, 'g');
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+/**
+ * Turn a stored cell value into a number.
+ * Handles formatted display strings like "$1,800.00", "12.5%", "(250.00)"
+ * as well as values that are already numeric. Returns null when the value
+ * can't be read as a number.
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  let str = String(value).trim();
+  if (str === '') return null;
+
+  // Accounting style negatives — "(1,200.00)"
+  let negative = false;
+  if (/^\(.*\)$/.test(str)) {
+    negative = true;
+    str = str.slice(1, -1).trim();
+  }
+
+  str = str
+    .replace(CODE_AFFIX, '')
+    .replace(CURRENCY_SYMBOLS, '')
+    .replace(/%$/, '')
+    .replace(/,/g, '')
+    .replace(/\s/g, '');
+
+  if (!/^-?(\d+\.?\d*|\.\d+)$/.test(str)) return null;
+
+  const num = parseFloat(str);
+  if (!Number.isFinite(num)) return null;
+  return negative ? -num : num;
+}
+
+/**
+ * The ISO currency code a formatted amount is written in — "€12.50" → "EUR",
+ * "12.50 GBP" → "GBP", "(A$40)" → "AUD". Returns null for plain numbers and
+ * anything that isn't an amount.
+ */
+function detectCurrency(value) {
+  if (typeof value !== 'string') return null;
+  const str = value.trim().replace(/^\((.*)\)$/, '$1').replace(/^-\s*/, '').trim();
+
+  const code = str.match(/^([A-Z]{3})\s*-?[\d.,]|[\d.,]\s*([A-Z]{3})$/);
+  if (code && CURRENCY_CODES.includes(code[1] || code[2])) return code[1] || code[2];
+
+  const symbol = str.match(/^((?:US|A|C|NZ|HK|S|R)?\$|[£€¥₹₨])\s*-?[\d.,]|[\d.,]\s*((?:US|A|C|NZ|HK|S|R)?\$|[£€¥₹₨])$/);
+  if (symbol) return SYMBOL_CODES[symbol[1] || symbol[2]];
+
+  return null;
+}
+
+/**
+ * Turn a stored cell value into a UTC Date.
+ * dateFormat is the user's preference ("DD/MM/YYYY" or "MM/DD/YYYY") and is
+ * only used to resolve ambiguous numeric dates like 03/04/2024.
+ * Returns null when the value can't be read as a date.
+ */
+function toDate(value, dateFormat = 'DD/MM/YYYY') {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+
+  const str = String(value).trim();
+  if (str === '') return null;
+
+  let match;
+
+  // 2024-03-15 / 2024/03/15 — optionally followed by an ISO time part
+  if ((match = str.match(/^(\d{4})[\/\-](\d{1,2})[\/\-](\d{1,2})(?:[T\s].*)?$/))) {
+    if (str.length > 10 && !isNaN(Date.parse(str))) return new Date(str);
+    return utcDate(+match[1], +match[2], +match[3]);
+  }
+
+  // 15/03/2024, 03-15-24 — order depends on the user's dateFormat
+  if ((match = str.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{2,4})$/))) {
+    let first = +match[1];
+    let second = +match[2];
+    const year = expandYear(+match[3]);
+    const monthFirst = String(dateFormat).toUpperCase().startsWith('MM');
+
+    let day = monthFirst ? second : first;
+    let month = monthFirst ? first : second;
+    // If the preferred order is impossible, the other one is the only reading
+    if (month > 12 && day <= 12) [day, month] = [month, day];
+
+    return utcDate(year, month, day);
+  }
+
+  // Jan 15, 2024
+  if ((match = str.match(/^([a-z]{3})[a-z]*\.?\s+(\d{1,2}),?\s+(\d{4})$/i))) {
+    const month = MONTHS[match[1].toLowerCase()];
+    return month ? utcDate(+match[3], month, +match[2]) : null;
+  }
+
+  // 15 Jan 2024
+  if ((match = str.match(/^(\d{1,2})\s+([a-z]{3})[a-z]*\.?,?\s+(\d{4})$/i))) {
+    const month = MONTHS[match[2].toLowerCase()];
+    return month ? utcDate(+match[3], month, +match[1]) : null;
+  }
+
+  return null;
+}
+
+function expandYear(year) {
+  if (year >= 100) return year;
+  return year < 70 ? 2000 + year : 1900 + year;
+}
+
+function utcDate(year, month, day) {
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Reject roll-overs like 31/02
+  if (date.getUTCMonth() !== month - 1) return null;
+  return date;
+}
+
+module.exports = { toNumber, toDate, detectCurrency, CURRENCY_CODES };